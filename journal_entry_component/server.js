@@ -1,6 +1,9 @@
 const WebSocket = require('ws');
 const express = require('express');
 const cors = require('cors');
+const { verifyClient, attachSocketUser, isSocketAuthorized } = require('../server/auth/socketAuth');
+const { handleEntryMessage } = require('../server/websocket/entryMessages');
+const { registerSocket } = require('../server/websocket/connections');
 const app = express();
 
 // Error handling middleware
@@ -23,37 +26,26 @@ const wss = new WebSocket.Server({
     handleProtocols: (protocols, request) => {
         return protocols[0]; // Accept first protocol
     },
-    verifyClient: (info) => {
-        // Add any client verification logic here if needed
-        return true;
-    }
+    verifyClient
 });
 
 wss.on('connection', function connection(ws, req) {
     const clientIp = req.socket.remoteAddress;
-    console.log(`New client connected from ${clientIp}`);
+    if (!attachSocketUser(ws, req)) {
+        console.log(`Rejected unauthenticated client from ${clientIp}`);
+        return;
+    }
+    console.log(`New client connected from ${clientIp} as user ${ws.user.userId}`);
+    registerSocket(ws);
 
     ws.on('message', function incoming(message) {
+        if (!isSocketAuthorized(ws)) return;
+
         try {
             const parsedMessage = JSON.parse(message);
             console.log('received:', parsedMessage);
             
-            switch(parsedMessage.type) {
-                case 'SAVE_ENTRY':
-                    ws.send(JSON.stringify({
-                        type: 'ENTRY_SAVED',
-                        data: parsedMessage.data
-                    }));
-                    break;
-                case 'GET_ENTRIES':
-                    ws.send(JSON.stringify({
-                        type: 'ENTRIES_LIST',
-                        data: []
-                    }));
-                    break;
-                default:
-                    console.log('Unknown message type:', parsedMessage.type);
-            }
+            handleEntryMessage(ws, parsedMessage);
         } catch (error) {
             console.error('Error processing message:', error);
             ws.send(JSON.stringify({
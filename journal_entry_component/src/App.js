@@ -2,6 +2,7 @@ import React from 'react';
 import { ThemeProvider, createTheme, CssBaseline } from '@mui/material';
 import JournalEntry from './components/JournalEntry/JournalEntry';
 import JournalEntryForm from './components/JournalEntryForm/JournalEntryForm';
+import UnsavedChangesBlocker from './components/UnsavedChangesDialog/UnsavedChangesBlocker';
 
 const theme = createTheme({
   palette: {
@@ -15,6 +16,7 @@ function App() {
   return (
     <ThemeProvider theme={theme}>
       <JournalEntryForm />
+      <UnsavedChangesBlocker />
     </ThemeProvider>
   );
 }
@@ -0,0 +1,50 @@
+import AuthService from '../services/authService';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+const jsonResponse = (status, body) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+describe('AuthService token refresh Tests', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.clear();
+    localStorage.setItem('journal_auth_token', 'expired-token');
+    localStorage.setItem('journal_refresh_token', 'refresh-1');
+  });
+
+  test('refreshes the access token and replays the request on 401', async () => {
+    fetch
+      .mockImplementationOnce(() => jsonResponse(401, { status: 'error', message: 'Invalid or expired token' }))
+      .mockImplementationOnce(() => jsonResponse(200, {
+        status: 'success',
+        data: { token: 'fresh-token', refreshToken: 'refresh-2', userId: 'u1' }
+      }))
+      .mockImplementationOnce(() => jsonResponse(200, { status: 'success', data: [] }));
+
+    const response = await AuthService.request('/journal/entries');
+
+    expect(response).toEqual({ status: 'success', data: [] });
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({ refreshToken: 'refresh-1' });
+    expect(fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer fresh-token');
+    expect(AuthService.getToken()).toBe('fresh-token');
+    expect(localStorage.getItem('journal_refresh_token')).toBe('refresh-2');
+  });
+
+  test('clears the session and throws AuthenticationError when refresh is rejected', async () => {
+    fetch
+      .mockImplementationOnce(() => jsonResponse(403, { status: 'error', message: 'Invalid or expired token' }))
+      .mockImplementationOnce(() => jsonResponse(401, { status: 'error', message: 'Refresh token reuse detected' }));
+
+    await expect(AuthService.request('/journal/entries')).rejects.toMatchObject({
+      name: 'AuthenticationError'
+    });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(AuthService.getToken()).toBeNull();
+  });
+});
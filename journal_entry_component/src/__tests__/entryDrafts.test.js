@@ -0,0 +1,59 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import draftStore from '../services/draftStore';
+import JournalEntryForm from '../components/JournalEntryForm/JournalEntryForm';
+
+const fields = {
+  title: 'Monday',
+  content: 'Half written',
+  entryDate: { date: '2026-01-05', time: null, timeZone: null },
+  mood: 'calm',
+  tags: ['work']
+};
+
+describe('entry drafts Tests', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('keeps drafts per user and entry, and drops expired ones', () => {
+    const newKey = draftStore.createNewDraftKey();
+    draftStore.saveDraft('alice', newKey, fields);
+    draftStore.saveDraft('alice', 'entry-1', { ...fields, title: 'Edited' }, '2026-01-01T00:00:00.000Z');
+
+    expect(draftStore.getLatestNewEntryDraft('alice')).toMatchObject({ key: newKey, entryId: null, title: 'Monday' });
+    expect(draftStore.getDraft('alice', 'entry-1')).toMatchObject({ entryId: 'entry-1', baseUpdatedAt: '2026-01-01T00:00:00.000Z' });
+    expect(draftStore.getDraft('bob', 'entry-1')).toBeNull();
+
+    draftStore.discardDraft('alice', 'entry-1');
+    expect(draftStore.getDraft('alice', 'entry-1')).toBeNull();
+
+    const stored = JSON.parse(localStorage.getItem('journal_drafts:alice'));
+    stored[newKey].savedAt = '2020-01-01T00:00:00.000Z';
+    localStorage.setItem('journal_drafts:alice', JSON.stringify(stored));
+    expect(draftStore.getLatestNewEntryDraft('alice')).toBeNull();
+  });
+
+  test('autosaves typing once it pauses and offers the draft when the form reopens', () => {
+    jest.useFakeTimers();
+    const { unmount } = render(<JournalEntryForm onSave={() => {}} onCancel={() => {}} />);
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Lost tab' } });
+    expect(screen.getByRole('status')).toHaveTextContent('Saving draft…');
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(screen.getByRole('status')).toHaveTextContent('Draft saved');
+    expect(draftStore.getLatestNewEntryDraft(null)).toMatchObject({ title: 'Lost tab' });
+    unmount();
+
+    render(<JournalEntryForm onSave={() => {}} onCancel={() => {}} />);
+    expect(screen.getByText(/You have an unsaved draft/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Restore' }));
+    expect(screen.getByLabelText('Title')).toHaveValue('Lost tab');
+  });
+});
@@ -0,0 +1,39 @@
+import {
+  EMPTY_FILTERS,
+  readFiltersFromUrl,
+  writeFiltersToUrl,
+  applyFilters,
+  countFacets
+} from '../utils/entryFilters';
+
+const entry = (id, mood, tags, date) => ({ id, mood, tags, entryDate: { date, time: null, timeZone: null } });
+
+describe('entryFilters Tests', () => {
+  test('round-trips the query and filters through the URL, keeping other parameters', () => {
+    const state = {
+      query: 'tag:work standup',
+      filters: { moods: ['calm', 'happy'], tags: ['q3'], from: '2026-01-01', to: '2026-01-31' }
+    };
+    const search = writeFiltersToUrl('?view=list&mood=sad', state);
+
+    expect(search).toBe('?view=list&q=tag%3Awork+standup&mood=calm&mood=happy&tag=q3&from=2026-01-01&to=2026-01-31');
+    expect(readFiltersFromUrl(search)).toEqual(state);
+    expect(readFiltersFromUrl('?from=yesterday').filters).toEqual(EMPTY_FILTERS);
+  });
+
+  test('filters by any mood, every tag and an inclusive date range, and counts facets', () => {
+    const entries = [
+      entry('a', 'calm', ['work', 'q3'], '2026-01-01'),
+      entry('b', 'happy', ['work'], '2026-01-31'),
+      entry('c', 'calm', ['home'], '2026-02-01'),
+      entry('d', 'sad', ['work', 'q3'], '2026-01-15')
+    ];
+    const filters = { moods: ['calm', 'happy'], tags: ['work'], from: '2026-01-01', to: '2026-01-31' };
+
+    expect(applyFilters(entries, filters).map(e => e.id)).toEqual(['a', 'b']);
+    expect(countFacets(entries, filters)).toEqual({
+      moods: [{ value: 'calm', count: 1 }, { value: 'happy', count: 1 }, { value: 'sad', count: 1 }],
+      tags: [{ value: 'work', count: 2 }, { value: 'q3', count: 1 }]
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import journalService from '../services/journalService';
+import entryStorage from '../services/storage/entryStorage';
+import localStorageAdapter from '../services/storage/localStorageAdapter';
+import { MIGRATIONS, CURRENT_SCHEMA_VERSION } from '../services/storage/schemaMigrations';
+import { toEntryDate } from '../models/JournalEntry';
+
+const signInAs = (userId) => {
+  localStorage.setItem('journal_user', JSON.stringify({ userId, name: userId, email: `${userId}@example.com` }));
+};
+
+// Asynchronous in-memory adapter standing in for IndexedDB, which jsdom lacks
+const createMemoryAdapter = () => {
+  const data = new Map();
+  const meta = new Map();
+  const getStore = (namespace, storeName) => {
+    const key = `${namespace}/${storeName}`;
+    if (!data.has(key)) data.set(key, new Map());
+    return data.get(key);
+  };
+  const adapter = {
+    name: 'memory',
+    synchronous: false,
+    writes: [],
+    readAll: async (namespace, storeName) => [...getStore(namespace, storeName).values()],
+    put: async (namespace, storeName, records) => {
+      adapter.writes.push(records.map(record => record.id));
+      records.forEach(record => getStore(namespace, storeName).set(record.id, record));
+      return true;
+    },
+    remove: async (namespace, storeName, ids) => {
+      ids.forEach(id => getStore(namespace, storeName).delete(id));
+      return true;
+    },
+    clear: async (namespace, storeName) => {
+      getStore(namespace, storeName).clear();
+      return true;
+    },
+    findByIndex: async (namespace, storeName, indexName, value) =>
+      [...getStore(namespace, storeName).values()].filter(record =>
+        Array.isArray(record[indexName]) ? record[indexName].includes(value) : record[indexName] === value
+      ),
+    readMeta: async (namespace, key) => (meta.has(`${namespace}/${key}`) ? meta.get(`${namespace}/${key}`) : null),
+    writeMeta: async (namespace, key, value) => {
+      meta.set(`${namespace}/${key}`, value);
+      return true;
+    },
+    removeMeta: async (namespace, key) => meta.delete(`${namespace}/${key}`)
+  };
+  return adapter;
+};
+
+describe('entryStorage Tests', () => {
+  let adapter;
+
+  beforeEach(() => {
+    localStorage.clear();
+    signInAs('alice');
+    adapter = createMemoryAdapter();
+    entryStorage.setAdapter(adapter);
+  });
+
+  afterAll(() => {
+    entryStorage.setAdapter(localStorageAdapter);
+  });
+
+  test('moves entries kept in localStorage into the adapter on first load', async () => {
+    localStorage.setItem('journal_entries:alice', JSON.stringify([
+      { id: 'a1', title: 'Old', content: 'From localStorage', tags: ['legacy'] }
+    ]));
+    localStorage.setItem('journal_trash:alice', JSON.stringify([
+      { id: 'a2', title: 'Binned', content: 'Trashed', deletedAt: new Date().toISOString() }
+    ]));
+
+    await journalService.whenStorageReady();
+
+    expect(journalService.getEntryById('a1').title).toBe('Old');
+    expect(journalService.getTrashedEntries().map(entry => entry.id)).toEqual(['a2']);
+    expect(localStorage.getItem('journal_entries:alice')).toBeNull();
+    expect(localStorage.getItem('journal_trash:alice')).toBeNull();
+    expect((await journalService.findEntriesByIndex('tags', 'legacy')).map(entry => entry.id)).toEqual(['a1']);
+  });
+
+  test('writes only the changed entry and reads it back synchronously', async () => {
+    await journalService.whenStorageReady();
+    const { entry: first } = journalService.createEntry({ title: 'First', content: 'One' });
+    const { entry: second } = journalService.createEntry({ title: 'Second', content: 'Two', mood: 'calm' });
+    journalService.updateEntry(second.id, { title: 'Second, edited', content: 'Two' });
+    journalService.deleteEntry(first.id);
+    await entryStorage.flush();
+
+    expect(adapter.writes).toEqual([[first.id], [second.id], [second.id], [first.id]]);
+    expect(journalService.getAllEntries().map(entry => entry.title)).toEqual(['Second, edited']);
+    expect(journalService.getTrashedEntries().map(entry => entry.id)).toEqual([first.id]);
+    expect((await adapter.readAll('alice', 'entries')).map(record => record.id)).toEqual([second.id]);
+    expect((await journalService.findEntriesByIndex('mood', 'calm')).map(entry => entry.id)).toEqual([second.id]);
+  });
+
+  test('loads each user\'s entries separately', async () => {
+    await journalService.whenStorageReady();
+    journalService.createEntry({ title: 'Alice', content: 'Alice entry' });
+
+    signInAs('bob');
+    await journalService.whenStorageReady();
+    expect(journalService.getAllEntries()).toHaveLength(0);
+
+    signInAs('alice');
+    await journalService.whenStorageReady();
+    expect(journalService.getAllEntries().map(entry => entry.title)).toEqual(['Alice']);
+  });
+
+  describe('schema versions', () => {
+    beforeEach(() => {
+      entryStorage.setAdapter(localStorageAdapter);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('upgrades entries saved before the schema was versioned', async () => {
+      localStorage.setItem('journal_entries:alice', JSON.stringify([{ title: 'No id', content: 'Legacy' }]));
+      localStorage.setItem('journal_trash:alice', JSON.stringify([
+        { id: 't1', title: 'Binned', content: 'Legacy', updatedAt: '2024-01-02T00:00:00.000Z' }
+      ]));
+
+      await journalService.whenStorageReady();
+
+      const [entry] = JSON.parse(localStorage.getItem('journal_entries:alice'));
+      expect(entry.id).toBeTruthy();
+      expect(journalService.getEntryById(entry.id).title).toBe('No id');
+      expect(journalService.getTrashedEntries()[0].deletedAt.toISOString()).toBe('2024-01-02T00:00:00.000Z');
+      expect(entry.entryDate).toEqual({ ...toEntryDate(entry.createdAt), time: null, timeZone: null });
+      expect(JSON.parse(localStorage.getItem('journal_schema_version:alice'))).toBe(CURRENT_SCHEMA_VERSION);
+      expect(localStorage.getItem('journal_schema_backup:alice')).toBeNull();
+    });
+
+    test('keeps the original entries and a backup when a migration fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(MIGRATIONS[0], 'migrate').mockImplementation(() => {
+        throw new Error('broken');
+      });
+      const original = JSON.stringify([{ id: 'a1', title: 'Legacy', content: 'Untouched' }]);
+      localStorage.setItem('journal_entries:alice', original);
+
+      await journalService.whenStorageReady();
+
+      expect(localStorage.getItem('journal_entries:alice')).toBe(original);
+      expect(localStorage.getItem('journal_schema_version:alice')).toBeNull();
+      const backup = await entryStorage.getSchemaBackup();
+      expect(backup.version).toBe(0);
+      expect(backup.stores.entries).toEqual(JSON.parse(original));
+    });
+  });
+});
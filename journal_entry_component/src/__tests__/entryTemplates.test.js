@@ -0,0 +1,76 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { toEntryDate } from '../models/JournalEntry';
+import { mergePreferences, validatePreferences } from '../models/userPreferences';
+import preferencesService from '../services/preferencesService';
+import unsavedChanges from '../services/unsavedChanges';
+import { BUILT_IN_TEMPLATES, expandTitlePattern, createEntryFromTemplate } from '../utils/entryTemplates';
+import JournalEntryForm from '../components/JournalEntryForm/JournalEntryForm';
+import NewEntryButton from '../components/EntryTemplates/NewEntryButton';
+
+const templateData = {
+  name: 'Daily review',
+  titlePattern: 'Daily review {date}',
+  content: '## What went well today\n\n',
+  mood: 'calm',
+  tags: ['review']
+};
+
+describe('entry templates Tests', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('journal_user', JSON.stringify({ userId: 'alice', name: 'Alice', email: 'alice@example.com' }));
+  });
+
+  test('fills in the placeholders of title patterns', () => {
+    expect(expandTitlePattern('Daily review {date}', '2026-01-05')).toBe('Daily review 2026-01-05');
+    expect(expandTitlePattern('{weekday}, {month} {year}', '2026-01-05')).toBe('Monday, January 2026');
+    expect(expandTitlePattern('Notes {unknown}', '2026-01-05')).toBe('Notes {unknown}');
+
+    const fields = createEntryFromTemplate(BUILT_IN_TEMPLATES[0], '2026-01-05');
+    expect(fields).toMatchObject({ title: 'Gratitude 2026-01-05', mood: 'grateful', tags: ['gratitude'] });
+    expect(fields.entryDate).toEqual({ date: '2026-01-05', time: null, timeZone: null });
+    fields.tags.push('changed');
+    expect(BUILT_IN_TEMPLATES[0].tags).toEqual(['gratitude']);
+  });
+
+  test('saves and deletes the user\'s templates, rejecting duplicate names', () => {
+    const { template } = preferencesService.saveTemplate(templateData);
+    expect(preferencesService.getTemplates()).toEqual([template]);
+    expect(preferencesService.saveTemplate({ ...templateData, name: 'daily REVIEW' }).errors.name).toMatch(/already exists/);
+    expect(preferencesService.saveTemplate({ ...templateData, name: 'Other', tags: 'review' }).errors.tags).toBeDefined();
+
+    expect(preferencesService.deleteTemplate(template.id)).toBe(true);
+    expect(preferencesService.getTemplates()).toEqual([]);
+    expect(preferencesService.getChangedPreferences().templates[template.id].deletedAt).toEqual(expect.any(String));
+  });
+
+  test('merges templates, also with copies saved before templates existed', () => {
+    const template = { ...templateData, id: 't1', updatedAt: '2026-01-01T00:00:00.000Z', deletedAt: null };
+    const older = { settings: {}, savedSearches: {} };
+    expect(validatePreferences(older)).toBeNull();
+
+    const merged = mergePreferences(older, { settings: {}, savedSearches: {}, templates: { t1: template } });
+    expect(merged.templates.t1).toBe(template);
+    expect(validatePreferences(merged)).toBeNull();
+    expect(validatePreferences({ ...merged, templates: { t2: template } })).toMatch(/another id/);
+  });
+
+  test('a new entry starts from the chosen template', () => {
+    const onCreateEntry = jest.fn();
+    render(<NewEntryButton onCreateEntry={onCreateEntry} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'choose a template' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Daily standup' }));
+    expect(onCreateEntry).toHaveBeenCalledWith(BUILT_IN_TEMPLATES[1]);
+  });
+
+  test('the form shows the template\'s fields without counting them as unsaved changes', () => {
+    const { template } = preferencesService.saveTemplate(templateData);
+    render(<JournalEntryForm template={template} onSave={() => {}} onCancel={() => {}} />);
+
+    expect(screen.getByLabelText('Title')).toHaveValue(`Daily review ${toEntryDate(new Date()).date}`);
+    expect(screen.getByText('review')).toBeInTheDocument();
+    expect(unsavedChanges.hasUnsavedChanges()).toBe(false);
+  });
+});
@@ -0,0 +1,268 @@
+import journalService from '../services/journalService';
+import AuthService from '../services/authService';
+import { MAX_VERSIONS_PER_ENTRY } from '../services/entryHistory';
+import { EMPTY_FILTERS } from '../utils/entryFilters';
+
+const signInAs = (userId) => {
+  localStorage.setItem('journal_user', JSON.stringify({ userId, name: userId, email: `${userId}@example.com` }));
+};
+
+describe('journalService Tests', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('per-user isolation', () => {
+    test('stores entries under the signed-in user namespace', () => {
+      signInAs('alice');
+      const { entry } = journalService.createEntry({ title: 'Mine', content: 'Private thoughts' });
+
+      expect(localStorage.getItem('journal_entries:alice')).toContain(entry.id);
+      expect(localStorage.getItem('journal_entries')).toBeNull();
+    });
+
+    test('users sharing a browser never see each other\'s entries', () => {
+      signInAs('alice');
+      journalService.createEntry({ title: 'Alice', content: 'Alice entry' });
+
+      signInAs('bob');
+      expect(journalService.getAllEntries()).toHaveLength(0);
+      journalService.createEntry({ title: 'Bob', content: 'Bob entry' });
+
+      signInAs('alice');
+      const titles = journalService.getAllEntries().map(entry => entry.title);
+      expect(titles).toEqual(['Alice']);
+    });
+
+    test('signed-out use keeps the original storage key', () => {
+      AuthService.clearAuthData();
+      journalService.createEntry({ title: 'Guest', content: 'Guest entry' });
+
+      expect(localStorage.getItem('journal_entries')).toContain('Guest entry');
+    });
+  });
+
+  describe('remote changes', () => {
+    test('applies a remote entry unless the local copy is newer', () => {
+      const { entry } = journalService.createEntry({ title: 'Local', content: 'Local edit' });
+      const older = { ...entry.toObject(), title: 'Stale', updatedAt: new Date(entry.updatedAt.getTime() - 1000) };
+      const newer = { ...entry.toObject(), title: 'Remote', updatedAt: new Date(entry.updatedAt.getTime() + 1000) };
+
+      expect(journalService.applyRemoteEntry(older)).toBeNull();
+      expect(journalService.getEntryById(entry.id).title).toBe('Local');
+
+      journalService.applyRemoteEntry(newer);
+      expect(journalService.getEntryById(entry.id).title).toBe('Remote');
+    });
+
+    test('removes an entry deleted on another device', () => {
+      const { entry } = journalService.createEntry({ title: 'Gone', content: 'Soon' });
+
+      expect(journalService.removeRemoteEntry(entry.id)).toBe(true);
+      expect(journalService.getEntryById(entry.id)).toBeNull();
+    });
+  });
+
+  describe('revision history', () => {
+    test('keeps every replaced version and restores any of them', () => {
+      const { entry } = journalService.createEntry({ title: 'Draft', content: 'First wording' });
+      journalService.updateEntry(entry.id, { title: 'Draft', content: 'Second wording' });
+      journalService.updateEntry(entry.id, { title: 'Final', content: 'Third wording' });
+
+      const history = journalService.getEntryHistory(entry.id);
+      expect(history.map(version => version.content)).toEqual(['Second wording', 'First wording']);
+
+      const { entry: restored } = journalService.restoreEntryVersion(entry.id, history[1].id);
+      expect(restored).toMatchObject({ title: 'Draft', content: 'First wording' });
+      expect(journalService.getEntryHistory(entry.id)[0].content).toBe('Third wording');
+    });
+
+    test('prunes the oldest versions beyond the per-entry cap', () => {
+      const { entry } = journalService.createEntry({ title: 'Counter', content: 'Version 0' });
+      for (let i = 1; i <= MAX_VERSIONS_PER_ENTRY + 5; i++) {
+        journalService.updateEntry(entry.id, { title: 'Counter', content: `Version ${i}` });
+      }
+
+      const history = journalService.getEntryHistory(entry.id);
+      expect(history).toHaveLength(MAX_VERSIONS_PER_ENTRY);
+      expect(history[history.length - 1].content).toBe('Version 5');
+    });
+  });
+
+  describe('trash', () => {
+    test('moves deleted entries to the trash and restores them', () => {
+      const { entry } = journalService.createEntry({ title: 'Oops', content: 'Deleted by accident' });
+
+      journalService.deleteEntry(entry.id);
+      expect(journalService.getEntryById(entry.id)).toBeNull();
+      expect(journalService.getTrashedEntries()[0]).toMatchObject({ id: entry.id, deletedAt: expect.any(Date) });
+
+      const { entry: restored } = journalService.restoreEntry(entry.id);
+      expect(restored.deletedAt).toBeNull();
+      expect(journalService.getEntryById(entry.id)).not.toBeNull();
+      expect(journalService.getTrashedEntries()).toHaveLength(0);
+    });
+
+    test('purges trashed entries older than the retention period', () => {
+      jest.useFakeTimers();
+      const { entry: old } = journalService.createEntry({ title: 'Old', content: 'Trashed long ago' });
+      const { entry: recent } = journalService.createEntry({ title: 'Recent', content: 'Trashed today' });
+
+      jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+      journalService.deleteEntry(old.id);
+      jest.setSystemTime(new Date('2026-01-07T00:00:00Z'));
+      journalService.deleteEntry(recent.id);
+      jest.useRealTimers();
+
+      journalService.setTrashRetentionDays(5);
+      expect(journalService.purgeExpiredTrash(new Date('2026-01-08T00:00:00Z'))).toBe(1);
+      expect(journalService.getTrashedEntries().map(entry => entry.title)).toEqual(['Recent']);
+    });
+  });
+
+  describe('entry dates', () => {
+    test('backdating an entry keeps createdAt as the real creation time', () => {
+      const before = new Date();
+      const { entry } = journalService.createEntry({
+        title: 'Trip',
+        content: 'Written a week later',
+        entryDate: { date: '2024-03-01', time: '18:30', timeZone: 'Asia/Tokyo' }
+      });
+
+      expect(entry.createdAt.getTime()).toBeGreaterThanOrEqual(before.getTime());
+      expect(journalService.getEntryById(entry.id).entryDate)
+        .toEqual({ date: '2024-03-01', time: '18:30', timeZone: 'Asia/Tokyo' });
+
+      const { errors } = journalService.updateEntry(entry.id, {
+        title: 'Trip',
+        content: 'Written a week later',
+        entryDate: { date: '2024-02-30' }
+      });
+      expect(errors.entryDate).toBeDefined();
+    });
+
+    test('sorts by entry date and time of day', () => {
+      const create = (title, entryDate) => journalService.createEntry({ title, content: title, entryDate }).entry;
+      create('Evening', { date: '2024-03-01', time: '21:00' });
+      create('Later day', { date: '2024-03-02' });
+      create('Whole day', { date: '2024-03-01' });
+      create('Morning', { date: '2024-03-01', time: '08:15' });
+
+      const titles = journalService.sortEntries(null, 'entryDate', 'asc').map(entry => entry.title);
+      expect(titles).toEqual(['Whole day', 'Morning', 'Evening', 'Later day']);
+    });
+  });
+
+  describe('search', () => {
+    test('evaluates the structured query syntax', () => {
+      const create = (title, data) => journalService.createEntry({ title, content: `${title} notes`, ...data });
+      create('Standup', { tags: ['work'], mood: 'anxious', entryDate: { date: '2026-01-15' } });
+      create('Standup draft', { tags: ['work', 'draft'], mood: 'anxious', entryDate: { date: '2026-01-20' } });
+      create('Old standup', { tags: ['work'], mood: 'anxious', entryDate: { date: '2025-12-31' } });
+      create('Weekend', { tags: ['home'], mood: 'calm', entryDate: { date: '2026-02-01' } });
+
+      const titles = (query) => journalService.searchEntries(query).map(entry => entry.title).sort();
+      expect(titles('tag:work mood:anxious after:2026-01-01 before:2026-03-01 -tag:draft')).toEqual(['Standup']);
+      expect(titles('"weekend notes"')).toEqual(['Weekend']);
+      expect(titles('title:standup -old')).toEqual(['Standup', 'Standup draft']);
+      // A query that does not parse falls back to a plain text search of its words
+      expect(titles('"weekend')).toEqual(['Weekend']);
+    });
+
+    test('matches stems and prefixes and ranks by relevance', () => {
+      journalService.createEntry({ title: 'Groceries', content: 'Bought bread before the meeting' });
+      journalService.createEntry({ title: 'Team meetings', content: 'Two meetings about the roadmap' });
+      journalService.createEntry({ title: 'Walk', content: 'Long walk in the park' });
+
+      const titles = (query) => journalService.searchEntries(query).map(entry => entry.title);
+      expect(titles('meeting')).toEqual(['Team meetings', 'Groceries']);
+      expect(titles('meetin')).toEqual(['Team meetings', 'Groceries']);
+      expect(titles('walked park')).toEqual(['Walk']);
+    });
+
+    test('keeps the index up to date as entries change', () => {
+      const { entry } = journalService.createEntry({ title: 'Draft', content: 'Ideas about gardening' });
+      expect(journalService.searchEntries('garden')).toHaveLength(1);
+
+      journalService.updateEntry(entry.id, { title: 'Draft', content: 'Ideas about cooking' });
+      expect(journalService.searchEntries('garden')).toHaveLength(0);
+      expect(journalService.searchEntries('cook')).toHaveLength(1);
+
+      journalService.deleteEntry(entry.id);
+      expect(journalService.searchEntries('cook')).toHaveLength(0);
+
+      journalService.restoreEntry(entry.id);
+      expect(journalService.searchEntries('cook')).toHaveLength(1);
+    });
+
+    test('counts the entries of several saved searches at once', () => {
+      journalService.createEntry({ title: 'Standup', content: 'Meeting notes', tags: ['work'], mood: 'anxious' });
+      journalService.createEntry({ title: 'Retro', content: 'Team meeting', tags: ['work'], mood: 'calm' });
+      journalService.createEntry({ title: 'Weekend', content: 'Walk in the park', tags: ['home'], mood: 'calm' });
+      const { entry } = journalService.createEntry({ title: 'Trashed meeting', content: 'Gone', tags: ['work'] });
+      journalService.deleteEntry(entry.id);
+
+      const counts = journalService.countSearchMatches([
+        { id: 'meetings', query: 'meeting', filters: EMPTY_FILTERS },
+        { id: 'calm-work', query: 'tag:work', filters: { ...EMPTY_FILTERS, moods: ['calm'] } },
+        { id: 'everything', query: null, filters: EMPTY_FILTERS },
+        { id: 'none', query: 'meeting -team -standup', filters: EMPTY_FILTERS }
+      ]);
+
+      expect(Object.fromEntries(counts)).toEqual({ meetings: 2, 'calm-work': 1, everything: 3, none: 0 });
+    });
+  });
+
+  describe('entry list pages', () => {
+    const create = (title, data) => journalService.createEntry({ title, content: `${title} notes`, ...data });
+
+    // Titles of every page, following the cursors to the end
+    const readAllPages = async (options) => {
+      const pages = [];
+      let cursor = null;
+      do {
+        const page = await journalService.getEntriesPage({ ...options, cursor });
+        pages.push(page.entries.map(entry => entry.title));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return pages;
+    };
+
+    beforeEach(() => {
+      create('Evening', { entryDate: { date: '2024-03-01', time: '21:00' }, mood: 'calm' });
+      create('Later day', { entryDate: { date: '2024-03-02' } });
+      create('Morning', { entryDate: { date: '2024-03-01', time: '08:15' }, mood: 'calm' });
+      create('First day', { entryDate: { date: '2024-02-28' } });
+      create('Last day', { entryDate: { date: '2024-03-05' } });
+    });
+
+    test('reads pages from storage in index order without splitting a day', async () => {
+      expect(await readAllPages({ limit: 2 })).toEqual([
+        ['Last day', 'Later day'],
+        ['Evening', 'Morning'],
+        ['First day']
+      ]);
+      expect(await readAllPages({ sortDirection: 'asc', limit: 1 })).toEqual([
+        ['First day'],
+        ['Morning', 'Evening'],
+        ['Later day'],
+        ['Last day']
+      ]);
+      expect(await readAllPages({ filters: { ...EMPTY_FILTERS, moods: ['calm'] }, limit: 1 })).toEqual([
+        ['Evening', 'Morning']
+      ]);
+    });
+
+    test('pages search results and titles by offset', async () => {
+      expect(await readAllPages({ sortField: 'title', sortDirection: 'asc', limit: 2 })).toEqual([
+        ['Evening', 'First day'],
+        ['Last day', 'Later day'],
+        ['Morning']
+      ]);
+      expect(await readAllPages({ query: 'day', sortField: 'title', sortDirection: 'asc', limit: 2 })).toEqual([
+        ['First day', 'Last day'],
+        ['Later day']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+import { getWindowRange, getScrollTopForRow } from '../utils/listWindow';
+
+describe('listWindow Tests', () => {
+  test('renders the rows in the viewport plus the overscan, within the list', () => {
+    const geometry = { viewportHeight: 500, rowHeight: 100, rowCount: 5000, overscan: 2 };
+
+    expect(getWindowRange({ ...geometry, scrollTop: 0 })).toEqual({ start: 0, end: 7 });
+    expect(getWindowRange({ ...geometry, scrollTop: 250000 })).toEqual({ start: 2498, end: 2507 });
+    expect(getWindowRange({ ...geometry, scrollTop: 499600 })).toEqual({ start: 4994, end: 5000 });
+    expect(getWindowRange({ ...geometry, rowCount: 0, scrollTop: 0 })).toEqual({ start: 0, end: 0 });
+  });
+
+  test('scrolls as little as needed to bring a row into view', () => {
+    const geometry = { viewportHeight: 500, rowHeight: 100, scrollTop: 1000 };
+
+    expect(getScrollTopForRow({ ...geometry, index: 12 })).toBe(1000);
+    expect(getScrollTopForRow({ ...geometry, index: 3 })).toBe(300);
+    expect(getScrollTopForRow({ ...geometry, index: 20 })).toBe(1600);
+  });
+});
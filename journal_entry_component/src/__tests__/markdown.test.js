@@ -0,0 +1,82 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import { parseMarkdown, applyMarkdownFormat } from '../utils/markdown';
+import MarkdownView from '../components/Markdown/MarkdownView';
+
+describe('markdown Tests', () => {
+  test('parses headings, lists, quotes, code and inline formats', () => {
+    const blocks = parseMarkdown([
+      '# Day *one*',
+      'Went **out** with `friends`,',
+      'see [photos](https://example.com/p).',
+      '',
+      '- tea',
+      '- cake',
+      '3. first',
+      '> quoted _text_',
+      '```',
+      '<b>raw</b>',
+      '```',
+      '---'
+    ].join('\n'));
+
+    expect(blocks.map(block => block.type)).toEqual(['heading', 'paragraph', 'list', 'list', 'quote', 'code', 'rule']);
+    expect(blocks[0]).toEqual({
+      type: 'heading',
+      level: 1,
+      children: [{ type: 'text', value: 'Day ' }, { type: 'emphasis', children: [{ type: 'text', value: 'one' }] }]
+    });
+    expect(blocks[1].children.map(node => node.type)).toEqual(['text', 'strong', 'text', 'code', 'text', 'break', 'text', 'link', 'text']);
+    expect(blocks[2]).toMatchObject({ ordered: false, items: [[{ value: 'tea' }], [{ value: 'cake' }]] });
+    expect(blocks[3]).toMatchObject({ ordered: true, start: 3 });
+    expect(blocks[4].blocks[0].children[1]).toEqual({ type: 'emphasis', children: [{ type: 'text', value: 'text' }] });
+    expect(blocks[5]).toEqual({ type: 'code', value: '<b>raw</b>' });
+    expect(parseMarkdown('snake_case_name and 2*3*4')[0].children).toEqual([{ type: 'text', value: 'snake_case_name and 2' }, expect.anything(), { type: 'text', value: '4' }]);
+  });
+
+  test('parses large text full of unclosed brackets and underscores quickly', () => {
+    const inputs = [
+      '['.repeat(20000),
+      '[x]('.repeat(5000),
+      '_a '.repeat(7000).trim(),
+      `${'[_'.repeat(5000)}[link](https://example.com) _done_`
+    ];
+
+    const started = Date.now();
+    const results = inputs.map(input => parseMarkdown(input)[0].children);
+    expect(Date.now() - started).toBeLessThan(1000);
+
+    expect(results[0]).toEqual([{ type: 'text', value: inputs[0] }]);
+    expect(results[1]).toEqual([{ type: 'text', value: inputs[1] }]);
+    expect(results[2]).toEqual([{ type: 'text', value: inputs[2] }]);
+    expect(results[3].slice(-3)).toEqual([
+      { type: 'link', href: 'https://example.com', children: [{ type: 'text', value: 'link' }] },
+      { type: 'text', value: ' ' },
+      { type: 'emphasis', children: [{ type: 'text', value: 'done' }] }
+    ]);
+  });
+
+  test('renders content as text, dropping unsafe links', () => {
+    const { container } = render(
+      <MarkdownView content={'<img src=x onerror="alert(1)"> [click](javascript:alert(1)) [ok](https://example.com)'} />
+    );
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.textContent).toContain('<img src=x onerror="alert(1)">');
+    const links = container.querySelectorAll('a');
+    expect(links).toHaveLength(1);
+    expect(links[0].getAttribute('href')).toBe('https://example.com');
+  });
+
+  test('toolbar formats wrap the selection or prefix the selected lines, and toggle back', () => {
+    const bold = applyMarkdownFormat('a word here', 2, 6, 'bold');
+    expect(bold).toEqual({ text: 'a **word** here', selectionStart: 4, selectionEnd: 8 });
+    expect(applyMarkdownFormat(bold.text, bold.selectionStart, bold.selectionEnd, 'bold').text).toBe('a word here');
+
+    const list = applyMarkdownFormat('intro\nfirst\nsecond', 8, 15, 'numberedList');
+    expect(list.text).toBe('intro\n1. first\n2. second');
+    expect(applyMarkdownFormat(list.text, list.selectionStart, list.selectionEnd, 'numberedList').text).toBe('intro\nfirst\nsecond');
+
+    expect(applyMarkdownFormat('see', 0, 3, 'link')).toEqual({ text: '[see](https://)', selectionStart: 6, selectionEnd: 14 });
+  });
+});
@@ -0,0 +1,27 @@
+import { parseSearchQuery } from '../utils/searchQuery';
+
+describe('searchQuery Tests', () => {
+  test('parses filters, phrases and exclusions', () => {
+    const { ast, error } = parseSearchQuery('tag:work mood:anxious after:2026-01-01 "exact phrase" -excluded title:"team meeting"');
+
+    expect(error).toBeNull();
+    expect(ast).toEqual({
+      type: 'and',
+      clauses: [
+        { type: 'field', field: 'tag', value: 'work' },
+        { type: 'field', field: 'mood', value: 'anxious' },
+        { type: 'date', field: 'after', value: '2026-01-01' },
+        { type: 'phrase', value: 'exact phrase' },
+        { type: 'not', clause: { type: 'text', value: 'excluded' } },
+        { type: 'field', field: 'title', value: 'team meeting' }
+      ]
+    });
+  });
+
+  test('reports where the query is malformed', () => {
+    expect(parseSearchQuery('walk "unclosed').error).toEqual({ message: 'Missing closing quote', position: 5 });
+    expect(parseSearchQuery('after:2026-02-30').error.position).toBe(6);
+    expect(parseSearchQuery('colour:blue').error.message).toBe('Unknown filter "colour:"');
+    expect(parseSearchQuery('tag: work').error.message).toBe('Missing value after "tag:"');
+  });
+});
@@ -0,0 +1,20 @@
+import { toSearchParams } from '../services/serverSearch';
+import { parseSearchQuery } from '../utils/searchQuery';
+
+describe('serverSearch Tests', () => {
+  const paramsOf = (query) => {
+    const params = toSearchParams(parseSearchQuery(query).ast);
+    return params && params.toString();
+  };
+
+  test('sends words, phrases, tags, mood and dates to the server', () => {
+    expect(paramsOf('team meeting "action items" tag:work tag:q3 mood:calm after:2026-01-01'))
+      .toBe('phrase=action+items&tag=work&tag=q3&mood=calm&after=2026-01-01&q=team+meeting');
+  });
+
+  test('searches locally when the server cannot answer the query', () => {
+    expect(paramsOf('meeting -draft')).toBeNull();
+    expect(paramsOf('title:standup')).toBeNull();
+    expect(paramsOf('mood:calm mood:happy')).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+import journalService from '../services/journalService';
+import operationLog from '../services/operationLog';
+import { syncService } from '../services/syncService';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+const jsonResponse = (status, body) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+const syncResponse = (data) => jsonResponse(200, {
+  status: 'success',
+  message: 'Sync completed',
+  data: {
+    applied: [],
+    conflicts: [],
+    rejected: [],
+    changes: { entries: [], deletedIds: [] },
+    serverTime: '2026-01-01T00:00:00.000Z',
+    ...data
+  }
+});
+
+describe('syncService Tests', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.clear();
+    localStorage.setItem('journal_auth_token', 'token');
+    localStorage.setItem('journal_user', JSON.stringify({ userId: 'alice', name: 'Alice', email: 'alice@example.com' }));
+  });
+
+  describe('operation log', () => {
+    test('compacts local changes to one operation per entry', () => {
+      const { entry } = journalService.createEntry({ title: 'Draft', content: 'First' });
+      journalService.updateEntry(entry.id, { title: 'Final', content: 'Second' });
+
+      const operations = operationLog.getPendingOperations();
+      expect(operations).toHaveLength(1);
+      expect(operations[0]).toMatchObject({ type: 'create', data: { title: 'Final', content: 'Second' } });
+
+      // Moving to the trash is an update; only a permanent delete cancels the create
+      journalService.deleteEntry(entry.id);
+      expect(operationLog.getPendingOperations()[0]).toMatchObject({ type: 'create', data: { deletedAt: expect.any(String) } });
+
+      journalService.permanentlyDeleteEntry(entry.id);
+      expect(operationLog.getPendingOperations()).toHaveLength(0);
+    });
+  });
+
+  describe('sync', () => {
+    test('pushes pending operations and records the server revision', async () => {
+      const { entry } = journalService.createEntry({ title: 'Offline', content: 'Written offline' });
+      const [operation] = operationLog.getPendingOperations();
+      const remote = { ...entry.toObject(), revision: 1 };
+
+      fetch.mockImplementationOnce(() => syncResponse({
+        applied: [{ operationId: operation.id, entryId: entry.id, entry: remote, created: true }],
+        changes: { entries: [remote], deletedIds: [] }
+      }));
+
+      await syncService.sync();
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body).toEqual({ since: null, operations: [operation] });
+      expect(operationLog.getPendingOperations()).toHaveLength(0);
+      expect(journalService.getEntryById(entry.id).revision).toBe(1);
+    });
+
+    test('keeps an entry trashed after syncing it in the trash, without deleting it', async () => {
+      const { entry } = journalService.createEntry({ title: 'Binned', content: 'Moved to the trash later' });
+      const [create] = operationLog.getPendingOperations();
+      const created = { ...entry.toObject(), revision: 1 };
+      fetch.mockImplementationOnce(() => syncResponse({
+        applied: [{ operationId: create.id, entryId: entry.id, entry: created, created: true }]
+      }));
+      await syncService.sync();
+
+      journalService.deleteEntry(entry.id);
+      const [trash] = operationLog.getPendingOperations();
+      const trashed = { ...created, deletedAt: trash.data.deletedAt, revision: 2 };
+      fetch.mockImplementationOnce(() => syncResponse({
+        applied: [{ operationId: trash.id, entryId: entry.id, entry: trashed }]
+      }));
+      await syncService.sync();
+
+      expect(operationLog.getPendingOperations()).toEqual([]);
+      expect(journalService.getTrashedEntries().map(trashedEntry => trashedEntry.id)).toEqual([entry.id]);
+      expect(journalService.getStoredEntry(entry.id).revision).toBe(2);
+      expect(journalService.restoreEntry(entry.id).errors).toBeNull();
+      expect(operationLog.getPendingOperations()).toMatchObject([{ type: 'update', data: { deletedAt: null } }]);
+    });
+
+    test('keeps conflicting changes as conflict records instead of overwriting', async () => {
+      const { entry } = journalService.createEntry({ title: 'Local', content: 'Local edit' });
+      const [operation] = operationLog.getPendingOperations();
+      const remote = { ...entry.toObject(), title: 'Remote', revision: 3 };
+
+      fetch.mockImplementationOnce(() => syncResponse({
+        conflicts: [{
+          operationId: operation.id,
+          entryId: entry.id,
+          type: 'create',
+          reason: 'already_exists',
+          local: operation.data,
+          remote
+        }]
+      }));
+
+      await syncService.sync();
+
+      expect(journalService.getEntryById(entry.id).title).toBe('Local');
+      expect(syncService.getConflicts()).toMatchObject([{ entryId: entry.id, reason: 'already_exists' }]);
+
+      syncService.resolveConflict(entry.id, 'remote');
+      expect(journalService.getEntryById(entry.id).title).toBe('Remote');
+      expect(syncService.getConflicts()).toHaveLength(0);
+    });
+
+    test('merges a conflict field by field and pushes it on top of the server revision', async () => {
+      const { entry } = journalService.createEntry({ title: 'Local title', content: 'Local content' });
+      const [operation] = operationLog.getPendingOperations();
+      const remote = { ...entry.toObject(), title: 'Remote title', content: 'Remote content', revision: 2 };
+
+      fetch.mockImplementationOnce(() => syncResponse({
+        conflicts: [{
+          operationId: operation.id,
+          entryId: entry.id,
+          type: 'update',
+          reason: 'revision_mismatch',
+          local: operation.data,
+          remote
+        }]
+      }));
+
+      await syncService.sync();
+      const result = syncService.resolveConflict(entry.id, 'merge', {
+        title: 'Local title',
+        content: 'Remote content'
+      });
+
+      expect(result.entry).toMatchObject({ title: 'Local title', content: 'Remote content' });
+      expect(operationLog.getPendingOperations()).toMatchObject([
+        { type: 'update', entryId: entry.id, baseRevision: 2 }
+      ]);
+    });
+  });
+});
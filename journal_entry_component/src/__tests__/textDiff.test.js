@@ -0,0 +1,17 @@
+import { diffWords } from '../utils/textDiff';
+
+describe('textDiff Tests', () => {
+  test('marks words only present in one version', () => {
+    expect(diffWords('a quiet morning walk', 'a rainy morning walk')).toEqual([
+      { type: 'equal', value: 'a ' },
+      { type: 'removed', value: 'quiet' },
+      { type: 'added', value: 'rainy' },
+      { type: 'equal', value: ' morning walk' }
+    ]);
+  });
+
+  test('handles empty versions', () => {
+    expect(diffWords('', 'new text')).toEqual([{ type: 'added', value: 'new text' }]);
+    expect(diffWords('', '')).toEqual([]);
+  });
+});
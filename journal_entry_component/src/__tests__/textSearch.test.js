@@ -0,0 +1,16 @@
+import { stem, buildSnippet } from '../utils/textSearch';
+
+describe('textSearch Tests', () => {
+  test('stems plurals and verb endings', () => {
+    expect(['meetings', 'meeting', 'meet'].map(stem)).toEqual(['meet', 'meet', 'meet']);
+    expect(['stopped', 'worries', 'quickly', 'anxious'].map(stem)).toEqual(['stop', 'worry', 'quick', 'anxious']);
+  });
+
+  test('cuts a snippet around the first match and marks every match', () => {
+    const text = `${'Filler words. '.repeat(10)}Planned the garden; gardening all weekend.`;
+    const parts = buildSnippet(text, { words: ['garden'], phrases: [] }, 20);
+
+    expect(parts[0]).toEqual({ value: '…', highlight: false });
+    expect(parts.filter(part => part.highlight).map(part => part.value)).toEqual(['garden', 'gardening']);
+  });
+});
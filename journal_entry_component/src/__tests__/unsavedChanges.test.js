@@ -0,0 +1,89 @@
+import React from 'react';
+import { render, screen, fireEvent, waitForElementToBeRemoved } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import draftStore from '../services/draftStore';
+import unsavedChanges from '../services/unsavedChanges';
+import journalService from '../services/journalService';
+import JournalEntryForm from '../components/JournalEntryForm/JournalEntryForm';
+import NavBar from '../components/NavBar/NavBar';
+
+describe('unsaved changes Tests', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('cancels at once when nothing changed, and asks when the form is dirty', () => {
+    const onCancel = jest.fn();
+    render(<JournalEntryForm onSave={() => {}} onCancel={onCancel} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onCancel).toHaveBeenCalledTimes(1);
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Half a thought' } });
+    expect(unsavedChanges.hasUnsavedChanges()).toBe(true);
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onCancel).toHaveBeenCalledTimes(1);
+    expect(screen.getByText('Unsaved Changes')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Discard' }));
+    expect(onCancel).toHaveBeenCalledTimes(2);
+    expect(screen.getByLabelText('Title')).toHaveValue('');
+    expect(draftStore.getLatestNewEntryDraft(null)).toBeNull();
+    expect(unsavedChanges.hasUnsavedChanges()).toBe(false);
+  });
+
+  test('is clean again when an edit is undone', () => {
+    const entry = journalService.createEntry({ title: 'Loaded', content: 'As saved' }).entry;
+    render(<JournalEntryForm entry={entry} onSave={() => {}} onCancel={() => {}} />);
+    expect(unsavedChanges.hasUnsavedChanges()).toBe(false);
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Loaded!' } });
+    expect(unsavedChanges.hasUnsavedChanges()).toBe(true);
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Loaded' } });
+    expect(unsavedChanges.hasUnsavedChanges()).toBe(false);
+  });
+
+  test('saving from the cancel dialog keeps the form open when the entry is invalid', async () => {
+    const onSave = jest.fn();
+    const onCancel = jest.fn();
+    render(<JournalEntryForm onSave={onSave} onCancel={onCancel} />);
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'No content yet' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    expect(onSave).not.toHaveBeenCalled();
+    expect(onCancel).not.toHaveBeenCalled();
+    expect(unsavedChanges.hasUnsavedChanges()).toBe(true);
+    await waitForElementToBeRemoved(() => screen.queryByText('Unsaved Changes'));
+
+    fireEvent.change(screen.getByLabelText(/Content/), { target: { value: 'Now there is some' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    expect(onSave).toHaveBeenCalledWith(expect.objectContaining({ title: 'No content yet' }));
+    expect(onCancel).toHaveBeenCalledTimes(1);
+    expect(unsavedChanges.hasUnsavedChanges()).toBe(false);
+  });
+
+  test('logout only warns about unsaved changes when there are some', async () => {
+    const onLogout = jest.fn();
+    render(
+      <MemoryRouter>
+        <NavBar onLogout={onLogout} />
+        <JournalEntryForm onSave={() => {}} onCancel={() => {}} />
+      </MemoryRouter>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'logout' }));
+    expect(screen.getByText('Are you sure you want to logout?')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    await waitForElementToBeRemoved(() => screen.queryByText('Confirm Logout'));
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Unsaved' } });
+    fireEvent.click(screen.getByRole('button', { name: 'logout' }));
+    expect(screen.getByText(/You have unsaved changes to an entry/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Discard and Logout' }));
+    expect(onLogout).toHaveBeenCalledTimes(1);
+    expect(screen.getByLabelText('Title')).toHaveValue('');
+  });
+});
@@ -0,0 +1,85 @@
+import { createEmptyPreferences, mergePreferences, validatePreferences } from '../models/userPreferences';
+import preferencesService from '../services/preferencesService';
+import { syncService } from '../services/syncService';
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+const searchData = {
+  name: 'Anxious days',
+  query: '',
+  filters: { moods: ['anxious'], tags: [], from: null, to: null },
+  sortField: 'entryDate',
+  sortDirection: 'desc'
+};
+
+describe('userPreferences Tests', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    localStorage.clear();
+    localStorage.setItem('journal_auth_token', 'token');
+    localStorage.setItem('journal_user', JSON.stringify({ userId: 'alice', name: 'Alice', email: 'alice@example.com' }));
+  });
+
+  test('merging keeps the newer version of every item, including deletions', () => {
+    const older = { ...searchData, id: 's1', updatedAt: '2026-01-01T00:00:00.000Z', deletedAt: null };
+    const deleted = { id: 's1', updatedAt: '2026-01-02T00:00:00.000Z', deletedAt: '2026-01-02T00:00:00.000Z' };
+    const base = {
+      settings: { trashRetentionDays: { value: 7, updatedAt: '2026-01-03T00:00:00.000Z' } },
+      savedSearches: { s1: older }
+    };
+    const incoming = {
+      settings: { trashRetentionDays: { value: 60, updatedAt: '2026-01-01T00:00:00.000Z' } },
+      savedSearches: { s1: deleted }
+    };
+
+    const merged = mergePreferences(base, incoming);
+    expect(merged.settings.trashRetentionDays.value).toBe(7);
+    expect(merged.savedSearches.s1).toBe(deleted);
+    expect(validatePreferences(merged)).toBeNull();
+    expect(validatePreferences({ settings: {}, savedSearches: { s2: older } })).toMatch(/another id/);
+  });
+
+  test('saves and deletes searches, rejecting duplicate names', () => {
+    const { search } = preferencesService.saveSearch(searchData);
+    expect(preferencesService.getSavedSearches()).toEqual([search]);
+    expect(preferencesService.saveSearch({ ...searchData, name: 'anxious DAYS ' }).errors.name).toMatch(/already exists/);
+    expect(preferencesService.saveSearch({ ...searchData, sortField: 'mood' }).errors.sortField).toBeDefined();
+
+    expect(preferencesService.deleteSavedSearch(search.id)).toBe(true);
+    expect(preferencesService.getSavedSearches()).toEqual([]);
+    expect(preferencesService.getChangedPreferences().savedSearches[search.id].deletedAt).toEqual(expect.any(String));
+  });
+
+  test('pushes changed preferences with a sync and stores the merged result', async () => {
+    const { search } = preferencesService.saveSearch(searchData);
+    const remote = { ...searchData, id: 'r1', name: 'Work this quarter', updatedAt: '2026-01-01T00:00:00.000Z', deletedAt: null };
+
+    fetch.mockImplementationOnce((url, options) => {
+      const { preferences } = JSON.parse(options.body);
+      return Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({
+          status: 'success',
+          message: 'Sync completed',
+          data: {
+            applied: [],
+            conflicts: [],
+            rejected: [],
+            changes: { entries: [], deletedIds: [] },
+            serverTime: '2026-01-01T00:00:00.000Z',
+            preferences: mergePreferences({ ...createEmptyPreferences(), savedSearches: { r1: remote } }, preferences)
+          }
+        })
+      });
+    });
+
+    await syncService.sync();
+
+    const [, options] = fetch.mock.calls[0];
+    expect(JSON.parse(options.body).preferences.savedSearches[search.id]).toEqual(search);
+    expect(preferencesService.getSavedSearches().map(saved => saved.id)).toEqual([search.id, 'r1']);
+    expect(preferencesService.getChangedPreferences()).toBeNull();
+  });
+});
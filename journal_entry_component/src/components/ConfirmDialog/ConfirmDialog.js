@@ -0,0 +1,60 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button
+} from '@mui/material';
+
+/**
+ * A generic confirmation dialog for actions that need a second thought.
+ * 
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Controls the visibility of the dialog
+ * @param {string} props.title - The dialog title
+ * @param {string} props.message - What will happen when the action is confirmed
+ * @param {string} [props.confirmLabel='Confirm'] - Label of the confirm button
+ * @param {string} [props.confirmColor='primary'] - MUI color of the confirm button
+ * @param {Function} props.onClose - Callback function when dialog is closed
+ * @param {Function} props.onConfirm - Callback function when the action is confirmed
+ * @returns {JSX.Element} The ConfirmDialog component
+ */
+const ConfirmDialog = ({
+  open,
+  title,
+  message,
+  confirmLabel = 'Confirm',
+  confirmColor = 'primary',
+  onClose,
+  onConfirm
+}) => {
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      aria-labelledby="confirm-dialog-title"
+      aria-describedby="confirm-dialog-description"
+    >
+      <DialogTitle id="confirm-dialog-title">
+        {title}
+      </DialogTitle>
+      <DialogContent>
+        <DialogContentText id="confirm-dialog-description">
+          {message}
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="primary">
+          Cancel
+        </Button>
+        <Button onClick={onConfirm} color={confirmColor} variant="contained" autoFocus>
+          {confirmLabel}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ConfirmDialog;
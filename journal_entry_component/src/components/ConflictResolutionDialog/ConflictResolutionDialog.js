@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  Stack,
+  Radio,
+  Alert
+} from '@mui/material';
+
+import { formatEntryDate } from '../../models/JournalEntry';
+import { diffWords } from '../../utils/textDiff';
+import DiffText from '../DiffText/DiffText';
+import { syncService } from '../../services/syncService';
+
+const FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'content', label: 'Content' },
+  { name: 'entryDate', label: 'Date' },
+  { name: 'mood', label: 'Mood' },
+  { name: 'tags', label: 'Tags' }
+];
+
+const isSameValue = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+
+/**
+ * Render one side of a field, with a diff for text and highlighted tags.
+ * @param {Object} props - Component props
+ * @param {string} props.name - The field name
+ * @param {*} props.value - This side's value
+ * @param {*} props.otherValue - The other side's value
+ * @param {string} props.side - 'local' or 'remote'
+ * @returns {JSX.Element} The field value
+ */
+const FieldValue = ({ name, value, otherValue, side }) => {
+  if (name === 'tags') {
+    const tags = value || [];
+    if (tags.length === 0) return <Typography variant="body2"><em>No tags</em></Typography>;
+    return (
+      <Stack direction="row" sx={{ flexWrap: 'wrap', gap: 1 }}>
+        {tags.map(tag => (
+          <Chip
+            key={tag}
+            label={tag}
+            size="small"
+            color={(otherValue || []).includes(tag) ? 'default' : side === 'local' ? 'error' : 'success'}
+          />
+        ))}
+      </Stack>
+    );
+  }
+
+  if (name === 'entryDate') {
+    return (
+      <Typography
+        variant="body2"
+        color={isSameValue(value, otherValue) ? 'text.primary' : side === 'local' ? 'error.main' : 'success.main'}
+      >
+        {value ? formatEntryDate(value) : <em>Day the entry was created</em>}
+      </Typography>
+    );
+  }
+
+  // Diff from this device's version to the other device's
+  const parts = side === 'local'
+    ? diffWords(value, otherValue)
+    : diffWords(otherValue, value);
+  return <DiffText parts={parts} side={side === 'local' ? 'old' : 'new'} />;
+};
+
+/**
+ * Dialog for resolving an entry that was changed on two devices. Shows both
+ * versions side by side with their differences highlighted, and lets the user
+ * keep one version, keep both as separate entries, or merge field by field.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Controls the visibility of the dialog
+ * @param {Object} props.conflict - The conflict record from syncService
+ * @param {Function} props.onClose - Callback function when the dialog is closed without resolving
+ * @param {Function} props.onResolved - Callback function called with the resolved entry (null if deleted)
+ * @returns {JSX.Element} The ConflictResolutionDialog component
+ */
+const ConflictResolutionDialog = ({ open, conflict, onClose, onResolved }) => {
+  // Which version to take for each field when merging
+  const [selection, setSelection] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setSelection(FIELDS.reduce((picked, field) => ({ ...picked, [field.name]: 'local' }), {}));
+    setError(null);
+  }, [conflict]);
+
+  if (!conflict) return null;
+
+  const { local, remote } = conflict;
+  const canMerge = !!local && !!remote;
+
+  /**
+   * Resolve the conflict with the given strategy
+   * @param {string} strategy - 'local', 'remote', 'both' or 'merge'
+   */
+  const handleResolve = (strategy) => {
+    const fields = strategy === 'merge'
+      ? FIELDS.reduce((merged, { name }) => ({
+        ...merged,
+        [name]: (selection[name] === 'local' ? local : remote)[name]
+      }), {})
+      : null;
+
+    const result = syncService.resolveConflict(conflict.entryId, strategy, fields);
+    if (result.errors) {
+      setError(Object.values(result.errors).join(' '));
+      return;
+    }
+    if (onResolved) onResolved(result.entry);
+  };
+
+  const renderSide = (version, side) => {
+    if (!version) {
+      return (
+        <Typography variant="body2" color="text.secondary">
+          <em>Deleted</em>
+        </Typography>
+      );
+    }
+    const other = side === 'local' ? remote : local;
+    return FIELDS.map(({ name, label }) => (
+      <Box key={name} sx={{ mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          {canMerge && !isSameValue(local[name], remote[name]) && (
+            <Radio
+              size="small"
+              checked={selection[name] === side}
+              onChange={() => setSelection({ ...selection, [name]: side })}
+              inputProps={{ 'aria-label': `Use ${side === 'local' ? 'this device\'s' : 'the other device\'s'} ${label.toLowerCase()}` }}
+            />
+          )}
+          <Typography variant="subtitle2" color="text.secondary">
+            {label}
+          </Typography>
+        </Box>
+        <FieldValue name={name} value={version[name]} otherValue={other?.[name]} side={side} />
+      </Box>
+    ));
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      aria-labelledby="conflict-dialog-title"
+    >
+      <DialogTitle id="conflict-dialog-title">
+        Resolve conflicting changes
+      </DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          {remote && local
+            ? 'This entry was changed on another device before your changes were synced.'
+            : remote
+              ? 'You deleted this entry, but it was changed on another device.'
+              : 'This entry was deleted on another device, but you changed it here.'}
+          {canMerge && ' Pick a version for each differing field to merge them.'}
+        </DialogContentText>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
+          <Paper variant="outlined" sx={{ flex: 1, p: 2 }}>
+            <Typography variant="h6" gutterBottom>
+              This device{local?.deletedAt && ' (in trash)'}
+            </Typography>
+            {renderSide(local, 'local')}
+          </Paper>
+          <Paper variant="outlined" sx={{ flex: 1, p: 2 }}>
+            <Typography variant="h6" gutterBottom>
+              Other device{remote?.deletedAt && ' (in trash)'}
+            </Typography>
+            {renderSide(remote, 'remote')}
+          </Paper>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>
+          Later
+        </Button>
+        <Button onClick={() => handleResolve('remote')}>
+          Keep other device's
+        </Button>
+        <Button onClick={() => handleResolve('local')}>
+          Keep this device's
+        </Button>
+        {canMerge && (
+          <>
+            <Button onClick={() => handleResolve('both')}>
+              Keep both
+            </Button>
+            <Button onClick={() => handleResolve('merge')} variant="contained" color="primary">
+              Save merge
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ConflictResolutionDialog;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+/**
+ * Render one side of a word diff, highlighting the words only that side has.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.parts - Parts returned by diffWords(oldText, newText)
+ * @param {string} props.side - 'old' highlights removed words, 'new' highlights added words
+ * @returns {JSX.Element} The DiffText component
+ */
+const DiffText = ({ parts, side }) => {
+  const ownType = side === 'old' ? 'removed' : 'added';
+  const otherType = side === 'old' ? 'added' : 'removed';
+
+  return (
+    <Typography variant="body2" component="div" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+      {parts
+        .filter(part => part.type !== otherType)
+        .map((part, index) => (part.type === ownType ? (
+          <Box
+            key={index}
+            component="mark"
+            sx={{ bgcolor: side === 'old' ? 'error.light' : 'success.light', borderRadius: 0.5 }}
+          >
+            {part.value}
+          </Box>
+        ) : (
+          <span key={index}>{part.value}</span>
+        )))}
+      {parts.length === 0 && <em>Empty</em>}
+    </Typography>
+  );
+};
+
+export default DiffText;
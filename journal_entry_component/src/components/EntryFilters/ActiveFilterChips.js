@@ -0,0 +1,55 @@
+import React from 'react';
+import { Box, Chip, Button } from '@mui/material';
+
+import { formatEntryDate } from '../../models/JournalEntry';
+import { EMPTY_FILTERS, countActiveFilters } from '../../utils/entryFilters';
+import { formatMood } from './EntryFilterPanel';
+
+/**
+ * Show the active filters of the entry list as chips that remove them.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - The current EntryFilters
+ * @param {Function} props.onChange - Called with the new filters
+ * @returns {JSX.Element|null} The ActiveFilterChips component, or null without active filters
+ */
+const ActiveFilterChips = ({ filters, onChange }) => {
+  if (countActiveFilters(filters) === 0) return null;
+
+  const formatDay = (day) => formatEntryDate({ date: day }, 'short');
+  const chips = [
+    ...filters.moods.map(mood => ({
+      key: `mood:${mood}`,
+      label: `Mood: ${formatMood(mood)}`,
+      remove: () => onChange({ ...filters, moods: filters.moods.filter(selected => selected !== mood) })
+    })),
+    ...filters.tags.map(tag => ({
+      key: `tag:${tag}`,
+      label: `Tag: ${tag}`,
+      remove: () => onChange({ ...filters, tags: filters.tags.filter(selected => selected !== tag) })
+    })),
+    ...(filters.from ? [{
+      key: 'from',
+      label: `From ${formatDay(filters.from)}`,
+      remove: () => onChange({ ...filters, from: null })
+    }] : []),
+    ...(filters.to ? [{
+      key: 'to',
+      label: `To ${formatDay(filters.to)}`,
+      remove: () => onChange({ ...filters, to: null })
+    }] : [])
+  ];
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5, mt: 1 }}>
+      {chips.map(chip => (
+        <Chip key={chip.key} label={chip.label} size="small" onDelete={chip.remove} />
+      ))}
+      <Button size="small" onClick={() => onChange(EMPTY_FILTERS)}>
+        Clear all
+      </Button>
+    </Box>
+  );
+};
+
+export default ActiveFilterChips;
@@ -0,0 +1,131 @@
+import React from 'react';
+import {
+  Box,
+  Chip,
+  Checkbox,
+  FormControl,
+  InputLabel,
+  ListItemText,
+  MenuItem,
+  OutlinedInput,
+  Select,
+  Typography
+} from '@mui/material';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { LocalizationProvider, DatePicker } from '@mui/x-date-pickers';
+
+import { toEntryDate, entryDateToDate } from '../../models/JournalEntry';
+
+/**
+ * Get the display name of a mood.
+ * @param {string} mood - The stored mood
+ * @returns {string} The mood with a capital first letter
+ */
+export const formatMood = (mood) => mood.charAt(0).toUpperCase() + mood.slice(1);
+
+/**
+ * Convert a YYYY-MM-DD day to a Date for the date pickers.
+ * @private
+ */
+const dayToDate = (day) => (day ? entryDateToDate({ date: day }) : null);
+
+/**
+ * Convert a date picker value to a YYYY-MM-DD day, ignoring incomplete dates.
+ * @private
+ */
+const dateToDay = (date) => (date && !isNaN(date.getTime()) ? toEntryDate(date).date : null);
+
+/**
+ * Filter panel of the entry list: moods, tags with the number of entries
+ * having them, and an entry date range.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - The current EntryFilters
+ * @param {Object} props.facets - Mood and tag counts from countFacets
+ * @param {Function} props.onChange - Called with the new filters
+ * @returns {JSX.Element} The EntryFilterPanel component
+ */
+const EntryFilterPanel = ({ filters, facets, onChange }) => {
+  const toggleTag = (tag) => {
+    const tags = filters.tags.includes(tag)
+      ? filters.tags.filter(selected => selected !== tag)
+      : [...filters.tags, tag];
+    onChange({ ...filters, tags });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
+      {/* Moods */}
+      <FormControl size="small" fullWidth>
+        <InputLabel id="mood-filter-label">Moods</InputLabel>
+        <Select
+          labelId="mood-filter-label"
+          multiple
+          value={filters.moods}
+          onChange={(event) => onChange({ ...filters, moods: event.target.value })}
+          input={<OutlinedInput label="Moods" />}
+          renderValue={(selected) => selected.map(formatMood).join(', ')}
+        >
+          {facets.moods.length === 0 && (
+            <MenuItem disabled>
+              <em>No moods recorded</em>
+            </MenuItem>
+          )}
+          {facets.moods.map(({ value, count }) => (
+            <MenuItem key={value} value={value} dense>
+              <Checkbox size="small" checked={filters.moods.includes(value)} />
+              <ListItemText primary={formatMood(value)} secondary={`${count} ${count === 1 ? 'entry' : 'entries'}`} />
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {/* Tags */}
+      <Box>
+        <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>
+          Tags
+        </Typography>
+        {facets.tags.length > 0 ? (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, maxHeight: 96, overflow: 'auto' }}>
+            {facets.tags.map(({ value, count }) => (
+              <Chip
+                key={value}
+                label={`${value} (${count})`}
+                size="small"
+                color={filters.tags.includes(value) ? 'primary' : 'default'}
+                variant={filters.tags.includes(value) ? 'filled' : 'outlined'}
+                onClick={() => toggleTag(value)}
+              />
+            ))}
+          </Box>
+        ) : (
+          <Typography variant="body2" color="text.secondary">
+            No tags in these entries
+          </Typography>
+        )}
+      </Box>
+
+      {/* Entry date range */}
+      <LocalizationProvider dateAdapter={AdapterDateFns}>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <DatePicker
+            label="From"
+            value={dayToDate(filters.from)}
+            maxDate={dayToDate(filters.to) || undefined}
+            onChange={(date) => onChange({ ...filters, from: dateToDay(date) })}
+            slotProps={{ field: { clearable: true }, textField: { size: 'small', fullWidth: true } }}
+          />
+          <DatePicker
+            label="To"
+            value={dayToDate(filters.to)}
+            minDate={dayToDate(filters.from) || undefined}
+            onChange={(date) => onChange({ ...filters, to: dateToDay(date) })}
+            slotProps={{ field: { clearable: true }, textField: { size: 'small', fullWidth: true } }}
+          />
+        </Box>
+      </LocalizationProvider>
+    </Box>
+  );
+};
+
+export default EntryFilterPanel;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  List,
+  ListItemButton,
+  ListItemText,
+  Typography,
+  Paper,
+  Alert
+} from '@mui/material';
+import RestoreIcon from '@mui/icons-material/Restore';
+
+import { formatDate } from '../../models/JournalEntry';
+import journalService from '../../services/journalService';
+import { diffWords } from '../../utils/textDiff';
+import DiffText from '../DiffText/DiffText';
+
+/**
+ * Dialog listing the past versions of a journal entry. Selecting a version
+ * shows a word-level diff from it to the current text, and any version can be
+ * restored.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Controls the visibility of the dialog
+ * @param {Object} props.entry - The current journal entry
+ * @param {Function} props.onClose - Callback function when the dialog is closed
+ * @param {Function} props.onRestore - Callback function called with the restored entry
+ * @returns {JSX.Element} The EntryHistoryDialog component
+ */
+const EntryHistoryDialog = ({ open, entry, onClose, onRestore }) => {
+  const [versions, setVersions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Reload the history whenever the dialog opens
+  useEffect(() => {
+    if (!open || !entry) return;
+    const history = journalService.getEntryHistory(entry.id);
+    setVersions(history);
+    setSelectedId(history.length > 0 ? history[0].id : null);
+    setError(null);
+  }, [open, entry]);
+
+  if (!entry) return null;
+
+  const selected = versions.find(version => version.id === selectedId);
+
+  /**
+   * Restore the selected version
+   */
+  const handleRestore = () => {
+    const result = journalService.restoreEntryVersion(entry.id, selectedId);
+    if (result.errors) {
+      setError(Object.values(result.errors).join(' '));
+      return;
+    }
+    if (onRestore) onRestore(result.entry);
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      aria-labelledby="history-dialog-title"
+    >
+      <DialogTitle id="history-dialog-title">
+        Revision history
+      </DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {versions.length === 0 ? (
+          <Typography color="text.secondary">
+            This entry has not been changed since it was written.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
+            <Paper variant="outlined" sx={{ width: { sm: 240 }, flexShrink: 0, maxHeight: 400, overflow: 'auto' }}>
+              <List dense disablePadding>
+                {versions.map(version => (
+                  <ListItemButton
+                    key={version.id}
+                    selected={version.id === selectedId}
+                    onClick={() => setSelectedId(version.id)}
+                  >
+                    <ListItemText
+                      primary={formatDate(version.updatedAt, 'default')}
+                      secondary={`Replaced ${formatDate(version.savedAt, 'relative')}`}
+                    />
+                  </ListItemButton>
+                ))}
+              </List>
+            </Paper>
+
+            {selected && (
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                  Changes from this version to the current one
+                </Typography>
+                <Paper elevation={0} sx={{ p: 2, mb: 2, bgcolor: 'background.default' }}>
+                  <Box sx={{ mb: 1 }}>
+                    <DiffText parts={diffWords(selected.title, entry.title)} side="new" />
+                  </Box>
+                  <DiffText parts={diffWords(selected.content, entry.content)} side="new" />
+                </Paper>
+                <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                  Text of this version
+                </Typography>
+                <Paper elevation={0} sx={{ p: 2, bgcolor: 'background.default' }}>
+                  <DiffText parts={diffWords(selected.content, entry.content)} side="old" />
+                </Paper>
+              </Box>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>
+          Close
+        </Button>
+        <Button
+          onClick={handleRestore}
+          variant="contained"
+          color="primary"
+          startIcon={<RestoreIcon />}
+          disabled={!selected}
+        >
+          Restore this version
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EntryHistoryDialog;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  ButtonGroup,
+  Divider,
+  IconButton,
+  ListItemIcon,
+  ListItemText,
+  ListSubheader,
+  Menu,
+  MenuItem,
+  Tooltip
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ArrowDropDownIcon from '@mui/icons-material/ArrowDropDown';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
+import NoteAddOutlinedIcon from '@mui/icons-material/NoteAddOutlined';
+
+import preferencesService from '../../services/preferencesService';
+import { BUILT_IN_TEMPLATES } from '../../utils/entryTemplates';
+import TemplateDialog from './TemplateDialog';
+import ConfirmDialog from '../ConfirmDialog/ConfirmDialog';
+
+/**
+ * "New Entry" button with a menu of templates to start the entry from: the
+ * built-in ones and the user's own, which can be created, changed and deleted
+ * from the menu.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onCreateEntry - Called with the chosen template, or null for a blank entry
+ * @returns {JSX.Element} The NewEntryButton component
+ */
+const NewEntryButton = ({ onCreateEntry }) => {
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [templates, setTemplates] = useState(() => preferencesService.getTemplates());
+  // Template being created (an empty object) or changed in the dialog, null while it is closed
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [pendingDeleteTemplate, setPendingDeleteTemplate] = useState(null);
+
+  // Follow templates saved or deleted here and on the user's other devices
+  useEffect(() => {
+    return preferencesService.subscribe(() => setTemplates(preferencesService.getTemplates()));
+  }, []);
+
+  /**
+   * Start a new entry from a template
+   * @param {Object|null} template - The template, or null for a blank entry
+   */
+  const handleCreate = (template) => {
+    setMenuAnchor(null);
+    onCreateEntry(template);
+  };
+
+  /**
+   * Open the dialog for a template
+   * @param {React.MouseEvent} event - The click event
+   * @param {Object|null} template - The template to change, or null for a new one
+   */
+  const handleEditTemplate = (event, template) => {
+    event.stopPropagation();
+    setMenuAnchor(null);
+    setEditingTemplate(template || {});
+  };
+
+  /**
+   * Delete the template awaiting confirmation
+   */
+  const handleConfirmDelete = () => {
+    preferencesService.deleteTemplate(pendingDeleteTemplate.id);
+    setPendingDeleteTemplate(null);
+    setEditingTemplate(null);
+  };
+
+  return (
+    <>
+      <ButtonGroup variant="contained" color="primary" fullWidth>
+        <Button startIcon={<AddIcon />} onClick={() => handleCreate(null)}>
+          New Entry
+        </Button>
+        <Button
+          size="small"
+          sx={{ width: 'auto', flexShrink: 0 }}
+          aria-label="choose a template"
+          aria-haspopup="menu"
+          aria-expanded={menuAnchor ? 'true' : undefined}
+          onClick={(event) => setMenuAnchor(event.currentTarget)}
+        >
+          <ArrowDropDownIcon />
+        </Button>
+      </ButtonGroup>
+
+      <Menu
+        anchorEl={menuAnchor}
+        open={!!menuAnchor}
+        onClose={() => setMenuAnchor(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <MenuItem onClick={() => handleCreate(null)}>
+          <ListItemText primary="Blank entry" />
+        </MenuItem>
+        <ListSubheader>Templates</ListSubheader>
+        {BUILT_IN_TEMPLATES.map(template => (
+          <MenuItem key={template.id} onClick={() => handleCreate(template)}>
+            <ListItemText primary={template.name} />
+          </MenuItem>
+        ))}
+        {templates.length > 0 && <ListSubheader>My templates</ListSubheader>}
+        {templates.map(template => (
+          <MenuItem key={template.id} onClick={() => handleCreate(template)}>
+            <ListItemText primary={template.name} primaryTypographyProps={{ noWrap: true }} />
+            <Tooltip title="Edit template">
+              <IconButton
+                edge="end"
+                size="small"
+                sx={{ ml: 1 }}
+                aria-label={`edit template ${template.name}`}
+                onClick={(event) => handleEditTemplate(event, template)}
+              >
+                <EditOutlinedIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem onClick={(event) => handleEditTemplate(event, null)}>
+          <ListItemIcon>
+            <NoteAddOutlinedIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText primary="New template…" />
+        </MenuItem>
+      </Menu>
+
+      <TemplateDialog
+        open={!!editingTemplate}
+        template={editingTemplate && editingTemplate.id ? editingTemplate : null}
+        onClose={() => setEditingTemplate(null)}
+        onDelete={setPendingDeleteTemplate}
+      />
+
+      <ConfirmDialog
+        open={!!pendingDeleteTemplate}
+        title="Delete Template"
+        message={pendingDeleteTemplate
+          ? `Delete the template "${pendingDeleteTemplate.name}"? Entries written from it are kept.`
+          : ''}
+        confirmLabel="Delete"
+        confirmColor="error"
+        onClose={() => setPendingDeleteTemplate(null)}
+        onConfirm={handleConfirmDelete}
+      />
+    </>
+  );
+};
+
+export default NewEntryButton;
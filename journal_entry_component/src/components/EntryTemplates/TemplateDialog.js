@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Stack
+} from '@mui/material';
+
+import preferencesService from '../../services/preferencesService';
+import { MAX_TEMPLATE_NAME_LENGTH } from '../../models/userPreferences';
+import { MOODS } from '../../models/JournalEntry';
+import { TEMPLATE_PLACEHOLDERS } from '../../utils/entryTemplates';
+
+const EMPTY_TEMPLATE = { name: '', titlePattern: '', content: '', mood: '', tags: [] };
+
+/**
+ * Split comma separated tags, dropping empty and repeated ones.
+ * @private
+ */
+const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+/**
+ * Dialog creating or changing one of the user's entry templates: its name,
+ * title pattern, content with prompts, default mood and default tags.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Controls the visibility of the dialog
+ * @param {Object} [props.template] - The template to change; a new one is created without it
+ * @param {Function} props.onClose - Callback function when the dialog is closed
+ * @param {Function} [props.onSaved] - Callback function called with the saved template
+ * @param {Function} [props.onDelete] - Callback function called with the template to delete
+ * @returns {JSX.Element} The TemplateDialog component
+ */
+const TemplateDialog = ({ open, template, onClose, onSaved, onDelete }) => {
+  const [fields, setFields] = useState(EMPTY_TEMPLATE);
+  const [tagText, setTagText] = useState('');
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (!open) return;
+    const initial = template || EMPTY_TEMPLATE;
+    setFields({
+      name: initial.name,
+      titlePattern: initial.titlePattern,
+      content: initial.content,
+      mood: initial.mood,
+      tags: initial.tags
+    });
+    setTagText(initial.tags.join(', '));
+    setErrors({});
+  }, [open, template]);
+
+  /**
+   * Change one field of the template
+   * @param {string} name - The field
+   * @returns {Function} Change handler of the field's input
+   */
+  const handleChange = (name) => (event) => {
+    setFields({ ...fields, [name]: event.target.value });
+  };
+
+  /**
+   * Save the template
+   * @param {React.FormEvent} event - The form submit event
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const { template: saved, errors: saveErrors } = preferencesService.saveTemplate({
+      ...fields,
+      id: template ? template.id : undefined,
+      tags: parseTags(tagText)
+    });
+    if (saveErrors) {
+      setErrors(saveErrors);
+      return;
+    }
+    if (onSaved) onSaved(saved);
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      aria-labelledby="template-dialog-title"
+    >
+      <form onSubmit={handleSubmit} noValidate>
+        <DialogTitle id="template-dialog-title">
+          {template ? 'Edit Template' : 'New Template'}
+        </DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ pt: 1 }}>
+            <TextField
+              autoFocus
+              fullWidth
+              size="small"
+              label="Name"
+              value={fields.name}
+              onChange={handleChange('name')}
+              error={!!errors.name}
+              helperText={errors.name}
+              inputProps={{ maxLength: MAX_TEMPLATE_NAME_LENGTH }}
+            />
+            <TextField
+              fullWidth
+              size="small"
+              label="Title pattern"
+              value={fields.titlePattern}
+              onChange={handleChange('titlePattern')}
+              error={!!errors.titlePattern}
+              helperText={errors.titlePattern || `For example "Daily review {date}". Placeholders: ${TEMPLATE_PLACEHOLDERS.join(', ')}`}
+            />
+            <TextField
+              fullWidth
+              multiline
+              minRows={6}
+              label="Content"
+              value={fields.content}
+              onChange={handleChange('content')}
+              error={!!errors.content}
+              helperText={errors.content || 'Markdown. Headings make good prompts, such as "## What went well today"'}
+            />
+            <FormControl fullWidth size="small">
+              <InputLabel id="template-mood-label">Default mood</InputLabel>
+              <Select
+                labelId="template-mood-label"
+                value={fields.mood}
+                onChange={handleChange('mood')}
+                label="Default mood"
+              >
+                <MenuItem value=""><em>None</em></MenuItem>
+                {MOODS.map(option => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              fullWidth
+              size="small"
+              label="Default tags"
+              value={tagText}
+              onChange={(event) => setTagText(event.target.value)}
+              error={!!errors.tags}
+              helperText={errors.tags || 'Separated by commas'}
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          {template && onDelete && (
+            <Button onClick={() => onDelete(template)} color="error" sx={{ mr: 'auto' }}>
+              Delete
+            </Button>
+          )}
+          <Button onClick={onClose} color="primary">
+            Cancel
+          </Button>
+          <Button type="submit" color="primary" variant="contained" disabled={!fields.name.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default TemplateDialog;
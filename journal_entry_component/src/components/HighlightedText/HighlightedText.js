@@ -0,0 +1,27 @@
+import React from 'react';
+import { Box } from '@mui/material';
+
+/**
+ * Render text with the parts matching a search marked.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.parts - Parts returned by highlightText or buildSnippet
+ * @returns {JSX.Element} The HighlightedText component
+ */
+const HighlightedText = ({ parts }) => (
+  <>
+    {parts.map((part, index) => (part.highlight ? (
+      <Box
+        key={index}
+        component="mark"
+        sx={{ bgcolor: 'warning.light', color: 'inherit', borderRadius: 0.5 }}
+      >
+        {part.value}
+      </Box>
+    ) : (
+      <span key={index}>{part.value}</span>
+    )))}
+  </>
+);
+
+export default HighlightedText;
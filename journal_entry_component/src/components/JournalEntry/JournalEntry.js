@@ -1,18 +1,23 @@
 import React, { useState, useEffect } from 'react';
 import { TextField, Button, Paper, Typography, Container, Box } from '@mui/material';
-import { user } from '../../utils/userAuth';
-import { createJournalEntry } from '../../models/JournalEntry';
+import AuthService from '../../services/authService';
+import { createJournalEntry, formatEntryDate } from '../../models/JournalEntry';
 import {
   getAllEntries,
   createEntry,
   updateEntry,
-  deleteEntry
+  deleteEntry,
+  purgeExpiredTrash,
+  whenStorageReady
 } from '../../services/journalService';
+import ConfirmDialog from '../ConfirmDialog/ConfirmDialog';
+import TrashDialog from '../Trash/TrashDialog';
+import MarkdownView from '../Markdown/MarkdownView';
 import './JournalEntry.css';
 
 /**
  * JournalEntry component for creating and managing journal entries.
- * Uses static user details for direct access.
+ * Entries are stored in the signed-in user's own namespace by journalService.
  */
 const JournalEntry = () => {
   // State for form fields
@@ -21,10 +26,15 @@ const JournalEntry = () => {
   const [entries, setEntries] = useState([]);
   const [currentEntry, setCurrentEntry] = useState(null);
   const [error, setError] = useState(null);
+  const [entryToDelete, setEntryToDelete] = useState(null);
+  const [trashOpen, setTrashOpen] = useState(false);
 
-  // Load existing entries on component mount
+  // Purge expired trash and load existing entries on component mount, once storage is ready
   useEffect(() => {
-    loadEntries();
+    whenStorageReady().then(() => {
+      purgeExpiredTrash();
+      loadEntries();
+    });
   }, []);
 
   /**
@@ -45,8 +55,7 @@ const JournalEntry = () => {
 
     const entryData = {
       title: title.trim(),
-      content: content.trim(),
-      userId: user.username, // Using static user details
+      content: content.trim()
     };
 
     try {
@@ -88,16 +97,23 @@ const JournalEntry = () => {
   };
 
   /**
-   * Handle deleting an entry
-   * @param {string} id - ID of the entry to delete
+   * Handle deleting the entry awaiting confirmation by moving it to the trash
    */
-  const handleDelete = (id) => {
+  const handleDelete = () => {
+    const { id } = entryToDelete;
+    setEntryToDelete(null);
+
     try {
       const { success, errors } = deleteEntry(id);
       if (!success) {
         setError(Object.values(errors).join(', '));
         return;
       }
+      if (currentEntry && currentEntry.id === id) {
+        setCurrentEntry(null);
+        setTitle('');
+        setContent('');
+      }
       loadEntries();
     } catch (err) {
       setError('An error occurred while deleting the entry');
@@ -109,7 +125,7 @@ const JournalEntry = () => {
     <Container className="journal-entry-container">
       <Box className="user-info">
         <Typography variant="h6">
-          Welcome, {user.username}!
+          Welcome, {AuthService.getUser()?.name || 'Guest'}!
         </Typography>
       </Box>
 
@@ -175,9 +191,14 @@ const JournalEntry = () => {
       </Paper>
 
       <Box className="entries-list">
-        <Typography variant="h5" gutterBottom>
-          Your Journal Entries
-        </Typography>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="h5" gutterBottom>
+            Your Journal Entries
+          </Typography>
+          <Button variant="text" onClick={() => setTrashOpen(true)}>
+            Trash
+          </Button>
+        </Box>
 
         {entries.length === 0 ? (
           <Typography variant="body1">
@@ -188,9 +209,9 @@ const JournalEntry = () => {
             <Paper key={entry.id} elevation={2} className="entry-item">
               <Box className="entry-content">
                 <Typography variant="h6">{entry.title}</Typography>
-                <Typography variant="body1">{entry.content}</Typography>
+                <MarkdownView content={entry.content} />
                 <Typography variant="caption" className="entry-date">
-                  Created: {new Date(entry.createdAt).toLocaleString()}
+                  {formatEntryDate(entry.entryDate)} · Created: {new Date(entry.createdAt).toLocaleString()}
                 </Typography>
               </Box>
               <Box className="entry-actions">
@@ -204,7 +225,7 @@ const JournalEntry = () => {
                 <Button
                   variant="outlined"
                   color="error"
-                  onClick={() => handleDelete(entry.id)}
+                  onClick={() => setEntryToDelete(entry)}
                 >
                   Delete
                 </Button>
@@ -213,6 +234,22 @@ const JournalEntry = () => {
           ))
         )}
       </Box>
+
+      <ConfirmDialog
+        open={!!entryToDelete}
+        title="Move to trash?"
+        message={`"${entryToDelete?.title || 'Untitled Entry'}" will be moved to the trash. You can restore it from there until it is deleted permanently.`}
+        confirmLabel="Move to trash"
+        confirmColor="error"
+        onClose={() => setEntryToDelete(null)}
+        onConfirm={handleDelete}
+      />
+
+      <TrashDialog
+        open={trashOpen}
+        onClose={() => setTrashOpen(false)}
+        onRestore={loadEntries}
+      />
     </Container>
   );
 };
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   Box,
   TextField,
@@ -17,36 +17,85 @@ import {
   Alert,
   FormHelperText,
   Divider,
-  Paper
+  Paper,
+  Autocomplete
 } from '@mui/material';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
-import { LocalizationProvider, DatePicker } from '@mui/x-date-pickers';
+import { LocalizationProvider, DatePicker, TimePicker } from '@mui/x-date-pickers';
 import SaveIcon from '@mui/icons-material/Save';
 import CancelIcon from '@mui/icons-material/Cancel';
 import EditIcon from '@mui/icons-material/Edit';
 import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
 import MoodIcon from '@mui/icons-material/Mood';
 import LocalOfferIcon from '@mui/icons-material/LocalOffer';
+import HistoryIcon from '@mui/icons-material/History';
+import CloudDoneIcon from '@mui/icons-material/CloudDone';
+import CloudSyncIcon from '@mui/icons-material/CloudSync';
+import CloudOffIcon from '@mui/icons-material/CloudOff';
 
-import { validateJournalEntryData, formatDate } from '../../models/JournalEntry';
+import {
+  MOODS,
+  validateJournalEntryData,
+  toEntryDate,
+  entryDateToDate,
+  formatEntryDate,
+  formatDate
+} from '../../models/JournalEntry';
 import journalService from '../../services/journalService';
+import AuthService from '../../services/authService';
+import draftStore from '../../services/draftStore';
+import { syncService } from '../../services/syncService';
+import ConflictResolutionDialog from '../ConflictResolutionDialog/ConflictResolutionDialog';
+import EntryHistoryDialog from '../EntryHistory/EntryHistoryDialog';
+import UnsavedChangesDialog from '../UnsavedChangesDialog/UnsavedChangesDialog';
+import unsavedChanges from '../../services/unsavedChanges';
+import MarkdownEditor from '../Markdown/MarkdownEditor';
+import MarkdownView from '../Markdown/MarkdownView';
+import { createEntryFromTemplate } from '../../utils/entryTemplates';
+
+// Time zone of this device, preselected when a time is added to an entry
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [LOCAL_TIME_ZONE];
+
+// Wait for typing to pause before autosaving the draft
+const DRAFT_SAVE_DELAY_MS = 1000;
+
+// Autosave status shown next to the form buttons; 'clean' until something is changed
+const DRAFT_STATUS = {
+  clean: { label: 'All changes saved', icon: <CloudDoneIcon fontSize="small" />, color: 'text.secondary' },
+  saved: { label: 'Draft saved', icon: <CloudDoneIcon fontSize="small" />, color: 'text.secondary' },
+  saving: { label: 'Saving draft…', icon: <CloudSyncIcon fontSize="small" />, color: 'text.secondary' },
+  unsaved: { label: 'Unsaved changes', icon: <CloudOffIcon fontSize="small" />, color: 'warning.main' }
+};
 
 /**
  * JournalEntryForm component for creating and editing journal entries.
+ * While editing, changes are autosaved as a draft (see draftStore.js) and a
+ * draft left from an earlier visit is offered for restoring. The form knows
+ * when its fields differ from the loaded entry, and asks whether to save or
+ * discard them before it is cancelled, the route changes, the tab closes or
+ * the user logs out (see unsavedChanges.js).
  * 
  * @param {Object} props - Component props
  * @param {Object} [props.entry] - Existing journal entry for editing (optional)
+ * @param {Object} [props.template] - Template a new entry starts from (see utils/entryTemplates.js)
  * @param {Function} props.onSave - Callback function called after successful save
  * @param {Function} props.onCancel - Callback function called when form is cancelled
  * @param {string} [props.mode='edit'] - The mode of the form ('edit' or 'view')
  * @param {Function} [props.onEdit] - Callback function called when edit button is clicked in view mode
  * @returns {JSX.Element} The JournalEntryForm component
  */
-const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) => {
+const JournalEntryForm = ({ entry, template, onSave, onCancel, mode = 'edit', onEdit }) => {
   // State for form fields
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
   const [date, setDate] = useState(new Date());
+  // Optional time of day and its time zone; the entry covers the whole day without a time
+  const [time, setTime] = useState(null);
+  const [timeZone, setTimeZone] = useState(LOCAL_TIME_ZONE);
   const [mood, setMood] = useState('');
   const [tags, setTags] = useState([]);
   const [currentTag, setCurrentTag] = useState('');
@@ -55,32 +104,300 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
   const [errors, setErrors] = useState({});
   const [notification, setNotification] = useState({ open: false, message: '', severity: 'success' });
 
-  // Initialize form with entry data if provided
+  // State for a sync conflict on this entry
+  const [conflict, setConflict] = useState(null);
+  const [conflictDialogOpen, setConflictDialogOpen] = useState(false);
+
+  // Current version of the entry shown in the revision history, null while closed
+  const [historyEntry, setHistoryEntry] = useState(null);
+
+  // Fields as loaded or last saved, serialized, to tell whether the form has unsaved changes.
+  // Taken from the form once the fields it shows have been rendered: bumping fieldsVersion
+  // along with setting the fields asks for them to be taken again.
+  const [loadedFields, setLoadedFields] = useState(null);
+  const [fieldsVersion, setFieldsVersion] = useState(0);
+  const [loadedVersion, setLoadedVersion] = useState(-1);
+  const loadingFields = loadedVersion !== fieldsVersion;
+
+  // Autosaved draft: a draft from an earlier visit waiting to be restored or discarded,
+  // and the autosave status
+  const [offeredDraft, setOfferedDraft] = useState(null);
+  const [draftStatus, setDraftStatus] = useState('saved');
+  // The user the draft belongs to, kept when the session expires while typing
+  const draftOwner = useRef(null);
+  const draftKey = useRef(null);
+  const draftTimer = useRef(null);
+  // Saves the pending draft at once, when the tab is closed or the form goes away
+  const flushDraft = useRef(() => {});
+
+  // Whether cancelling waits for the user to save or discard their changes
+  const [confirmCancel, setConfirmCancel] = useState(false);
+  // Latest state and handlers, for the guard registered with unsavedChanges
+  const guardHandlers = useRef(null);
+
+  /**
+   * Show an entry date in the date, time and time zone fields
+   * @param {Object} [entryDate] - The entry date, or nothing for today
+   */
+  const setEntryDateFields = useCallback((entryDate) => {
+    setDate(entryDate ? entryDateToDate(entryDate) : new Date());
+    setTime(entryDate && entryDate.time ? entryDateToDate(entryDate) : null);
+    setTimeZone(entryDate?.timeZone || LOCAL_TIME_ZONE);
+  }, []);
+
+  /**
+   * Build the entry date from the date, time and time zone fields
+   * @returns {Object} The entry date
+   */
+  const buildEntryDate = () => ({
+    date: toEntryDate(date).date,
+    time: time ? toEntryDate(time, { withTime: true }).time : null,
+    timeZone: time ? timeZone : null
+  });
+
+  const currentFields = JSON.stringify({ title, content, entryDate: buildEntryDate(), mood, tags });
+  const isDirty = mode !== 'view' && !loadingFields && loadedFields !== null && currentFields !== loadedFields;
+
+  // Remember the fields as loaded, once the form shows them
   useEffect(() => {
+    if (loadedVersion === fieldsVersion) return;
+    setLoadedFields(currentFields);
+    setLoadedVersion(fieldsVersion);
+  }, [loadedVersion, fieldsVersion, currentFields]);
+
+  /**
+   * Show draft or entry fields in the form
+   * @param {Object} fields - The title, content, entryDate, mood and tags
+   */
+  const setFormFields = useCallback((fields) => {
+    setTitle(fields.title || '');
+    setContent(fields.content || '');
+    setEntryDateFields(fields.entryDate);
+    setMood(fields.mood || '');
+    setTags(fields.tags || []);
+  }, [setEntryDateFields]);
+
+  /**
+   * Reset the form to its initial state
+   */
+  const resetForm = useCallback(() => {
+    setTitle('');
+    setContent('');
+    setEntryDateFields(null);
+    setMood('');
+    setTags([]);
+    setCurrentTag('');
+    setErrors({});
+  }, [setEntryDateFields]);
+
+  /**
+   * Show the entry being edited, or start a new entry over from its template
+   * or blank
+   */
+  const showInitialFields = useCallback(() => {
     if (entry) {
-      setTitle(entry.title || '');
-      setContent(entry.content || '');
-      setDate(entry.createdAt ? new Date(entry.createdAt) : new Date());
-      
-      // If the entry has mood or tags in the future, set them here
-      // This assumes these fields might be added to the JournalEntry model later
-      if (entry.mood) setMood(entry.mood);
-      if (entry.tags && Array.isArray(entry.tags)) setTags(entry.tags);
+      setFormFields(entry);
+    } else if (template) {
+      setFormFields(createEntryFromTemplate(template, toEntryDate(new Date()).date));
+      setCurrentTag('');
+      setErrors({});
+    } else {
+      resetForm();
+    }
+  }, [entry, template, setFormFields, resetForm]);
+
+  // updatedAt of the entry being edited, stored with its draft; null for a new entry
+  const entryUpdatedAt = entry?.updatedAt ? new Date(entry.updatedAt).toISOString() : null;
+
+  /**
+   * Drop the draft and take the fields shown next as the loaded ones, after
+   * the entry was saved or the user chose not to keep the changes
+   */
+  const markSaved = () => {
+    clearTimeout(draftTimer.current);
+    draftTimer.current = null;
+    draftStore.discardDraft(draftOwner.current, draftKey.current);
+    if (!entry || !entry.id) draftKey.current = draftStore.createNewDraftKey();
+    setDraftStatus('saved');
+    setFieldsVersion(version => version + 1);
+    // Navigation right after saving or discarding must not be held before the form re-renders
+    guardHandlers.current.isDirty = false;
+  };
+
+  /**
+   * Throw away the changes and show the entry as loaded again
+   */
+  const discardChanges = () => {
+    showInitialFields();
+    markSaved();
+  };
+
+  // Find the draft of this entry, or of a new entry, and offer to restore it
+  useEffect(() => {
+    if (mode === 'view') return;
+    draftOwner.current = AuthService.getUserId();
+    draftKey.current = entry && entry.id ? entry.id : draftStore.createNewDraftKey();
+    setDraftStatus('saved');
+    setOfferedDraft(entry && entry.id
+      ? draftStore.getDraft(draftOwner.current, entry.id)
+      : draftStore.getLatestNewEntryDraft(draftOwner.current));
+  }, [entry, mode]);
+
+  // Autosave the draft once typing pauses, and drop it when the changes are undone. While an
+  // earlier draft is offered it is not overwritten; the changes stay unsaved until the user
+  // restores or discards it.
+  useEffect(() => {
+    if (mode === 'view' || loadingFields) return;
+    clearTimeout(draftTimer.current);
+    draftTimer.current = null;
+    if (offeredDraft) {
+      setDraftStatus(isDirty ? 'unsaved' : 'saved');
+      return;
     }
+    if (!isDirty) {
+      draftStore.discardDraft(draftOwner.current, draftKey.current);
+      setDraftStatus('saved');
+      return;
+    }
+
+    const fields = JSON.parse(currentFields);
+    const save = () => {
+      draftTimer.current = null;
+      const saved = draftStore.saveDraft(draftOwner.current, draftKey.current, fields, entryUpdatedAt);
+      setDraftStatus(saved ? 'saved' : 'unsaved');
+    };
+
+    setDraftStatus('saving');
+    draftTimer.current = setTimeout(save, DRAFT_SAVE_DELAY_MS);
+    flushDraft.current = () => {
+      if (!draftTimer.current) return;
+      clearTimeout(draftTimer.current);
+      save();
+    };
+  }, [currentFields, entryUpdatedAt, isDirty, loadingFields, offeredDraft, mode]);
+
+  // Ask before the tab closes with unsaved changes; the draft is saved either way
+  useEffect(() => {
+    if (!isDirty) return undefined;
+    const handleBeforeUnload = (event) => {
+      flushDraft.current();
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  // Let logging out and route changes ask about unsaved changes
+  guardHandlers.current = { isDirty, save: () => saveEntry(), discard: discardChanges };
+  useEffect(() => unsavedChanges.registerGuard({
+    isDirty: () => guardHandlers.current.isDirty,
+    save: () => guardHandlers.current.save(),
+    discard: () => guardHandlers.current.discard()
+  }), []);
+
+  // Save a pending draft right away when the tab closes or the form is closed
+  useEffect(() => {
+    const handlePageHide = () => flushDraft.current();
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      flushDraft.current();
+    };
+  }, []);
+
+  /**
+   * Restore the draft offered when the form opened
+   */
+  const handleRestoreDraft = () => {
+    setFormFields(offeredDraft);
+    draftKey.current = offeredDraft.key;
+    setOfferedDraft(null);
+  };
+
+  /**
+   * Discard the draft offered when the form opened
+   */
+  const handleDiscardDraft = () => {
+    draftStore.discardDraft(draftOwner.current, offeredDraft.key);
+    setOfferedDraft(null);
+  };
+
+  // Initialize form with entry data, or the template of a new entry, if provided
+  useEffect(() => {
+    showInitialFields();
+    setFieldsVersion(version => version + 1);
+  }, [showInitialFields]);
+
+  // Track whether this entry has a sync conflict waiting to be resolved
+  useEffect(() => {
+    const entryId = entry?.id;
+    setConflict(entryId ? syncService.getConflict(entryId) : null);
+    if (!entryId) return undefined;
+
+    return syncService.subscribe(({ conflicts }) => {
+      setConflict(conflicts.find(record => record.entryId === entryId) || null);
+    });
   }, [entry]);
 
   /**
-   * Handle form submission
-   * @param {React.FormEvent} event - The form event
+   * Handle a resolved conflict by showing the resolved version
+   * @param {JournalEntry|null} resolvedEntry - The saved entry, or null if it was deleted
    */
-  const handleSubmit = (event) => {
-    event.preventDefault();
-    
+  const handleConflictResolved = (resolvedEntry) => {
+    setConflictDialogOpen(false);
+    setConflict(null);
+    setNotification({
+      open: true,
+      message: 'Conflict resolved',
+      severity: 'success'
+    });
+
+    if (resolvedEntry) {
+      setFormFields(resolvedEntry);
+    }
+    markSaved();
+    if (onSave && typeof onSave === 'function') {
+      onSave(resolvedEntry);
+    }
+  };
+
+  /**
+   * Open the revision history with the latest stored version of the entry
+   */
+  const handleOpenHistory = () => {
+    setHistoryEntry(journalService.getEntryById(entry.id) || entry);
+  };
+
+  /**
+   * Handle a restored revision by showing it
+   * @param {JournalEntry} restoredEntry - The entry with the restored revision
+   */
+  const handleRevisionRestored = (restoredEntry) => {
+    setHistoryEntry(null);
+    setFormFields(restoredEntry);
+    markSaved();
+    setNotification({
+      open: true,
+      message: 'Revision restored',
+      severity: 'success'
+    });
+
+    if (onSave && typeof onSave === 'function') {
+      onSave(restoredEntry);
+    }
+  };
+
+  /**
+   * Save the entry as it is in the form
+   * @returns {boolean} True if the entry was saved
+   */
+  const saveEntry = () => {
     // Prepare entry data
     const entryData = {
       title,
       content,
-      createdAt: date,
+      entryDate: buildEntryDate(),
       // Include mood and tags if they're not empty
       ...(mood && { mood }),
       ...(tags.length > 0 && { tags })
@@ -91,7 +408,7 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
     
     if (!validation.isValid) {
       setErrors(validation.errors);
-      return;
+      return false;
     }
     
     try {
@@ -112,9 +429,12 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
           message: 'Failed to save journal entry',
           severity: 'error'
         });
-        return;
+        return false;
       }
       
+      // The draft is in the entry now
+      markSaved();
+
       // Clear errors and show success notification
       setErrors({});
       setNotification({
@@ -130,8 +450,9 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
       
       // Reset form if creating a new entry
       if (!entry || !entry.id) {
-        resetForm();
+        showInitialFields();
       }
+      return true;
     } catch (error) {
       console.error('Error saving journal entry:', error);
       setNotification({
@@ -139,31 +460,56 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
         message: 'An unexpected error occurred',
         severity: 'error'
       });
+      return false;
     }
   };
 
   /**
-   * Reset the form to its initial state
+   * Handle form submission
+   * @param {React.FormEvent} event - The form event
    */
-  const resetForm = () => {
-    setTitle('');
-    setContent('');
-    setDate(new Date());
-    setMood('');
-    setTags([]);
-    setCurrentTag('');
-    setErrors({});
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    saveEntry();
   };
 
   /**
    * Handle cancelling the form
    */
   const handleCancel = () => {
+    if (isDirty) {
+      setConfirmCancel(true);
+      return;
+    }
+    leaveForm();
+  };
+
+  /**
+   * Close the form
+   */
+  const leaveForm = () => {
     if (onCancel && typeof onCancel === 'function') {
       onCancel();
     }
   };
 
+  /**
+   * Save the changes, then close the form
+   */
+  const handleSaveAndCancel = () => {
+    setConfirmCancel(false);
+    if (saveEntry()) leaveForm();
+  };
+
+  /**
+   * Throw the changes away, then close the form
+   */
+  const handleDiscardAndCancel = () => {
+    setConfirmCancel(false);
+    discardChanges();
+    leaveForm();
+  };
+
   /**
    * Add a tag to the tags array
    */
@@ -202,18 +548,12 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
 
   // Get mood display name
   const getMoodDisplayName = (moodValue) => {
-    const moodMap = {
-      'happy': 'Happy',
-      'sad': 'Sad',
-      'excited': 'Excited',
-      'anxious': 'Anxious',
-      'calm': 'Calm',
-      'frustrated': 'Frustrated',
-      'grateful': 'Grateful'
-    };
-    return moodValue ? moodMap[moodValue] || moodValue : 'Not specified';
+    const moodOption = MOODS.find(option => option.value === moodValue);
+    return moodValue ? (moodOption ? moodOption.label : moodValue) : 'Not specified';
   };
 
+  const statusKey = isDirty ? draftStatus : 'clean';
+
   // Render view mode content
   const renderViewMode = () => {
     return (
@@ -241,7 +581,7 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
               </Typography>
             </Box>
             <Typography variant="body1">
-              {date ? formatDate(date, 'default') : 'Not specified'}
+              {formatEntryDate(buildEntryDate())}
             </Typography>
           </Paper>
           
@@ -291,9 +631,7 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
             Content
           </Typography>
           <Paper elevation={0} sx={{ p: 2, bgcolor: 'background.default', borderRadius: 1 }}>
-            <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
-              {content || 'No content'}
-            </Typography>
+            <MarkdownView content={content} />
           </Paper>
         </Box>
       </Box>
@@ -302,17 +640,41 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
 
   return (
     <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      {conflict && (
+        <Alert
+          severity="warning"
+          sx={{ borderRadius: 0, flexShrink: 0 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => setConflictDialogOpen(true)}>
+              Resolve
+            </Button>
+          }
+        >
+          This entry was also changed on another device.
+        </Alert>
+      )}
+
       {mode === 'view' ? (
         <>
           <CardContent sx={{ flexGrow: 1, overflow: 'auto' }}>
             {renderViewMode()}
           </CardContent>
           <CardActions sx={{ justifyContent: 'flex-end', p: 2, flexShrink: 0 }}>
+            {entry?.id && (
+              <Button
+                variant="outlined"
+                startIcon={<HistoryIcon />}
+                onClick={handleOpenHistory}
+              >
+                History
+              </Button>
+            )}
             <Button
               variant="contained"
               color="primary"
               startIcon={<EditIcon />}
               onClick={onEdit}
+              sx={{ ml: 1 }}
             >
               Edit
             </Button>
@@ -320,6 +682,26 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
         </>
       ) : (
         <form onSubmit={handleSubmit} style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+          {offeredDraft && (
+            <Alert
+              severity="info"
+              sx={{ borderRadius: 0, flexShrink: 0 }}
+              action={
+                <>
+                  <Button color="inherit" size="small" onClick={handleDiscardDraft}>
+                    Discard
+                  </Button>
+                  <Button color="inherit" size="small" onClick={handleRestoreDraft}>
+                    Restore
+                  </Button>
+                </>
+              }
+            >
+              You have an unsaved draft from {formatDate(offeredDraft.savedAt, 'relative')}.
+              {offeredDraft.entryId && offeredDraft.baseUpdatedAt !== entryUpdatedAt &&
+                ' The entry has been changed since.'}
+            </Alert>
+          )}
           <CardContent sx={{ flexGrow: 1, overflow: 'auto' }}>
             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
               {/* Title field (optional) */}
@@ -344,24 +726,50 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
                     textField: {
                       fullWidth: true,
                       variant: 'outlined',
-                      error: !!errors.createdAt,
-                      helperText: errors.createdAt
+                      error: !!errors.entryDate,
+                      helperText: errors.entryDate
                     }
                   }}
                 />
+                <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, gap: 2 }}>
+                  <TimePicker
+                    label="Time"
+                    value={time}
+                    onChange={(newTime) => setTime(newTime)}
+                    slotProps={{
+                      field: { clearable: true },
+                      textField: {
+                        fullWidth: true,
+                        variant: 'outlined',
+                        helperText: 'Optional'
+                      }
+                    }}
+                  />
+                  <Autocomplete
+                    fullWidth
+                    options={TIME_ZONES.includes(timeZone) ? TIME_ZONES : [timeZone, ...TIME_ZONES]}
+                    value={timeZone}
+                    onChange={(e, newTimeZone) => setTimeZone(newTimeZone || LOCAL_TIME_ZONE)}
+                    disabled={!time}
+                    disableClearable
+                    renderInput={(params) => (
+                      <TextField
+                        {...params}
+                        label="Time zone"
+                        helperText={time ? ' ' : 'Set a time first'}
+                      />
+                    )}
+                  />
+                </Box>
               </LocalizationProvider>
               
-              {/* Content field (required) */}
-              <TextField
+              {/* Content field (required), written in Markdown */}
+              <MarkdownEditor
                 label="Content"
-                variant="outlined"
-                fullWidth
-                multiline
-                rows={6}
                 value={content}
-                onChange={(e) => setContent(e.target.value)}
+                onChange={setContent}
                 error={!!errors.content}
-                helperText={errors.content || 'Write your journal entry here'}
+                helperText={errors.content || 'Write your journal entry here. Markdown is supported.'}
                 required
               />
               
@@ -375,13 +783,9 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
                   label="Mood"
                 >
                   <MenuItem value=""><em>None</em></MenuItem>
-                  <MenuItem value="happy">Happy</MenuItem>
-                  <MenuItem value="sad">Sad</MenuItem>
-                  <MenuItem value="excited">Excited</MenuItem>
-                  <MenuItem value="anxious">Anxious</MenuItem>
-                  <MenuItem value="calm">Calm</MenuItem>
-                  <MenuItem value="frustrated">Frustrated</MenuItem>
-                  <MenuItem value="grateful">Grateful</MenuItem>
+                  {MOODS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
                 </Select>
                 <FormHelperText>Optional</FormHelperText>
               </FormControl>
@@ -429,6 +833,15 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
           </CardContent>
           
           <CardActions sx={{ justifyContent: 'flex-end', p: 2, flexShrink: 0 }}>
+            <Box
+              role="status"
+              sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mr: 'auto', color: DRAFT_STATUS[statusKey].color }}
+            >
+              {DRAFT_STATUS[statusKey].icon}
+              <Typography variant="body2" component="span">
+                {DRAFT_STATUS[statusKey].label}
+              </Typography>
+            </Box>
             <Button
               variant="outlined"
               startIcon={<CancelIcon />}
@@ -449,6 +862,27 @@ const JournalEntryForm = ({ entry, onSave, onCancel, mode = 'edit', onEdit }) =>
         </form>
       )}
       
+      <ConflictResolutionDialog
+        open={conflictDialogOpen}
+        conflict={conflict}
+        onClose={() => setConflictDialogOpen(false)}
+        onResolved={handleConflictResolved}
+      />
+
+      <EntryHistoryDialog
+        open={!!historyEntry}
+        entry={historyEntry}
+        onClose={() => setHistoryEntry(null)}
+        onRestore={handleRevisionRestored}
+      />
+
+      <UnsavedChangesDialog
+        open={confirmCancel}
+        onSave={handleSaveAndCancel}
+        onDiscard={handleDiscardAndCancel}
+        onClose={() => setConfirmCancel(false)}
+      />
+
       {/* Notification snackbar */}
       <Snackbar 
         open={notification.open} 
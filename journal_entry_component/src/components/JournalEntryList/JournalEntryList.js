@@ -1,7 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import {
   Box,
-  List,
   ListItem,
   ListItemText,
   ListItemButton,
@@ -14,88 +13,405 @@ import {
   InputLabel,
   Select,
   MenuItem,
-  Divider,
   Button,
   Chip,
   Tooltip,
-  CircularProgress
+  CircularProgress,
+  Badge,
+  Collapse
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
 import SortIcon from '@mui/icons-material/Sort';
-import AddIcon from '@mui/icons-material/Add';
 import ClearIcon from '@mui/icons-material/Clear';
 import FilterListIcon from '@mui/icons-material/FilterList';
+import SwapVertIcon from '@mui/icons-material/SwapVert';
 import MoodIcon from '@mui/icons-material/Mood';
 import LocalOfferIcon from '@mui/icons-material/LocalOffer';
 import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
 import UpdateIcon from '@mui/icons-material/Update';
+import BookmarkAddIcon from '@mui/icons-material/BookmarkAdd';
+import CollectionsBookmarkIcon from '@mui/icons-material/CollectionsBookmark';
 
-import { formatDate } from '../../models/JournalEntry';
+import { formatDate, formatEntryDate } from '../../models/JournalEntry';
 import journalService from '../../services/journalService';
+import AuthService from '../../services/authService';
+import { webSocketService } from '../../services/WebSocketService';
+import { syncService } from '../../services/syncService';
+import serverSearch from '../../services/serverSearch';
+import preferencesService from '../../services/preferencesService';
+import { parseSearchQuery, isEmptySearchQuery, getHighlightTerms } from '../../utils/searchQuery';
+import { highlightText, buildSnippet } from '../../utils/textSearch';
+import {
+  readFiltersFromUrl,
+  writeFiltersToUrl,
+  countActiveFilters,
+  passesFilters,
+  applyFilters,
+  countFacets
+} from '../../utils/entryFilters';
+import HighlightedText from '../HighlightedText/HighlightedText';
+import EntryFilterPanel from '../EntryFilters/EntryFilterPanel';
+import ActiveFilterChips from '../EntryFilters/ActiveFilterChips';
+import SavedSearchSidebar from '../SavedSearches/SavedSearchSidebar';
+import SaveSearchDialog from '../SavedSearches/SaveSearchDialog';
+import ConfirmDialog from '../ConfirmDialog/ConfirmDialog';
+import WindowedList from '../WindowedList/WindowedList';
+import NewEntryButton from '../EntryTemplates/NewEntryButton';
+
+// Wait for typing to pause before asking the server
+const SERVER_SEARCH_DELAY_MS = 300;
+
+// Local results are loaded from storage a page at a time as the list is scrolled
+const PAGE_SIZE = 50;
+
+// Heights of the entry rows, which have two more lines while the search is highlighted
+const ROW_HEIGHT = 104;
+const SNIPPET_ROW_HEIGHT = 148;
+
+// Wait for entry changes, such as saves while typing, to pause before counting the collections again
+const COLLECTION_COUNT_DELAY_MS = 500;
+
+// Wait for scrolling to pause before remembering the scroll position
+const SCROLL_SAVE_DELAY_MS = 200;
+
+// Key of the list's scroll position and loaded pages in the history state
+const HISTORY_STATE_KEY = 'journalEntryList';
+
+/**
+ * Check whether the list shows exactly what a saved search holds.
+ * @private
+ */
+const isShowingSavedSearch = (search, state) =>
+  search.query === state.query &&
+  JSON.stringify(search.filters) === JSON.stringify(state.filters) &&
+  search.sortField === state.sortField &&
+  search.sortDirection === state.sortDirection;
 
 /**
  * JournalEntryList component for displaying a list of journal entries with sorting and filtering options.
+ * Searches can be saved as smart collections, listed in a sidebar with the number of entries matching them.
+ * Entries are loaded from storage a page at a time as the list is scrolled, and only the rows in view are
+ * rendered. The scroll position and loaded pages are kept in the browser history so they are restored when
+ * the user navigates back to the list.
  * 
  * @param {Object} props - Component props
  * @param {Function} props.onSelectEntry - Callback function called when an entry is selected
- * @param {Function} props.onCreateEntry - Callback function called when the create button is clicked
+ * @param {Function} props.onCreateEntry - Callback function called when the create button is clicked, with the
+ * template chosen for the new entry or null
  * @param {string} [props.selectedEntryId] - ID of the currently selected entry
  * @param {Array} [props.entries] - Array of journal entries to display (optional)
  * @returns {JSX.Element} The JournalEntryList component
  */
 const JournalEntryList = ({ onSelectEntry, onCreateEntry, selectedEntryId, entries: entriesProp }) => {
-  // State for entries and filtering/sorting
+  // Pages of entries loaded so far, and the cursor of the next page
   const [entries, setEntries] = useState([]);
-  const [filteredEntries, setFilteredEntries] = useState([]);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [sortField, setSortField] = useState('updatedAt');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingPage, setLoadingPage] = useState(false);
+  // Bumped when stored entries change, to load the pages shown again
+  const [entriesVersion, setEntriesVersion] = useState(0);
+  // The search query and filters start from the URL, so filtered views can be bookmarked
+  const [searchQuery, setSearchQuery] = useState(() => readFiltersFromUrl(window.location.search).query);
+  const [filters, setFilters] = useState(() => readFiltersFromUrl(window.location.search).filters);
+  const [showFilters, setShowFilters] = useState(() => countActiveFilters(filters) > 0);
+  const [facets, setFacets] = useState({ moods: [], tags: [] });
+  const [sortField, setSortField] = useState(() => (searchQuery.trim() ? 'relevance' : 'entryDate'));
   const [sortDirection, setSortDirection] = useState('desc');
   const [loading, setLoading] = useState(true);
+  // Results of the server search while online: { entries, snippets, nextCursor }
+  const [serverResults, setServerResults] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Smart collections, synced with the user's preferences
+  const [savedSearches, setSavedSearches] = useState(() => preferencesService.getSavedSearches());
+  const [showCollections, setShowCollections] = useState(() => savedSearches.length > 0);
+  const [collectionCounts, setCollectionCounts] = useState(() => new Map());
+  const [saveDialogOpen, setSaveDialogOpen] = useState(false);
+  const [pendingDeleteSearch, setPendingDeleteSearch] = useState(null);
+  // Scroll position and loaded pages of the list when the user last left this history entry
+  const restoredListState = useRef(window.history.state?.[HISTORY_STATE_KEY] || null);
+  const loadedPageCount = useRef(restoredListState.current?.pageCount || 1);
+  const listScrollTop = useRef(restoredListState.current?.scrollTop || 0);
+  const scrollSaveTimer = useRef(null);
+  // The list loaded last, and a number changed by every load, so pages of earlier loads are dropped
+  const shownView = useRef(null);
+  const pageRequest = useRef(0);
+  // Changed to remount the list at the top when the results are replaced
+  const [listKey, setListKey] = useState(0);
 
-  // Load entries on component mount or when entriesProp changes
-  useEffect(() => {
-    if (entriesProp && entriesProp.length > 0) {
-      setEntries(entriesProp);
-    } else {
-      loadEntries();
+  // Parsed search query; the error is shown under the search box
+  const parsedQuery = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+
+  // Words and phrases of the query, highlighted in the results
+  const highlightTerms = useMemo(() => getHighlightTerms(parsedQuery.ast), [parsedQuery]);
+  const isHighlighting = highlightTerms.words.length > 0 || highlightTerms.phrases.length > 0;
+
+  // Server parameters of the query, or null when it is searched locally
+  const serverParams = useMemo(() => (
+    parsedQuery.error || isEmptySearchQuery(parsedQuery.ast) ? null : serverSearch.toSearchParams(parsedQuery.ast)
+  ), [parsedQuery]);
+
+  // What the list shows; null while the search query does not parse, which keeps the last results
+  const view = useMemo(() => (parsedQuery.error ? null : {
+    query: parsedQuery.ast,
+    filters,
+    sortField,
+    sortDirection,
+    entries: entriesProp && entriesProp.length > 0 ? entriesProp : null
+  }), [parsedQuery, filters, sortField, sortDirection, entriesProp]);
+
+  // Server results, narrowed down by the filters and sorted like the local pages
+  const serverEntries = useMemo(() => {
+    if (!serverResults) return null;
+    const result = applyFilters(serverResults.entries, filters);
+    // Search results come ranked by relevance, best first
+    if (sortField === 'relevance') {
+      return sortDirection === 'asc' ? result.reverse() : result;
     }
-  }, [entriesProp]);
+    return journalService.sortEntries(result, sortField, sortDirection);
+  }, [serverResults, filters, sortField, sortDirection]);
 
-  // Apply filtering and sorting when entries, searchQuery, sortField, or sortDirection change
-  useEffect(() => {
-    applyFilterAndSort();
-  }, [entries, searchQuery, sortField, sortDirection]);
+  const visibleEntries = serverEntries || entries;
+  const selectedIndex = visibleEntries.findIndex(entry => entry.id === selectedEntryId);
+
+  // The collection the list shows, if it shows one unchanged
+  const activeCollection = savedSearches.find(search => isShowingSavedSearch(search, {
+    query: searchQuery, filters, sortField, sortDirection
+  }));
+
+  /**
+   * Store the list's scroll position and loaded pages in the current history entry
+   */
+  const saveListState = useCallback(() => {
+    window.history.replaceState({
+      ...window.history.state,
+      [HISTORY_STATE_KEY]: { scrollTop: listScrollTop.current, pageCount: loadedPageCount.current }
+    }, '');
+  }, []);
 
   /**
-   * Load all journal entries from the service
+   * Load the next page of entries and append it to the list
    */
-  const loadEntries = () => {
-    setLoading(true);
+  const loadNextPage = useCallback(async () => {
+    const request = pageRequest.current;
+    setLoadingPage(true);
     try {
-      const allEntries = journalService.getAllEntries();
-      setEntries(allEntries);
+      const page = await journalService.getEntriesPage({ ...view, cursor: nextCursor, limit: PAGE_SIZE });
+      // Drop the page if the list was loaded again or extended meanwhile
+      if (request !== pageRequest.current) return;
+      pageRequest.current += 1;
+      loadedPageCount.current += 1;
+      setEntries(prevEntries => [...prevEntries, ...page.entries]);
+      setNextCursor(page.nextCursor);
+      saveListState();
     } catch (error) {
       console.error('Error loading journal entries:', error);
     } finally {
-      setLoading(false);
+      setLoadingPage(false);
     }
-  };
+  }, [view, nextCursor, saveListState]);
+
+  // Load the first pages, and the pages shown so far again whenever stored entries change
+  useEffect(() => {
+    if (!view) return;
+    // Start from the first page when the search, filters or sort order change, but not when restoring the list
+    if (shownView.current && shownView.current !== view) {
+      restoredListState.current = null;
+      listScrollTop.current = 0;
+      loadedPageCount.current = 1;
+      setListKey(key => key + 1);
+    }
+    shownView.current = view;
+
+    pageRequest.current += 1;
+    const request = pageRequest.current;
+    const loadPages = async () => {
+      try {
+        const page = await journalService.getEntriesPage({ ...view, limit: loadedPageCount.current * PAGE_SIZE });
+        if (request !== pageRequest.current) return;
+        setEntries(page.entries);
+        setNextCursor(page.nextCursor);
+        saveListState();
+      } catch (error) {
+        console.error('Error loading journal entries:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPages();
+  }, [view, entriesVersion, saveListState]);
+
+  // Follow changes made on the user's other devices and update the list in place
+  useEffect(() => {
+    const handleMessage = (message) => {
+      switch (message.type) {
+        case 'ENTRY_CREATED':
+        case 'ENTRY_UPDATED':
+        case 'ENTRY_DELETED': {
+          // ENTRY_DELETED carries the entry as it now sits in the trash
+          if (journalService.applyRemoteEntry(message.data)) {
+            setEntriesVersion(version => version + 1);
+          }
+          break;
+        }
+        case 'ENTRY_PURGED':
+          journalService.removeRemoteEntry(message.id);
+          setEntriesVersion(version => version + 1);
+          break;
+        default:
+          break;
+      }
+    };
+
+    webSocketService.onMessage(handleMessage);
+    if (AuthService.isAuthenticated()) {
+      webSocketService.connect();
+    }
+
+    return () => {
+      webSocketService.removeMessageCallback(handleMessage);
+    };
+  }, []);
+
+  // Keep the local journal in sync with the server and show what a sync brought in
+  useEffect(() => {
+    const unsubscribe = syncService.subscribe(({ status, lastResult }) => {
+      if (status === 'idle' && lastResult) {
+        setEntriesVersion(version => version + 1);
+      }
+    });
+    if (AuthService.isAuthenticated()) {
+      syncService.start();
+    }
+
+    return () => {
+      unsubscribe();
+      syncService.stop();
+    };
+  }, []);
+
+  // Follow collections saved or deleted here and on the user's other devices
+  useEffect(() => {
+    return preferencesService.subscribe(() => setSavedSearches(preferencesService.getSavedSearches()));
+  }, []);
+
+  // Count the entries in each collection while they are shown, in one pass over the entries,
+  // after entry changes settle; left out while its query does not parse
+  useEffect(() => {
+    if (!showCollections || loading) return undefined;
+
+    const timer = setTimeout(() => {
+      const searches = [];
+      savedSearches.forEach(search => {
+        const { ast, error } = parseSearchQuery(search.query);
+        if (!error) searches.push({ id: search.id, query: ast, filters: search.filters });
+      });
+      setCollectionCounts(journalService.countSearchMatches(searches));
+    }, COLLECTION_COUNT_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [savedSearches, showCollections, loading, entriesVersion]);
+
+  // Count the facets of the search results while the filter panel is open
+  useEffect(() => {
+    if (!showFilters || !view || loading) return;
+    if (serverResults) {
+      setFacets(countFacets(serverResults.entries, view.filters));
+    } else if (view.entries && isEmptySearchQuery(view.query)) {
+      setFacets(countFacets(view.entries, view.filters));
+    } else {
+      setFacets(journalService.countEntryFacets(view.query, view.filters));
+    }
+  }, [showFilters, view, serverResults, loading, entriesVersion]);
+
+  // While online, search on the server; local results are shown until it answers
+  useEffect(() => {
+    setServerResults(null);
+    if (!serverParams || !syncService.isOnline()) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const page = await serverSearch.fetchSearchPage(serverParams);
+        if (!cancelled) setServerResults(page);
+      } catch (error) {
+        console.error('Server search failed; showing local results:', error.message);
+      }
+    }, SERVER_SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [serverParams, entriesVersion]);
+
+  // Keep the search query and filters in the URL without adding history entries
+  useEffect(() => {
+    const search = writeFiltersToUrl(window.location.search, { query: searchQuery, filters });
+    if (search !== window.location.search) {
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }
+  }, [searchQuery, filters]);
+
+  // Follow the URL when the user navigates back or forward
+  useEffect(() => {
+    const handlePopState = () => {
+      const urlState = readFiltersFromUrl(window.location.search);
+      setSearchQuery(urlState.query);
+      setFilters(urlState.filters);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Load the pages up to the selected entry, so it stays in the list
+  useEffect(() => {
+    if (!selectedEntryId || !view || serverResults || !nextCursor || loadingPage) return;
+    if (entries.some(entry => entry.id === selectedEntryId)) return;
+    const selectedEntry = journalService.getEntryById(selectedEntryId);
+    if (selectedEntry && passesFilters(selectedEntry, view.filters)) loadNextPage();
+  }, [entries, selectedEntryId, view, serverResults, nextCursor, loadingPage, loadNextPage]);
+
+  useEffect(() => () => clearTimeout(scrollSaveTimer.current), []);
 
   /**
-   * Apply filtering and sorting to the entries
+   * Remember the scroll position once scrolling pauses
+   * @param {number} scrollTop - The list's scroll position
    */
-  const applyFilterAndSort = () => {
-    let result = [...entries];
+  const handleListScroll = (scrollTop) => {
+    listScrollTop.current = scrollTop;
+    clearTimeout(scrollSaveTimer.current);
+    scrollSaveTimer.current = setTimeout(saveListState, SCROLL_SAVE_DELAY_MS);
+  };
 
-    // Apply search filter if query exists
-    if (searchQuery.trim()) {
-      result = journalService.searchEntries(searchQuery);
+  /**
+   * Show the next page of results when the end of the list is scrolled into view
+   */
+  const handleEndReached = () => {
+    if (serverResults) {
+      if (serverResults.nextCursor && !loadingMore) handleLoadMore();
+    } else if (nextCursor && !loadingPage) {
+      loadNextPage();
     }
+  };
 
-    // Apply sorting to the filtered results
-    result = journalService.sortEntries(result, sortField, sortDirection);
-    
-    setFilteredEntries(result);
+  /**
+   * Load the next page of server search results
+   */
+  const handleLoadMore = async () => {
+    const current = serverResults;
+    setLoadingMore(true);
+    try {
+      const page = await serverSearch.fetchSearchPage(serverParams, current.nextCursor);
+      // Drop the page if the query or the entries changed meanwhile
+      setServerResults(prev => (prev === current ? {
+        entries: [...prev.entries, ...page.entries],
+        snippets: new Map([...prev.snippets, ...page.snippets]),
+        nextCursor: page.nextCursor
+      } : prev));
+    } catch (error) {
+      console.error('Error loading more search results:', error.message);
+    } finally {
+      setLoadingMore(false);
+    }
   };
 
   /**
@@ -103,13 +419,23 @@ const JournalEntryList = ({ onSelectEntry, onCreateEntry, selectedEntryId, entri
    * @param {React.ChangeEvent<HTMLInputElement>} event - The change event
    */
   const handleSearchChange = (event) => {
-    setSearchQuery(event.target.value);
+    const value = event.target.value;
+    // Rank results by relevance while searching, unless another order was chosen
+    if (!searchQuery.trim() && value.trim() && sortField === 'entryDate') {
+      setSortField('relevance');
+    } else if (!value.trim() && sortField === 'relevance') {
+      setSortField('entryDate');
+    }
+    setSearchQuery(value);
   };
 
   /**
    * Clear the search query
    */
   const handleClearSearch = () => {
+    if (sortField === 'relevance') {
+      setSortField('entryDate');
+    }
     setSearchQuery('');
   };
 
@@ -121,6 +447,13 @@ const JournalEntryList = ({ onSelectEntry, onCreateEntry, selectedEntryId, entri
     setSortField(event.target.value);
   };
 
+  /**
+   * Toggle the filter panel
+   */
+  const toggleFilters = () => {
+    setShowFilters(!showFilters);
+  };
+
   /**
    * Handle sort direction change
    */
@@ -128,6 +461,32 @@ const JournalEntryList = ({ onSelectEntry, onCreateEntry, selectedEntryId, entri
     setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
   };
 
+  /**
+   * Toggle the collections sidebar
+   */
+  const toggleCollections = () => {
+    setShowCollections(!showCollections);
+  };
+
+  /**
+   * Show the entries of a collection
+   * @param {Object} search - The saved search
+   */
+  const handleSelectCollection = (search) => {
+    setSearchQuery(search.query);
+    setFilters(search.filters);
+    setSortField(search.sortField);
+    setSortDirection(search.sortDirection);
+  };
+
+  /**
+   * Delete the collection awaiting confirmation
+   */
+  const handleConfirmDeleteCollection = () => {
+    preferencesService.deleteSavedSearch(pendingDeleteSearch.id);
+    setPendingDeleteSearch(null);
+  };
+
   /**
    * Handle entry selection
    * @param {string} entryId - The ID of the selected entry
@@ -140,13 +499,145 @@ const JournalEntryList = ({ onSelectEntry, onCreateEntry, selectedEntryId, entri
 
   /**
    * Handle create new entry button click
+   * @param {Object|null} template - The template the entry starts from, or null for a blank entry
    */
-  const handleCreateEntry = () => {
+  const handleCreateEntry = (template) => {
     if (onCreateEntry && typeof onCreateEntry === 'function') {
-      onCreateEntry();
+      onCreateEntry(template);
     }
   };
 
+  /**
+   * Render the row of an entry in the windowed list
+   * @param {number} index - Index of the entry in the visible entries
+   * @param {Object} style - Position of the row
+   * @returns {JSX.Element} The row
+   */
+  const renderEntryRow = (index, style) => {
+    const entry = visibleEntries[index];
+    return (
+      <Box key={entry.id} role="listitem" style={style} sx={{ borderBottom: 1, borderColor: 'divider' }}>
+        <ListItemButton
+          selected={selectedEntryId === entry.id}
+          onClick={() => handleSelectEntry(entry.id)}
+          sx={{ 
+            height: '100%',
+            alignItems: 'flex-start',
+            overflow: 'hidden',
+            py: 1.5,
+            px: 2,
+            '&.Mui-selected': {
+              backgroundColor: 'action.selected',
+              borderLeft: 3,
+              borderColor: 'primary.main',
+            }
+          }}
+        >
+          <ListItemText
+            sx={{ my: 0 }}
+            primary={
+              <Typography 
+                variant="subtitle1" 
+                component="div" 
+                noWrap
+                fontWeight={selectedEntryId === entry.id ? 600 : 400}
+              >
+                {entry.title && isHighlighting
+                  ? <HighlightedText parts={highlightText(entry.title, highlightTerms)} />
+                  : entry.title || 'Untitled Entry'}
+              </Typography>
+            }
+            secondary={
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, mt: 0.5 }}>
+                {/* Where the content matches the search */}
+                {isHighlighting && entry.content && (
+                  <Typography
+                    variant="body2"
+                    color="text.primary"
+                    component="span"
+                    sx={{ display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical', overflow: 'hidden' }}
+                  >
+                    <HighlightedText
+                      parts={serverResults?.snippets.get(entry.id) || buildSnippet(entry.content, highlightTerms)}
+                    />
+                  </Typography>
+                )}
+
+                {/* Date and time information */}
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <CalendarTodayIcon fontSize="small" sx={{ fontSize: '0.875rem', color: 'text.secondary' }} />
+                  <Typography 
+                    variant="body2" 
+                    color="text.secondary" 
+                    component="span"
+                    sx={{ mr: 1 }}
+                  >
+                    {formatEntryDate(entry.entryDate, 'short')}
+                  </Typography>
+
+                  <UpdateIcon fontSize="small" sx={{ fontSize: '0.875rem', color: 'text.secondary' }} />
+                  <Typography 
+                    variant="body2" 
+                    color="text.secondary" 
+                    component="span"
+                  >
+                    {formatDate(entry.updatedAt, 'relative')}
+                  </Typography>
+                </Box>
+
+                {/* Mood and tags row */}
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5 }}>
+                  {entry.mood && (
+                    <Box sx={{ display: 'inline-flex', alignItems: 'center', mr: 1 }}>
+                      <MoodIcon fontSize="small" sx={{ fontSize: '0.875rem', color: 'primary.main', mr: 0.5 }} />
+                      <Typography 
+                        variant="body2" 
+                        color="text.secondary" 
+                        component="span"
+                      >
+                        {entry.mood}
+                      </Typography>
+                    </Box>
+                  )}
+
+                  {entry.tags && entry.tags.length > 0 && (
+                    <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5 }}>
+                      <LocalOfferIcon fontSize="small" sx={{ fontSize: '0.875rem', color: 'primary.main' }} />
+                      {entry.tags.slice(0, 2).map((tag, idx) => (
+                        <Chip 
+                          key={idx} 
+                          label={tag} 
+                          size="small" 
+                          variant="outlined"
+                          sx={{ 
+                            height: 20, 
+                            '& .MuiChip-label': { 
+                              px: 1, 
+                              fontSize: '0.7rem' 
+                            } 
+                          }} 
+                        />
+                      ))}
+                      {entry.tags.length > 2 && (
+                        <Typography 
+                          variant="caption" 
+                          color="text.secondary"
+                          sx={{ fontSize: '0.7rem' }}
+                        >
+                          +{entry.tags.length - 2} more
+                        </Typography>
+                      )}
+                    </Box>
+                  )}
+                </Box>
+              </Box>
+            }
+          />
+        </ListItemButton>
+      </Box>
+    );
+  };
+
   return (
     <Paper 
       elevation={2} 
@@ -158,209 +649,205 @@ const JournalEntryList = ({ onSelectEntry, onCreateEntry, selectedEntryId, entri
       }}
     >
       {/* Header with title */}
-      <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
-        <Typography variant="h6" component="h2">
+      <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider', display: 'flex', alignItems: 'center' }}>
+        <Typography variant="h6" component="h2" sx={{ flexGrow: 1 }}>
           Journal Entries
         </Typography>
+        <Tooltip title={showCollections ? 'Hide collections' : 'Show collections'}>
+          <IconButton
+            aria-label="collections"
+            aria-expanded={showCollections}
+            onClick={toggleCollections}
+            size="small"
+            color={showCollections ? 'primary' : 'default'}
+          >
+            <CollectionsBookmarkIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
       </Box>
 
-      {/* Search and filter controls */}
-      <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
-        <TextField
-          fullWidth
-          placeholder="Search entries..."
-          value={searchQuery}
-          onChange={handleSearchChange}
-          margin="normal"
-          variant="outlined"
-          size="small"
-          InputProps={{
-            startAdornment: (
-              <InputAdornment position="start">
-                <SearchIcon />
-              </InputAdornment>
-            ),
-            endAdornment: searchQuery && (
-              <InputAdornment position="end">
+      <Box sx={{ display: 'flex', flexGrow: 1, minHeight: 0 }}>
+        {/* Smart collections */}
+        {showCollections && (
+          <SavedSearchSidebar
+            savedSearches={savedSearches}
+            counts={collectionCounts}
+            activeId={activeCollection?.id}
+            onSelect={handleSelectCollection}
+            onDelete={setPendingDeleteSearch}
+          />
+        )}
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', flexGrow: 1, minWidth: 0 }}>
+          {/* Search and filter controls */}
+          <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
+            <TextField
+              fullWidth
+              placeholder='Search, e.g. tag:work after:2026-01-01 "exact phrase" -draft'
+              value={searchQuery}
+              onChange={handleSearchChange}
+              margin="normal"
+              variant="outlined"
+              size="small"
+              error={!!parsedQuery.error}
+              helperText={parsedQuery.error
+                ? `${parsedQuery.error.message} (at character ${parsedQuery.error.position + 1})`
+                : undefined}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                ),
+                endAdornment: searchQuery && (
+                  <InputAdornment position="end">
+                    <IconButton
+                      aria-label="clear search"
+                      onClick={handleClearSearch}
+                      edge="end"
+                      size="small"
+                    >
+                      <ClearIcon fontSize="small" />
+                    </IconButton>
+                  </InputAdornment>
+                )
+              }}
+            />
+
+            <Box sx={{ display: 'flex', mt: 2, gap: 1, alignItems: 'center' }}>
+              <FormControl size="small" sx={{ minWidth: 120, flex: 1 }}>
+                <InputLabel id="sort-field-label">Sort By</InputLabel>
+                <Select
+                  labelId="sort-field-label"
+                  value={sortField}
+                  label="Sort By"
+                  onChange={handleSortFieldChange}
+                  startAdornment={
+                    <InputAdornment position="start">
+                      <SortIcon fontSize="small" />
+                    </InputAdornment>
+                  }
+                >
+                  <MenuItem value="relevance" disabled={!searchQuery.trim()}>Relevance</MenuItem>
+                  <MenuItem value="entryDate">Entry Date</MenuItem>
+                  <MenuItem value="updatedAt">Last Updated</MenuItem>
+                  <MenuItem value="createdAt">Date Created</MenuItem>
+                  <MenuItem value="title">Title</MenuItem>
+                </Select>
+              </FormControl>
+
+              <Tooltip title={`Sort ${sortDirection === 'asc' ? 'Ascending' : 'Descending'}`}>
+                <Chip 
+                  icon={<SwapVertIcon />} 
+                  label={sortDirection === 'asc' ? 'A-Z' : 'Z-A'} 
+                  onClick={toggleSortDirection}
+                  color="primary"
+                  variant="outlined"
+                  size="small"
+                />
+              </Tooltip>
+
+              <Tooltip title={showFilters ? 'Hide filters' : 'Show filters'}>
                 <IconButton
-                  aria-label="clear search"
-                  onClick={handleClearSearch}
-                  edge="end"
+                  aria-label="filters"
+                  aria-expanded={showFilters}
+                  onClick={toggleFilters}
                   size="small"
+                  color={showFilters ? 'primary' : 'default'}
                 >
-                  <ClearIcon fontSize="small" />
+                  <Badge badgeContent={countActiveFilters(filters)} color="primary">
+                    <FilterListIcon fontSize="small" />
+                  </Badge>
                 </IconButton>
-              </InputAdornment>
-            )
-          }}
-        />
-
-        <Box sx={{ display: 'flex', mt: 2, gap: 1, alignItems: 'center' }}>
-          <FormControl size="small" sx={{ minWidth: 120, flex: 1 }}>
-            <InputLabel id="sort-field-label">Sort By</InputLabel>
-            <Select
-              labelId="sort-field-label"
-              value={sortField}
-              label="Sort By"
-              onChange={handleSortFieldChange}
-              startAdornment={
-                <InputAdornment position="start">
-                  <SortIcon fontSize="small" />
-                </InputAdornment>
-              }
-            >
-              <MenuItem value="updatedAt">Last Updated</MenuItem>
-              <MenuItem value="createdAt">Date Created</MenuItem>
-              <MenuItem value="title">Title</MenuItem>
-            </Select>
-          </FormControl>
-
-          <Tooltip title={`Sort ${sortDirection === 'asc' ? 'Ascending' : 'Descending'}`}>
-            <Chip 
-              icon={<FilterListIcon />} 
-              label={sortDirection === 'asc' ? 'A-Z' : 'Z-A'} 
-              onClick={toggleSortDirection}
-              color="primary"
-              variant="outlined"
-              size="small"
-            />
-          </Tooltip>
-        </Box>
-      </Box>
+              </Tooltip>
 
-      {/* Entries list */}
-      <Box sx={{ flexGrow: 1, overflow: 'auto' }}>
-        {loading ? (
-          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
-            <CircularProgress />
+              <Tooltip title="Save as collection">
+                <span>
+                  <IconButton
+                    aria-label="save as collection"
+                    onClick={() => setSaveDialogOpen(true)}
+                    size="small"
+                    disabled={!!parsedQuery.error || !!activeCollection ||
+                      (!searchQuery.trim() && countActiveFilters(filters) === 0)}
+                  >
+                    <BookmarkAddIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+
+            {/* Filter panel and the filters in use */}
+            <Collapse in={showFilters}>
+              <EntryFilterPanel filters={filters} facets={facets} onChange={setFilters} />
+            </Collapse>
+            <ActiveFilterChips filters={filters} onChange={setFilters} />
           </Box>
-        ) : filteredEntries.length > 0 ? (
-          <List disablePadding>
-            {filteredEntries.map((entry, index) => (
-              <React.Fragment key={entry.id}>
-                <ListItemButton
-                  selected={selectedEntryId === entry.id}
-                  onClick={() => handleSelectEntry(entry.id)}
-                  sx={{ 
-                    py: 1.5,
-                    px: 2,
-                    '&.Mui-selected': {
-                      backgroundColor: 'action.selected',
-                      borderLeft: 3,
-                      borderColor: 'primary.main',
-                    }
-                  }}
-                >
-                  <ListItemText
-                    sx={{ my: 0 }}
-                    primary={
-                      <Typography 
-                        variant="subtitle1" 
-                        component="div" 
-                        noWrap
-                        fontWeight={selectedEntryId === entry.id ? 600 : 400}
-                      >
-                        {entry.title || 'Untitled Entry'}
-                      </Typography>
-                    }
-                    secondary={
-                      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, mt: 0.5 }}>
-                        {/* Date and time information */}
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                          <CalendarTodayIcon fontSize="small" sx={{ fontSize: '0.875rem', color: 'text.secondary' }} />
-                          <Typography 
-                            variant="body2" 
-                            color="text.secondary" 
-                            component="span"
-                            sx={{ mr: 1 }}
-                          >
-                            {formatDate(entry.createdAt, 'short')}
-                          </Typography>
-                          
-                          <UpdateIcon fontSize="small" sx={{ fontSize: '0.875rem', color: 'text.secondary' }} />
-                          <Typography 
-                            variant="body2" 
-                            color="text.secondary" 
-                            component="span"
-                          >
-                            {formatDate(entry.updatedAt, 'relative')}
-                          </Typography>
-                        </Box>
-                        
-                        {/* Mood and tags row */}
-                        <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5 }}>
-                          {entry.mood && (
-                            <Box sx={{ display: 'inline-flex', alignItems: 'center', mr: 1 }}>
-                              <MoodIcon fontSize="small" sx={{ fontSize: '0.875rem', color: 'primary.main', mr: 0.5 }} />
-                              <Typography 
-                                variant="body2" 
-                                color="text.secondary" 
-                                component="span"
-                              >
-                                {entry.mood}
-                              </Typography>
-                            </Box>
-                          )}
-                          
-                          {entry.tags && entry.tags.length > 0 && (
-                            <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5 }}>
-                              <LocalOfferIcon fontSize="small" sx={{ fontSize: '0.875rem', color: 'primary.main' }} />
-                              {entry.tags.slice(0, 2).map((tag, idx) => (
-                                <Chip 
-                                  key={idx} 
-                                  label={tag} 
-                                  size="small" 
-                                  variant="outlined"
-                                  sx={{ 
-                                    height: 20, 
-                                    '& .MuiChip-label': { 
-                                      px: 1, 
-                                      fontSize: '0.7rem' 
-                                    } 
-                                  }} 
-                                />
-                              ))}
-                              {entry.tags.length > 2 && (
-                                <Typography 
-                                  variant="caption" 
-                                  color="text.secondary"
-                                  sx={{ fontSize: '0.7rem' }}
-                                >
-                                  +{entry.tags.length - 2} more
-                                </Typography>
-                              )}
-                            </Box>
-                          )}
-                        </Box>
-                      </Box>
-                    }
-                  />
-                </ListItemButton>
-                {index < filteredEntries.length - 1 && <Divider />}
-              </React.Fragment>
-            ))}
-          </List>
-        ) : (
-          <Box sx={{ p: 4, textAlign: 'center' }}>
-            <Typography color="text.secondary">
-              {searchQuery ? 'No entries match your search' : 'No journal entries yet'}
-            </Typography>
+
+          {/* Entries list */}
+          <Box sx={{ flexGrow: 1, minHeight: 0, overflow: 'auto' }}>
+            {loading ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+                <CircularProgress />
+              </Box>
+            ) : visibleEntries.length > 0 ? (
+              <WindowedList
+                key={listKey}
+                itemCount={visibleEntries.length}
+                rowHeight={isHighlighting ? SNIPPET_ROW_HEIGHT : ROW_HEIGHT}
+                renderRow={renderEntryRow}
+                onEndReached={handleEndReached}
+                onScroll={handleListScroll}
+                initialScrollTop={restoredListState.current?.scrollTop ?? null}
+                scrollToIndex={selectedIndex === -1 ? null : selectedIndex}
+                ariaLabel="Journal entries"
+                footer={(loadingPage || loadingMore || serverResults?.nextCursor) && (
+                  <Box sx={{ p: 1, textAlign: 'center' }}>
+                    {loadingPage || loadingMore ? (
+                      <CircularProgress size={24} />
+                    ) : (
+                      <Button size="small" onClick={handleLoadMore}>
+                        Load more results
+                      </Button>
+                    )}
+                  </Box>
+                )}
+              />
+            ) : (
+              <Box sx={{ p: 4, textAlign: 'center' }}>
+                <Typography color="text.secondary">
+                  {searchQuery || countActiveFilters(filters) > 0
+                    ? 'No entries match your search and filters'
+                    : 'No journal entries yet'}
+                </Typography>
+              </Box>
+            )}
           </Box>
-        )}
+        </Box>
       </Box>
 
-      {/* Create new entry button */}
+      {/* Create new entry button, with a menu of templates */}
       <Box sx={{ p: 2, borderTop: 1, borderColor: 'divider' }}>
-        <Button
-          variant="contained"
-          color="primary"
-          fullWidth
-          startIcon={<AddIcon />}
-          onClick={handleCreateEntry}
-        >
-          New Entry
-        </Button>
+        <NewEntryButton onCreateEntry={handleCreateEntry} />
       </Box>
+
+      <SaveSearchDialog
+        open={saveDialogOpen}
+        search={{ query: searchQuery, filters, sortField, sortDirection }}
+        onClose={() => setSaveDialogOpen(false)}
+        onSaved={() => setShowCollections(true)}
+      />
+
+      <ConfirmDialog
+        open={!!pendingDeleteSearch}
+        title="Delete Collection"
+        message={pendingDeleteSearch
+          ? `Delete the collection "${pendingDeleteSearch.name}"? The entries in it are kept.`
+          : ''}
+        confirmLabel="Delete"
+        confirmColor="error"
+        onClose={() => setPendingDeleteSearch(null)}
+        onConfirm={handleConfirmDeleteCollection}
+      />
     </Paper>
   );
 };
@@ -9,15 +9,19 @@ import {
 } from '@mui/material';
 
 /**
- * A confirmation dialog component for logout action.
+ * A confirmation dialog component for logout action. When an entry has
+ * unsaved changes it asks whether to save or discard them first.
  * 
  * @param {Object} props - Component props
  * @param {boolean} props.open - Controls the visibility of the dialog
  * @param {Function} props.onClose - Callback function when dialog is closed
  * @param {Function} props.onConfirm - Callback function when logout is confirmed
+ * @param {boolean} [props.hasUnsavedChanges] - Whether an entry has unsaved changes
+ * @param {Function} [props.onSave] - Callback function to save the changes and logout
+ * @param {Function} [props.onDiscard] - Callback function to discard the changes and logout
  * @returns {JSX.Element} The LogoutDialog component
  */
-const LogoutDialog = ({ open, onClose, onConfirm }) => {
+const LogoutDialog = ({ open, onClose, onConfirm, hasUnsavedChanges = false, onSave, onDiscard }) => {
   return (
     <Dialog
       open={open}
@@ -30,17 +34,33 @@ const LogoutDialog = ({ open, onClose, onConfirm }) => {
       </DialogTitle>
       <DialogContent>
         <DialogContentText id="logout-dialog-description">
-          Are you sure you want to logout? Any unsaved changes will be lost.
+          {hasUnsavedChanges
+            ? 'You have unsaved changes to an entry. Do you want to save them before you logout?'
+            : 'Are you sure you want to logout?'}
         </DialogContentText>
       </DialogContent>
-      <DialogActions>
-        <Button onClick={onClose} color="primary">
-          Cancel
-        </Button>
-        <Button onClick={onConfirm} color="primary" variant="contained" autoFocus>
-          Logout
-        </Button>
-      </DialogActions>
+      {hasUnsavedChanges ? (
+        <DialogActions>
+          <Button onClick={onClose} color="primary">
+            Keep Editing
+          </Button>
+          <Button onClick={onDiscard} color="error">
+            Discard and Logout
+          </Button>
+          <Button onClick={onSave} color="primary" variant="contained" autoFocus>
+            Save and Logout
+          </Button>
+        </DialogActions>
+      ) : (
+        <DialogActions>
+          <Button onClick={onClose} color="primary">
+            Cancel
+          </Button>
+          <Button onClick={onConfirm} color="primary" variant="contained" autoFocus>
+            Logout
+          </Button>
+        </DialogActions>
+      )}
     </Dialog>
   );
 };
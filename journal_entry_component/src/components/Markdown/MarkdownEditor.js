@@ -0,0 +1,130 @@
+import React, { useRef, useState, useLayoutEffect } from 'react';
+import {
+  Box,
+  IconButton,
+  Paper,
+  TextField,
+  ToggleButton,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import FormatBoldIcon from '@mui/icons-material/FormatBold';
+import FormatItalicIcon from '@mui/icons-material/FormatItalic';
+import CodeIcon from '@mui/icons-material/Code';
+import LinkIcon from '@mui/icons-material/Link';
+import TitleIcon from '@mui/icons-material/Title';
+import FormatListBulletedIcon from '@mui/icons-material/FormatListBulleted';
+import FormatListNumberedIcon from '@mui/icons-material/FormatListNumbered';
+import FormatQuoteIcon from '@mui/icons-material/FormatQuote';
+import VerticalSplitIcon from '@mui/icons-material/VerticalSplit';
+
+import { applyMarkdownFormat } from '../../utils/markdown';
+import MarkdownView from './MarkdownView';
+
+const TOOLBAR_FORMATS = [
+  { format: 'heading', label: 'Heading', icon: <TitleIcon fontSize="small" /> },
+  { format: 'bold', label: 'Bold', icon: <FormatBoldIcon fontSize="small" /> },
+  { format: 'italic', label: 'Italic', icon: <FormatItalicIcon fontSize="small" /> },
+  { format: 'code', label: 'Code', icon: <CodeIcon fontSize="small" /> },
+  { format: 'link', label: 'Link', icon: <LinkIcon fontSize="small" /> },
+  { format: 'bulletList', label: 'Bulleted list', icon: <FormatListBulletedIcon fontSize="small" /> },
+  { format: 'numberedList', label: 'Numbered list', icon: <FormatListNumberedIcon fontSize="small" /> },
+  { format: 'quote', label: 'Quote', icon: <FormatQuoteIcon fontSize="small" /> }
+];
+
+/**
+ * Markdown text field with a formatting toolbar and a live preview next to it.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - The Markdown text
+ * @param {Function} props.onChange - Called with the new text
+ * @param {string} [props.label] - Label of the text field
+ * @param {string} [props.helperText] - Help or error text under the text field
+ * @param {boolean} [props.error] - Whether the text field shows an error
+ * @param {boolean} [props.required] - Whether the text field is required
+ * @returns {JSX.Element} The MarkdownEditor component
+ */
+const MarkdownEditor = ({ value, onChange, label, helperText, error, required }) => {
+  const inputRef = useRef(null);
+  const pendingSelection = useRef(null);
+  const [showPreview, setShowPreview] = useState(true);
+
+  // Put the selection back after a toolbar edit, once the new text is rendered
+  useLayoutEffect(() => {
+    if (!pendingSelection.current || !inputRef.current) return;
+    const { selectionStart, selectionEnd } = pendingSelection.current;
+    pendingSelection.current = null;
+    inputRef.current.focus();
+    inputRef.current.setSelectionRange(selectionStart, selectionEnd);
+  }, [value]);
+
+  /**
+   * Apply a toolbar format to the selected text
+   * @param {string} format - The format
+   */
+  const handleFormat = (format) => {
+    const input = inputRef.current;
+    const start = input ? input.selectionStart : value.length;
+    const end = input ? input.selectionEnd : value.length;
+    const edit = applyMarkdownFormat(value, start, end, format);
+    pendingSelection.current = edit;
+    onChange(edit.text);
+  };
+
+  return (
+    <Box>
+      {/* Toolbar */}
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+        {TOOLBAR_FORMATS.map(({ format, label: formatLabel, icon }) => (
+          <Tooltip key={format} title={formatLabel}>
+            <IconButton size="small" aria-label={formatLabel} onClick={() => handleFormat(format)}>
+              {icon}
+            </IconButton>
+          </Tooltip>
+        ))}
+        <Box sx={{ flexGrow: 1 }} />
+        <Tooltip title={showPreview ? 'Hide preview' : 'Show preview'}>
+          <ToggleButton
+            value="preview"
+            size="small"
+            selected={showPreview}
+            onChange={() => setShowPreview(!showPreview)}
+            aria-label="preview"
+          >
+            <VerticalSplitIcon fontSize="small" />
+          </ToggleButton>
+        </Tooltip>
+      </Box>
+
+      {/* Text and live preview side by side */}
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: showPreview ? '1fr 1fr' : '1fr' }, gap: 2 }}>
+        <TextField
+          label={label}
+          variant="outlined"
+          fullWidth
+          multiline
+          minRows={10}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          inputRef={inputRef}
+          error={error}
+          helperText={helperText}
+          required={required}
+        />
+        {showPreview && (
+          <Paper
+            variant="outlined"
+            sx={{ p: 2, bgcolor: 'background.default', overflow: 'auto', maxHeight: 480 }}
+          >
+            <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+              Preview
+            </Typography>
+            <MarkdownView content={value} placeholder="Nothing to preview yet" />
+          </Paper>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default MarkdownEditor;
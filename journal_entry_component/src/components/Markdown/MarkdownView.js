@@ -0,0 +1,117 @@
+import React, { useMemo } from 'react';
+import { Box, Divider, Link, Typography } from '@mui/material';
+
+import { parseMarkdown } from '../../utils/markdown';
+
+const HEADING_VARIANTS = ['h4', 'h5', 'h6', 'subtitle1', 'subtitle1', 'subtitle2'];
+
+const codeSx = {
+  fontFamily: 'monospace',
+  fontSize: '0.875em',
+  bgcolor: 'action.hover',
+  borderRadius: 0.5
+};
+
+/**
+ * Render inline Markdown nodes.
+ * @private
+ */
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children)}</strong>;
+    case 'emphasis':
+      return <em key={index}>{renderInline(node.children)}</em>;
+    case 'code':
+      return <Box key={index} component="code" sx={{ ...codeSx, px: 0.5 }}>{node.value}</Box>;
+    case 'link':
+      return (
+        <Link key={index} href={node.href} target="_blank" rel="noopener noreferrer">
+          {renderInline(node.children)}
+        </Link>
+      );
+    case 'break':
+      return <br key={index} />;
+    default:
+      return <React.Fragment key={index}>{node.value}</React.Fragment>;
+  }
+});
+
+/**
+ * Render Markdown blocks.
+ * @private
+ */
+const renderBlocks = (blocks) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'heading':
+      return (
+        <Typography key={index} variant={HEADING_VARIANTS[block.level - 1]} component={`h${block.level}`} gutterBottom>
+          {renderInline(block.children)}
+        </Typography>
+      );
+    case 'list':
+      return (
+        <Box
+          key={index}
+          component={block.ordered ? 'ol' : 'ul'}
+          start={block.ordered ? block.start : undefined}
+          sx={{ mt: 0, mb: 1.5, pl: 3 }}
+        >
+          {block.items.map((item, itemIndex) => (
+            <Typography key={itemIndex} component="li" variant="body1">
+              {renderInline(item)}
+            </Typography>
+          ))}
+        </Box>
+      );
+    case 'quote':
+      return (
+        <Box
+          key={index}
+          component="blockquote"
+          sx={{ mx: 0, mt: 0, mb: 1.5, pl: 2, borderLeft: 4, borderColor: 'divider', color: 'text.secondary' }}
+        >
+          {renderBlocks(block.blocks)}
+        </Box>
+      );
+    case 'code':
+      return (
+        <Box key={index} component="pre" sx={{ ...codeSx, mt: 0, mb: 1.5, p: 1.5, overflow: 'auto' }}>
+          <code>{block.value}</code>
+        </Box>
+      );
+    case 'rule':
+      return <Divider key={index} sx={{ my: 2 }} />;
+    default:
+      return (
+        <Typography key={index} variant="body1" paragraph>
+          {renderInline(block.children)}
+        </Typography>
+      );
+  }
+});
+
+/**
+ * Render the Markdown of entry content. The Markdown is parsed into a tree
+ * and rendered as React elements, never as HTML, so content cannot inject
+ * markup or scripts; links only keep http, https and mailto addresses.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.content - The Markdown text
+ * @param {string} [props.placeholder] - Shown when there is no content
+ * @returns {JSX.Element} The MarkdownView component
+ */
+const MarkdownView = ({ content, placeholder = 'No content' }) => {
+  const blocks = useMemo(() => parseMarkdown(content), [content]);
+
+  if (blocks.length === 0) {
+    return <Typography variant="body1" color="text.secondary">{placeholder}</Typography>;
+  }
+  return (
+    <Box sx={{ wordBreak: 'break-word', '& > :last-child': { mb: 0 } }}>
+      {renderBlocks(blocks)}
+    </Box>
+  );
+};
+
+export default MarkdownView;
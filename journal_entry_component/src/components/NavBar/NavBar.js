@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router-dom';
 import { AppBar, Toolbar, Typography, IconButton } from '@mui/material';
 import LogoutIcon from '@mui/icons-material/Logout';
 import LogoutDialog from '../LogoutDialog/LogoutDialog';
+import unsavedChanges from '../../services/unsavedChanges';
 
 /**
  * Navigation bar component that includes the logout functionality.
@@ -15,8 +16,10 @@ import LogoutDialog from '../LogoutDialog/LogoutDialog';
 const NavBar = ({ onLogout }) => {
   const navigate = useNavigate();
   const [logoutDialogOpen, setLogoutDialogOpen] = useState(false);
+  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
 
   const handleLogoutClick = () => {
+    setHasUnsavedChanges(unsavedChanges.hasUnsavedChanges());
     setLogoutDialogOpen(true);
   };
 
@@ -31,6 +34,20 @@ const NavBar = ({ onLogout }) => {
     navigate('/login');
   };
 
+  const handleSaveAndLogout = () => {
+    if (!unsavedChanges.saveAll()) {
+      // Leave the user with the form, which shows why the entry could not be saved
+      setLogoutDialogOpen(false);
+      return;
+    }
+    handleLogoutConfirm();
+  };
+
+  const handleDiscardAndLogout = () => {
+    unsavedChanges.discardAll();
+    handleLogoutConfirm();
+  };
+
   const handleLogoutCancel = () => {
     setLogoutDialogOpen(false);
   };
@@ -56,6 +73,9 @@ const NavBar = ({ onLogout }) => {
         open={logoutDialogOpen}
         onClose={handleLogoutCancel}
         onConfirm={handleLogoutConfirm}
+        hasUnsavedChanges={hasUnsavedChanges}
+        onSave={handleSaveAndLogout}
+        onDiscard={handleDiscardAndLogout}
       />
     </>
   );
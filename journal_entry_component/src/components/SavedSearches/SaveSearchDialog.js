@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField
+} from '@mui/material';
+
+import preferencesService from '../../services/preferencesService';
+import { MAX_SAVED_SEARCH_NAME_LENGTH } from '../../models/userPreferences';
+
+/**
+ * Dialog asking for the name of a new smart collection, which saves the
+ * search text, filters and sort of the entry list.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Controls the visibility of the dialog
+ * @param {Object} props.search - The query, filters, sortField and sortDirection to save
+ * @param {Function} props.onClose - Callback function when the dialog is closed
+ * @param {Function} [props.onSaved] - Callback function called with the saved search
+ * @returns {JSX.Element} The SaveSearchDialog component
+ */
+const SaveSearchDialog = ({ open, search, onClose, onSaved }) => {
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setName('');
+    setError(null);
+  }, [open]);
+
+  /**
+   * Save the search under the chosen name
+   * @param {React.FormEvent} event - The form submit event
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const { search: saved, errors } = preferencesService.saveSearch({ ...search, name });
+    if (errors) {
+      setError(errors.name || Object.values(errors)[0]);
+      return;
+    }
+    if (onSaved) onSaved(saved);
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      aria-labelledby="save-search-dialog-title"
+    >
+      <form onSubmit={handleSubmit} noValidate>
+        <DialogTitle id="save-search-dialog-title">
+          Save as Collection
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            The collection keeps this search, its filters and sort order, and
+            always shows the entries matching them.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            size="small"
+            label="Name"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            error={!!error}
+            helperText={error}
+            inputProps={{ maxLength: MAX_SAVED_SEARCH_NAME_LENGTH }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} color="primary">
+            Cancel
+          </Button>
+          <Button type="submit" color="primary" variant="contained" disabled={!name.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default SaveSearchDialog;
@@ -0,0 +1,70 @@
+import React from 'react';
+import {
+  Box,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+
+/**
+ * Sidebar of smart collections: saved searches with the number of entries
+ * currently matching each of them.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.savedSearches - The saved searches
+ * @param {Map} props.counts - Matching entries by saved search id; missing while the query does not parse
+ * @param {string} [props.activeId] - ID of the collection shown in the list
+ * @param {Function} props.onSelect - Called with the saved search to show
+ * @param {Function} props.onDelete - Called with the saved search to delete
+ * @returns {JSX.Element} The SavedSearchSidebar component
+ */
+const SavedSearchSidebar = ({ savedSearches, counts, activeId, onSelect, onDelete }) => (
+  <Box sx={{ width: 200, flexShrink: 0, borderRight: 1, borderColor: 'divider', overflow: 'auto' }}>
+    <Typography variant="overline" color="text.secondary" component="h3" sx={{ px: 2, pt: 1, display: 'block' }}>
+      Collections
+    </Typography>
+    {savedSearches.length === 0 ? (
+      <Typography variant="body2" color="text.secondary" sx={{ px: 2, pb: 2 }}>
+        Save a search to keep it here.
+      </Typography>
+    ) : (
+      <List dense disablePadding>
+        {savedSearches.map(search => (
+          <ListItem
+            key={search.id}
+            disablePadding
+            secondaryAction={
+              <Tooltip title="Delete collection">
+                <IconButton
+                  edge="end"
+                  size="small"
+                  aria-label={`delete collection ${search.name}`}
+                  onClick={() => onDelete(search)}
+                >
+                  <DeleteOutlineIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            }
+          >
+            <ListItemButton selected={activeId === search.id} onClick={() => onSelect(search)}>
+              <ListItemText
+                primary={search.name}
+                primaryTypographyProps={{ noWrap: true }}
+                secondary={counts.has(search.id)
+                  ? `${counts.get(search.id)} ${counts.get(search.id) === 1 ? 'entry' : 'entries'}`
+                  : 'Invalid search'}
+              />
+            </ListItemButton>
+          </ListItem>
+        ))}
+      </List>
+    )}
+  </Box>
+);
+
+export default SavedSearchSidebar;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Typography,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+import RestoreFromTrashIcon from '@mui/icons-material/RestoreFromTrash';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+
+import { formatDate } from '../../models/JournalEntry';
+import journalService from '../../services/journalService';
+import ConfirmDialog from '../ConfirmDialog/ConfirmDialog';
+
+const RETENTION_OPTIONS = [7, 14, 30, 60, 90];
+
+/**
+ * Trash view listing deleted entries. Entries can be restored or deleted
+ * permanently, and are purged automatically after the retention period
+ * chosen here.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Controls the visibility of the dialog
+ * @param {Function} props.onClose - Callback function when the dialog is closed
+ * @param {Function} [props.onRestore] - Callback function called with a restored entry
+ * @returns {JSX.Element} The TrashDialog component
+ */
+const TrashDialog = ({ open, onClose, onRestore }) => {
+  const [trashedEntries, setTrashedEntries] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(journalService.getTrashRetentionDays());
+  // Entry waiting for confirmation of a permanent delete, or 'all' for emptying the trash
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  /**
+   * Purge expired entries and load what is left in the trash
+   */
+  const loadTrash = () => {
+    journalService.purgeExpiredTrash();
+    setTrashedEntries(journalService.getTrashedEntries());
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setRetentionDays(journalService.getTrashRetentionDays());
+    loadTrash();
+  }, [open]);
+
+  /**
+   * Restore an entry from the trash
+   * @param {string} id - ID of the entry to restore
+   */
+  const handleRestore = (id) => {
+    const { entry, errors } = journalService.restoreEntry(id);
+    if (errors) {
+      console.error('Error restoring entry:', errors);
+      return;
+    }
+    loadTrash();
+    if (onRestore) onRestore(entry);
+  };
+
+  /**
+   * Permanently delete the entry (or the whole trash) awaiting confirmation
+   */
+  const handleConfirmDelete = () => {
+    if (pendingDelete === 'all') {
+      journalService.emptyTrash();
+    } else {
+      journalService.permanentlyDeleteEntry(pendingDelete.id);
+    }
+    setPendingDelete(null);
+    loadTrash();
+  };
+
+  /**
+   * Change the retention period and purge entries that are now past it
+   * @param {Event} event - The select change event
+   */
+  const handleRetentionChange = (event) => {
+    const days = event.target.value;
+    journalService.setTrashRetentionDays(days);
+    setRetentionDays(days);
+    loadTrash();
+  };
+
+  /**
+   * Get the date a trashed entry will be purged
+   * @param {JournalEntry} entry - The trashed entry
+   * @returns {Date} The purge date
+   */
+  const getPurgeDate = (entry) =>
+    new Date(entry.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+
+  return (
+    <>
+      <Dialog
+        open={open}
+        onClose={onClose}
+        maxWidth="sm"
+        fullWidth
+        aria-labelledby="trash-dialog-title"
+      >
+        <DialogTitle id="trash-dialog-title">
+          Trash
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, mt: 1 }}>
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel id="trash-retention-label">Delete permanently after</InputLabel>
+              <Select
+                labelId="trash-retention-label"
+                value={retentionDays}
+                onChange={handleRetentionChange}
+                label="Delete permanently after"
+              >
+                {[...new Set([...RETENTION_OPTIONS, retentionDays])].sort((a, b) => a - b).map(days => (
+                  <MenuItem key={days} value={days}>{days} days</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+
+          {trashedEntries.length === 0 ? (
+            <Typography color="text.secondary">
+              The trash is empty.
+            </Typography>
+          ) : (
+            <List dense>
+              {trashedEntries.map(entry => (
+                <ListItem
+                  key={entry.id}
+                  divider
+                  secondaryAction={
+                    <>
+                      <Tooltip title="Restore">
+                        <IconButton edge="end" aria-label="restore" onClick={() => handleRestore(entry.id)}>
+                          <RestoreFromTrashIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete permanently">
+                        <IconButton
+                          edge="end"
+                          aria-label="delete permanently"
+                          onClick={() => setPendingDelete(entry)}
+                          sx={{ ml: 1 }}
+                        >
+                          <DeleteForeverIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </>
+                  }
+                >
+                  <ListItemText
+                    primary={entry.title || 'Untitled Entry'}
+                    secondary={`Deleted ${formatDate(entry.deletedAt, 'relative')} · removed for good on ${formatDate(getPurgeDate(entry), 'short')}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button
+            color="error"
+            onClick={() => setPendingDelete('all')}
+            disabled={trashedEntries.length === 0}
+          >
+            Empty trash
+          </Button>
+          <Button onClick={onClose}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ConfirmDialog
+        open={!!pendingDelete}
+        title={pendingDelete === 'all' ? 'Empty trash?' : 'Delete permanently?'}
+        message={pendingDelete === 'all'
+          ? `All ${trashedEntries.length} entries in the trash will be deleted permanently. This cannot be undone.`
+          : `"${pendingDelete?.title || 'Untitled Entry'}" will be deleted permanently, including its revision history. This cannot be undone.`}
+        confirmLabel="Delete permanently"
+        confirmColor="error"
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleConfirmDelete}
+      />
+    </>
+  );
+};
+
+export default TrashDialog;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { useBlocker } from 'react-router-dom';
+
+import unsavedChanges from '../../services/unsavedChanges';
+import UnsavedChangesDialog from './UnsavedChangesDialog';
+
+/**
+ * Holds route changes while a form has unsaved changes and asks the user to
+ * save, discard or keep editing. Needs a data router (see index.js).
+ *
+ * @returns {JSX.Element} The UnsavedChangesBlocker component
+ */
+const UnsavedChangesBlocker = () => {
+  const blocker = useBlocker(({ currentLocation, nextLocation }) =>
+    currentLocation.pathname !== nextLocation.pathname && unsavedChanges.hasUnsavedChanges());
+
+  /**
+   * Save the changes and continue to the next route, unless saving failed
+   */
+  const handleSave = () => {
+    if (unsavedChanges.saveAll()) {
+      blocker.proceed();
+    } else {
+      blocker.reset();
+    }
+  };
+
+  /**
+   * Discard the changes and continue to the next route
+   */
+  const handleDiscard = () => {
+    unsavedChanges.discardAll();
+    blocker.proceed();
+  };
+
+  return (
+    <UnsavedChangesDialog
+      open={blocker.state === 'blocked'}
+      onSave={handleSave}
+      onDiscard={handleDiscard}
+      onClose={() => blocker.reset()}
+    />
+  );
+};
+
+export default UnsavedChangesBlocker;
@@ -0,0 +1,59 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button
+} from '@mui/material';
+
+/**
+ * Dialog asking what to do with unsaved changes before leaving the form.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Controls the visibility of the dialog
+ * @param {string} [props.message] - What is about to happen
+ * @param {Function} props.onSave - Callback function to save the changes and continue
+ * @param {Function} props.onDiscard - Callback function to discard the changes and continue
+ * @param {Function} props.onClose - Callback function to keep editing
+ * @returns {JSX.Element} The UnsavedChangesDialog component
+ */
+const UnsavedChangesDialog = ({
+  open,
+  message = 'You have unsaved changes to this entry. Do you want to save them before leaving?',
+  onSave,
+  onDiscard,
+  onClose
+}) => {
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      aria-labelledby="unsaved-changes-dialog-title"
+      aria-describedby="unsaved-changes-dialog-description"
+    >
+      <DialogTitle id="unsaved-changes-dialog-title">
+        Unsaved Changes
+      </DialogTitle>
+      <DialogContent>
+        <DialogContentText id="unsaved-changes-dialog-description">
+          {message}
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="primary">
+          Keep Editing
+        </Button>
+        <Button onClick={onDiscard} color="error">
+          Discard
+        </Button>
+        <Button onClick={onSave} color="primary" variant="contained" autoFocus>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default UnsavedChangesDialog;
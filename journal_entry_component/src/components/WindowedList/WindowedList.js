@@ -0,0 +1,111 @@
+import React, { useState, useRef, useEffect, useLayoutEffect } from 'react';
+import { Box } from '@mui/material';
+
+import { getWindowRange, getScrollTopForRow } from '../../utils/listWindow';
+
+/**
+ * Scrolling list that only renders the rows in or near the viewport. Rows all
+ * have the same height and are positioned absolutely inside a spacer as tall
+ * as the whole list.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.itemCount - Number of rows
+ * @param {number} props.rowHeight - Height of every row in pixels
+ * @param {Function} props.renderRow - Called with the row index and its position style; returns the row
+ * @param {Function} [props.onEndReached] - Called when the last rows scroll into view, once per itemCount
+ * @param {Function} [props.onScroll] - Called with the scroll position
+ * @param {number|null} [props.initialScrollTop] - Scroll position restored once the first rows are there
+ * @param {number|null} [props.scrollToIndex] - Row kept in view; scrolled to whenever it changes
+ * @param {React.ReactNode} [props.footer] - Rendered below the rows, such as a loading indicator
+ * @param {string} [props.ariaLabel] - Accessible name of the list
+ * @returns {JSX.Element} The WindowedList component
+ */
+const WindowedList = ({
+  itemCount,
+  rowHeight,
+  renderRow,
+  onEndReached,
+  onScroll,
+  initialScrollTop = null,
+  scrollToIndex = null,
+  footer = null,
+  ariaLabel
+}) => {
+  const containerRef = useRef(null);
+  const pendingScrollTopRef = useRef(initialScrollTop);
+  const lastScrollToIndexRef = useRef(null);
+  const endReachedCountRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  // Follow the height of the viewport
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    setViewportHeight(container.clientHeight);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Restore the scroll position once there are rows, then keep the chosen row in view
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (itemCount === 0) return;
+
+    if (pendingScrollTopRef.current !== null) {
+      container.scrollTop = pendingScrollTopRef.current;
+      pendingScrollTopRef.current = null;
+    } else if (scrollToIndex !== null && scrollToIndex !== lastScrollToIndexRef.current) {
+      container.scrollTop = getScrollTopForRow({
+        index: scrollToIndex,
+        scrollTop: container.scrollTop,
+        viewportHeight: container.clientHeight,
+        rowHeight
+      });
+    }
+    lastScrollToIndexRef.current = scrollToIndex;
+    setScrollTop(container.scrollTop);
+  }, [itemCount, scrollToIndex, rowHeight]);
+
+  // Ask for more rows when the end of the list comes into view
+  useEffect(() => {
+    const lastVisible = Math.ceil((scrollTop + viewportHeight) / rowHeight);
+    if (!onEndReached || itemCount === 0 || lastVisible < itemCount || endReachedCountRef.current === itemCount) return;
+    endReachedCountRef.current = itemCount;
+    onEndReached();
+  }, [scrollTop, viewportHeight, rowHeight, itemCount, onEndReached]);
+
+  /**
+   * Handle scrolling of the list
+   * @param {React.UIEvent<HTMLDivElement>} event - The scroll event
+   */
+  const handleScroll = (event) => {
+    setScrollTop(event.currentTarget.scrollTop);
+    if (onScroll) onScroll(event.currentTarget.scrollTop);
+  };
+
+  const { start, end } = getWindowRange({ scrollTop, viewportHeight, rowHeight, rowCount: itemCount });
+  const rows = [];
+  for (let index = start; index < end; index++) {
+    rows.push(renderRow(index, {
+      position: 'absolute',
+      top: index * rowHeight,
+      left: 0,
+      right: 0,
+      height: rowHeight
+    }));
+  }
+
+  return (
+    <Box ref={containerRef} onScroll={handleScroll} sx={{ height: '100%', overflow: 'auto' }}>
+      <Box role="list" aria-label={ariaLabel} sx={{ position: 'relative', height: itemCount * rowHeight }}>
+        {rows}
+      </Box>
+      {footer}
+    </Box>
+  );
+};
+
+export default WindowedList;
@@ -86,11 +86,16 @@ const API_CONFIG = {
     AUTH: {
       LOGIN: '/auth/login',
       LOGOUT: '/auth/logout',
-      REGISTER: '/auth/register'
+      LOGOUT_ALL: '/auth/logout-all',
+      REGISTER: '/auth/register',
+      REFRESH: '/auth/refresh'
     },
     JOURNAL: {
       ENTRIES: '/journal/entries',
-      ENTRY: '/journal/entry'
+      ENTRY: '/journal/entry',
+      TRASH: '/journal/trash',
+      SYNC: '/journal/sync',
+      SEARCH: '/journal/search'
     }
   },
   HEADERS: {
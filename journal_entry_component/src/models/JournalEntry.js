@@ -3,6 +3,8 @@
  * and provides utility functions for working with journal entries.
  */
 
+import { validateJournalEntryData, validateEntryDate } from './entryValidation';
+
 /**
  * @typedef {Object} JournalEntryData
  * @property {string} [id] - Unique identifier for the journal entry
@@ -10,9 +12,26 @@
  * @property {string} content - Content of the journal entry
  * @property {Date|string} [createdAt] - Date when the journal entry was created
  * @property {Date|string} [updatedAt] - Date when the journal entry was last updated
+ * @property {EntryDate|null} [entryDate] - The day (and optionally time) the entry is about; defaults to the day it was created
  * @property {string} [mood] - The mood associated with the journal entry
  * @property {string[]} [tags] - Array of tags associated with the journal entry
+ * @property {number} [revision] - Server revision the entry was last synced at (0 if never synced)
+ * @property {Date|string|null} [deletedAt] - When the entry was moved to the trash, null if it is not in the trash
+ */
+
+/**
+ * Moods an entry can have, with the names they are shown by.
+ * @type {Array<{value: string, label: string}>}
  */
+const MOODS = [
+  { value: 'happy', label: 'Happy' },
+  { value: 'sad', label: 'Sad' },
+  { value: 'excited', label: 'Excited' },
+  { value: 'anxious', label: 'Anxious' },
+  { value: 'calm', label: 'Calm' },
+  { value: 'frustrated', label: 'Frustrated' },
+  { value: 'grateful', label: 'Grateful' }
+];
 
 /**
  * Class representing a journal entry.
@@ -28,8 +47,11 @@ class JournalEntry {
     this.content = data.content || '';
     this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
     this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+    this.entryDate = normalizeEntryDate(data.entryDate) || toEntryDate(this.createdAt);
     this.mood = data.mood || '';
     this.tags = Array.isArray(data.tags) ? [...data.tags] : [];
+    this.revision = Number.isInteger(data.revision) ? data.revision : 0;
+    this.deletedAt = data.deletedAt ? new Date(data.deletedAt) : null;
   }
 
   /**
@@ -64,6 +86,7 @@ class JournalEntry {
     if (data.content !== undefined) this.content = data.content;
     if (data.mood !== undefined) this.mood = data.mood;
     if (data.tags !== undefined) this.tags = Array.isArray(data.tags) ? [...data.tags] : this.tags;
+    if (data.entryDate !== undefined) this.entryDate = normalizeEntryDate(data.entryDate) || this.entryDate;
     this.updatedAt = new Date();
     return this;
   }
@@ -79,8 +102,11 @@ class JournalEntry {
       content: this.content,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
+      entryDate: { ...this.entryDate },
       mood: this.mood,
-      tags: [...this.tags]
+      tags: [...this.tags],
+      revision: this.revision,
+      deletedAt: this.deletedAt
     };
   }
 
@@ -93,6 +119,90 @@ class JournalEntry {
   }
 }
 
+/**
+ * Pad a number to two digits.
+ * @private
+ */
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Create an entry date from a Date, using its day and time in the local time zone.
+ * @param {Date|string} date - The date.
+ * @param {Object} [options]
+ * @param {boolean} [options.withTime=false] - Whether to keep the time of day.
+ * @param {string|null} [options.timeZone=null] - IANA time zone of the time.
+ * @returns {EntryDate} The entry date.
+ */
+function toEntryDate(date, { withTime = false, timeZone = null } = {}) {
+  const dateObj = date instanceof Date ? date : new Date(date);
+  return {
+    date: `${dateObj.getFullYear()}-${pad(dateObj.getMonth() + 1)}-${pad(dateObj.getDate())}`,
+    time: withTime ? `${pad(dateObj.getHours())}:${pad(dateObj.getMinutes())}` : null,
+    timeZone: withTime ? timeZone : null
+  };
+}
+
+/**
+ * Copy an entry date, filling in missing optional parts.
+ * @param {EntryDate} entryDate - The entry date.
+ * @returns {EntryDate|null} The entry date, or null if it is missing or invalid.
+ */
+function normalizeEntryDate(entryDate) {
+  if (!entryDate || validateEntryDate(entryDate)) return null;
+  return {
+    date: entryDate.date,
+    time: entryDate.time || null,
+    timeZone: entryDate.time ? entryDate.timeZone || null : null
+  };
+}
+
+/**
+ * Get a local Date at an entry date's day and time, for date pickers.
+ * The time zone is not applied.
+ * @param {EntryDate} entryDate - The entry date.
+ * @returns {Date} The local date.
+ */
+function entryDateToDate(entryDate) {
+  const [year, month, day] = entryDate.date.split('-').map(Number);
+  const [hours, minutes] = (entryDate.time || '00:00').split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * Compare two entry dates by day and then time of day, as written. Entries
+ * without a time come before timed entries of the same day.
+ * @param {EntryDate} a - The first entry date.
+ * @param {EntryDate} b - The second entry date.
+ * @returns {number} Negative if a comes first, positive if b does, 0 if equal.
+ */
+function compareEntryDates(a, b) {
+  const keyA = `${a.date}T${a.time || ''}`;
+  const keyB = `${b.date}T${b.time || ''}`;
+  return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+}
+
+/**
+ * Format an entry date to a human-readable string. The time zone is shown when
+ * it differs from the reader's own.
+ * @param {EntryDate} entryDate - The entry date.
+ * @param {string} [format='default'] - 'short' for the day only, 'default' to include the time.
+ * @returns {string} The formatted entry date.
+ */
+function formatEntryDate(entryDate, format = 'default') {
+  if (!entryDate || validateEntryDate(entryDate)) {
+    return 'Invalid date';
+  }
+
+  const date = entryDateToDate(entryDate);
+  const day = date.toLocaleDateString();
+  if (format === 'short' || !entryDate.time) return day;
+
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const zone = entryDate.timeZone && entryDate.timeZone !== localTimeZone ? ` (${entryDate.timeZone})` : '';
+  return `${day}, ${time}${zone}`;
+}
+
 /**
  * Format a date to a human-readable string.
  * @param {Date|string} date - The date to format.
@@ -156,34 +266,15 @@ function createJournalEntry(data = {}) {
   return new JournalEntry(data);
 }
 
-/**
- * Validate journal entry data.
- * @param {JournalEntryData} data - The journal entry data to validate.
- * @returns {Object} An object containing validation results.
- * @property {boolean} isValid - Whether the data is valid.
- * @property {Object} errors - Validation errors, if any.
- * @public
- */
-function validateJournalEntryData(data) {
-  const errors = {};
-  
-  if (!data.title || data.title.trim().length === 0) {
-    errors.title = 'Title is required';
-  }
-  
-  if (!data.content || data.content.trim().length === 0) {
-    errors.content = 'Content is required';
-  }
-  
-  return {
-    isValid: Object.keys(errors).length === 0,
-    errors
-  };
-}
-
 export {
+  MOODS,
   JournalEntry,
   createJournalEntry,
   formatDate,
+  toEntryDate,
+  normalizeEntryDate,
+  entryDateToDate,
+  compareEntryDates,
+  formatEntryDate,
   validateJournalEntryData
 };
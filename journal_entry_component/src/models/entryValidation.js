@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Validation rules for journal entry data. Kept as a CommonJS
+ * module so the API server can require the same rules the client applies.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * @typedef {Object} EntryDate
+ * @property {string} date - The day the entry is about, as YYYY-MM-DD
+ * @property {string|null} time - Time of day as HH:mm, or null for the whole day
+ * @property {string|null} timeZone - IANA time zone of the time, or null for the reader's own
+ */
+
+/**
+ * Check whether a string is a time zone known to Intl, such as 'Europe/Berlin'.
+ * @param {string} timeZone - The time zone name.
+ * @returns {boolean} True if the time zone is valid.
+ * @private
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate the date an entry is about.
+ * @param {EntryDate} entryDate - The entry date to validate.
+ * @returns {string|null} An error message, or null if the entry date is valid.
+ * @public
+ */
+function validateEntryDate(entryDate) {
+  if (!entryDate || typeof entryDate !== 'object') {
+    return 'Entry date must be an object with a date';
+  }
+
+  const { date, time = null, timeZone = null } = entryDate;
+  // Days that do not exist, such as 2023-02-29, roll over into another date
+  const day = typeof date === 'string' && DATE_PATTERN.test(date) ? new Date(`${date}T00:00:00Z`) : null;
+  if (!day || isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== date) {
+    return 'Entry date must be a valid YYYY-MM-DD date';
+  }
+  if (time !== null && (typeof time !== 'string' || !TIME_PATTERN.test(time))) {
+    return 'Entry time must be in HH:mm format';
+  }
+  if (timeZone !== null && (typeof timeZone !== 'string' || !isValidTimeZone(timeZone))) {
+    return 'Entry time zone is not a known time zone';
+  }
+  return null;
+}
+
+/**
+ * Validate the mood of an entry.
+ * @param {*} mood - The mood to validate.
+ * @returns {string|null} An error message, or null if the mood is valid.
+ * @public
+ */
+function validateMood(mood) {
+  return typeof mood === 'string' ? null : 'Mood must be a string';
+}
+
+/**
+ * Validate the tags of an entry.
+ * @param {*} tags - The tags to validate.
+ * @returns {string|null} An error message, or null if the tags are valid.
+ * @public
+ */
+function validateTags(tags) {
+  if (!Array.isArray(tags)) return 'Tags must be an array';
+  return tags.every(tag => typeof tag === 'string') ? null : 'Tags must be strings';
+}
+
+/**
+ * Validate journal entry data. Fields other than the title and content are
+ * only checked when present.
+ * @param {JournalEntryData} data - The journal entry data to validate.
+ * @returns {Object} An object containing validation results.
+ * @property {boolean} isValid - Whether the data is valid.
+ * @property {Object} errors - Validation errors, if any.
+ * @public
+ */
+function validateJournalEntryData(data) {
+  const errors = {};
+  
+  if (typeof data.title !== 'string' || data.title.trim().length === 0) {
+    errors.title = 'Title is required';
+  }
+  
+  if (typeof data.content !== 'string' || data.content.trim().length === 0) {
+    errors.content = 'Content is required';
+  }
+
+  // Entries in the trash carry the time they were deleted
+  if (data.deletedAt !== undefined && data.deletedAt !== null &&
+      isNaN(new Date(data.deletedAt).getTime())) {
+    errors.deletedAt = 'deletedAt must be a valid date';
+  }
+
+  if (data.entryDate !== undefined && data.entryDate !== null) {
+    const entryDateError = validateEntryDate(data.entryDate);
+    if (entryDateError) errors.entryDate = entryDateError;
+  }
+
+  if (data.mood !== undefined) {
+    const moodError = validateMood(data.mood);
+    if (moodError) errors.mood = moodError;
+  }
+
+  if (data.tags !== undefined) {
+    const tagsError = validateTags(data.tags);
+    if (tagsError) errors.tags = tagsError;
+  }
+  
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  validateJournalEntryData,
+  validateEntryDate,
+  validateMood,
+  validateTags
+};
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview User preferences synced between a user's devices: settings,
+ * such as how long trashed entries are kept, saved searches, which the entry
+ * list shows as smart collections, and the user's own entry templates. Kept as
+ * a CommonJS module so the API server validates and merges preferences the
+ * same way the client does.
+ *
+ * Every setting, saved search and template carries the time it was last
+ * changed, and merging two copies keeps the newer version of each, so changes
+ * made to different items on different devices never overwrite each other.
+ * Deleted saved searches and templates are kept as tombstones so the deletion
+ * reaches every device.
+ */
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const SORT_FIELDS = ['relevance', 'entryDate', 'updatedAt', 'createdAt', 'title'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+const MAX_SAVED_SEARCH_NAME_LENGTH = 60;
+const MAX_TEMPLATE_NAME_LENGTH = 60;
+
+/**
+ * @typedef {Object} PreferenceSetting
+ * @property {*} value - The setting's value, which must be JSON serializable
+ * @property {string} updatedAt - When the setting was last changed
+ */
+
+/**
+ * @typedef {Object} SavedSearch
+ * @property {string} id - Unique id
+ * @property {string} name - Name shown in the collections sidebar
+ * @property {string} query - Search query text
+ * @property {Object} filters - Entry list filters: moods, tags, from and to
+ * @property {string} sortField - Field the results are sorted by
+ * @property {'asc'|'desc'} sortDirection - Sort direction
+ * @property {string} updatedAt - When the saved search was last changed
+ * @property {string|null} deletedAt - When it was deleted, or null
+ */
+
+/**
+ * @typedef {Object} EntryTemplate
+ * @property {string} id - Unique id
+ * @property {string} name - Name shown in the New Entry menu
+ * @property {string} titlePattern - Title of new entries, with placeholders such as {date}
+ * @property {string} content - Content new entries start with, such as prompts as headings
+ * @property {string} mood - Mood new entries start with, or ''
+ * @property {Array<string>} tags - Tags new entries start with
+ * @property {string} updatedAt - When the template was last changed
+ * @property {string|null} deletedAt - When it was deleted, or null
+ */
+
+/**
+ * @typedef {Object} UserPreferences
+ * @property {Object<string, PreferenceSetting>} settings - Settings by name
+ * @property {Object<string, SavedSearch>} savedSearches - Saved searches by id, including deleted ones
+ * @property {Object<string, EntryTemplate>} templates - Entry templates by id, including deleted ones.
+ * Copies saved before templates existed have none.
+ */
+
+/**
+ * Create preferences with nothing set.
+ * @returns {UserPreferences} Empty preferences.
+ * @public
+ */
+function createEmptyPreferences() {
+  return { settings: {}, savedSearches: {}, templates: {} };
+}
+
+const isValidTimestamp = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validate a saved search. Deleted saved searches only need an id and timestamps.
+ * @param {SavedSearch} search - The saved search to validate.
+ * @returns {Object} An object containing validation results.
+ * @property {boolean} isValid - Whether the saved search is valid.
+ * @property {Object} errors - Validation errors, if any.
+ * @public
+ */
+function validateSavedSearch(search) {
+  const errors = {};
+
+  if (!search || typeof search !== 'object') {
+    return { isValid: false, errors: { search: 'Saved search must be an object' } };
+  }
+  if (typeof search.id !== 'string' || !search.id) {
+    errors.id = 'Saved search ID is required';
+  }
+  if (!isValidTimestamp(search.updatedAt)) {
+    errors.updatedAt = 'updatedAt must be a valid date';
+  }
+  if (search.deletedAt !== null && search.deletedAt !== undefined && !isValidTimestamp(search.deletedAt)) {
+    errors.deletedAt = 'deletedAt must be a valid date';
+  }
+  if (search.deletedAt) {
+    return { isValid: Object.keys(errors).length === 0, errors };
+  }
+
+  if (typeof search.name !== 'string' || !search.name.trim()) {
+    errors.name = 'Name is required';
+  } else if (search.name.trim().length > MAX_SAVED_SEARCH_NAME_LENGTH) {
+    errors.name = `Name must be at most ${MAX_SAVED_SEARCH_NAME_LENGTH} characters`;
+  }
+  if (typeof search.query !== 'string') {
+    errors.query = 'Query must be a string';
+  }
+
+  const filters = search.filters;
+  if (!filters || typeof filters !== 'object' ||
+      !isStringList(filters.moods) || !isStringList(filters.tags) ||
+      [filters.from, filters.to].some(day => day !== null && (typeof day !== 'string' || !DAY_PATTERN.test(day)))) {
+    errors.filters = 'Filters must have lists of moods and tags, and from and to days or null';
+  }
+  if (!SORT_FIELDS.includes(search.sortField)) {
+    errors.sortField = `Sort field must be one of ${SORT_FIELDS.join(', ')}`;
+  }
+  if (!SORT_DIRECTIONS.includes(search.sortDirection)) {
+    errors.sortDirection = 'Sort direction must be asc or desc';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate an entry template. Deleted templates only need an id and timestamps.
+ * @param {EntryTemplate} template - The template to validate.
+ * @returns {Object} An object containing validation results.
+ * @property {boolean} isValid - Whether the template is valid.
+ * @property {Object} errors - Validation errors, if any.
+ * @public
+ */
+function validateEntryTemplate(template) {
+  const errors = {};
+
+  if (!template || typeof template !== 'object') {
+    return { isValid: false, errors: { template: 'Template must be an object' } };
+  }
+  if (typeof template.id !== 'string' || !template.id) {
+    errors.id = 'Template ID is required';
+  }
+  if (!isValidTimestamp(template.updatedAt)) {
+    errors.updatedAt = 'updatedAt must be a valid date';
+  }
+  if (template.deletedAt !== null && template.deletedAt !== undefined && !isValidTimestamp(template.deletedAt)) {
+    errors.deletedAt = 'deletedAt must be a valid date';
+  }
+  if (template.deletedAt) {
+    return { isValid: Object.keys(errors).length === 0, errors };
+  }
+
+  if (typeof template.name !== 'string' || !template.name.trim()) {
+    errors.name = 'Name is required';
+  } else if (template.name.trim().length > MAX_TEMPLATE_NAME_LENGTH) {
+    errors.name = `Name must be at most ${MAX_TEMPLATE_NAME_LENGTH} characters`;
+  }
+  if (typeof template.titlePattern !== 'string') {
+    errors.titlePattern = 'Title pattern must be a string';
+  }
+  if (typeof template.content !== 'string') {
+    errors.content = 'Content must be a string';
+  }
+  if (typeof template.mood !== 'string') {
+    errors.mood = 'Mood must be a string';
+  }
+  if (!isStringList(template.tags)) {
+    errors.tags = 'Tags must be a list of strings';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a complete set of preferences, such as one received from another device.
+ * @param {UserPreferences} preferences - The preferences to validate.
+ * @returns {string|null} An error message, or null if the preferences are valid.
+ * @public
+ */
+function validatePreferences(preferences) {
+  if (!preferences || typeof preferences !== 'object' ||
+      !preferences.settings || typeof preferences.settings !== 'object' ||
+      !preferences.savedSearches || typeof preferences.savedSearches !== 'object') {
+    return 'Preferences must have settings and savedSearches objects';
+  }
+
+  const invalidSetting = Object.entries(preferences.settings)
+    .find(([, setting]) => !setting || !isValidTimestamp(setting.updatedAt) || setting.value === undefined);
+  if (invalidSetting) {
+    return `Setting ${invalidSetting[0]} must have a value and a valid updatedAt`;
+  }
+
+  for (const [id, search] of Object.entries(preferences.savedSearches)) {
+    const { isValid, errors } = validateSavedSearch(search);
+    if (!isValid) return `Saved search ${id}: ${Object.values(errors)[0]}`;
+    if (search.id !== id) return `Saved search ${id} is stored under another id`;
+  }
+
+  if (preferences.templates !== undefined &&
+      (!preferences.templates || typeof preferences.templates !== 'object')) {
+    return 'Templates must be an object';
+  }
+  for (const [id, template] of Object.entries(preferences.templates || {})) {
+    const { isValid, errors } = validateEntryTemplate(template);
+    if (!isValid) return `Template ${id}: ${Object.values(errors)[0]}`;
+    if (template.id !== id) return `Template ${id} is stored under another id`;
+  }
+  return null;
+}
+
+/**
+ * Merge the items of two maps, keeping the most recently changed version of
+ * each. On a tie the base version is kept.
+ * @private
+ */
+const mergeByUpdatedAt = (base, incoming) => {
+  const merged = { ...base };
+  Object.entries(incoming).forEach(([key, item]) => {
+    const current = merged[key];
+    if (!current || new Date(item.updatedAt).getTime() > new Date(current.updatedAt).getTime()) {
+      merged[key] = item;
+    }
+  });
+  return merged;
+};
+
+/**
+ * Merge two copies of a user's preferences, keeping the most recently changed
+ * version of every setting, saved search and template.
+ * @param {UserPreferences} base - One copy, kept where both changed at the same time.
+ * @param {UserPreferences} incoming - The other copy.
+ * @returns {UserPreferences} The merged preferences.
+ * @public
+ */
+function mergePreferences(base, incoming) {
+  return {
+    settings: mergeByUpdatedAt(base.settings, incoming.settings),
+    savedSearches: mergeByUpdatedAt(base.savedSearches, incoming.savedSearches),
+    templates: mergeByUpdatedAt(base.templates || {}, incoming.templates || {})
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_SAVED_SEARCH_NAME_LENGTH,
+  MAX_TEMPLATE_NAME_LENGTH,
+  createEmptyPreferences,
+  validateSavedSearch,
+  validateEntryTemplate,
+  validatePreferences,
+  mergePreferences
+};
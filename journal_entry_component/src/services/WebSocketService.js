@@ -2,8 +2,17 @@
  * WebSocketService.js
  * Handles WebSocket connections for the Journal Entry Component with automatic reconnection,
  * message handling, and connection status management.
+ * The access token from AuthService is sent as the `token` query parameter of the handshake.
  */
 
+import AuthService from './authService';
+
+// Close codes the server uses when it rejects a socket's access token
+const CLOSE_CODES = {
+    TOKEN_EXPIRED: 4001,
+    UNAUTHORIZED: 4003
+};
+
 class WebSocketService {
     constructor(url) {
         this.url = url || process.env.REACT_APP_WS_URL || 'ws://localhost:3001/ws';
@@ -22,8 +31,20 @@ class WebSocketService {
      * Initializes the WebSocket connection
      */
     connect() {
+        if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) {
+            return;
+        }
+
+        const token = AuthService.getToken();
+        if (!token) {
+            console.error('Cannot connect WebSocket: no active session');
+            this.notifyStatusChange(false);
+            return;
+        }
+
         try {
-            this.ws = this.protocols.length > 0 ? new WebSocket(this.url, this.protocols) : new WebSocket(this.url);
+            const url = this.getAuthenticatedUrl(token);
+            this.ws = this.protocols.length > 0 ? new WebSocket(url, this.protocols) : new WebSocket(url);
             this.setupEventHandlers();
         } catch (error) {
             console.error('WebSocket connection error:', error);
@@ -31,6 +52,18 @@ class WebSocketService {
         }
     }
 
+    /**
+     * Adds the access token to the WebSocket URL
+     * @private
+     * @param {string} token - The access token
+     * @returns {string} - The URL to open
+     */
+    getAuthenticatedUrl(token) {
+        const url = new URL(this.url);
+        url.searchParams.set('token', token);
+        return url.toString();
+    }
+
     /**
      * Sets up WebSocket event handlers
      * @private
@@ -43,11 +76,18 @@ class WebSocketService {
             this.notifyStatusChange(true);
         };
 
-        this.ws.onclose = () => {
+        this.ws.onclose = (event) => {
             console.log('WebSocket connection closed');
             this.isConnected = false;
             this.notifyStatusChange(false);
-            this.handleReconnection();
+
+            if (event.code === CLOSE_CODES.TOKEN_EXPIRED) {
+                this.handleExpiredToken();
+            } else if (event.code === CLOSE_CODES.UNAUTHORIZED) {
+                console.error('WebSocket connection rejected:', event.reason);
+            } else {
+                this.handleReconnection();
+            }
         };
 
         this.ws.onerror = (error) => {
@@ -84,6 +124,19 @@ class WebSocketService {
         }
     }
 
+    /**
+     * Renews the access token and reconnects after the server closed the socket
+     * because the token expired
+     * @private
+     */
+    async handleExpiredToken() {
+        if (await AuthService.refreshToken()) {
+            this.connect();
+        } else {
+            console.error('WebSocket session expired and could not be renewed');
+        }
+    }
+
     /**
      * PUBLIC_INTERFACE
      * Sends a message through the WebSocket connection
@@ -194,4 +247,7 @@ class WebSocketService {
     }
 }
 
+// Shared connection used by components that follow live entry changes
+export const webSocketService = new WebSocketService();
+
 export default WebSocketService;
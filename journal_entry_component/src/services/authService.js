@@ -116,20 +116,11 @@ class RequestQueue {
   }
 }
 
-// Helper function to check internet connection with active check
+// Helper function to check internet connection.
+// Failing requests are handled by the retry logic and the circuit breaker, so
+// an idle period without requests must not count as being offline.
 function checkConnection() {
-  const lastRequest = window.localStorage.getItem('lastSuccessfulRequest');
-  if (!navigator.onLine) return false;
-  if (!lastRequest) return true;
-  
-  try {
-    const lastRequestTime = parseInt(lastRequest, 10);
-    if (isNaN(lastRequestTime)) return true;
-    return lastRequestTime > Date.now() - 30000;
-  } catch (error) {
-    console.warn('Error parsing lastSuccessfulRequest timestamp:', error);
-    return true; // Default to allowing connection on parse error
-  }
+  return navigator.onLine;
 }
 
 // Helper function to calculate retry delay with exponential backoff and jitter
@@ -151,12 +142,77 @@ function isRetryableError(error) {
   );
 }
 
+// Helper function to persist the session returned by the auth endpoints.
+// The server wraps it in a {status, message, data} envelope.
+function storeSession(response) {
+  const session = response.data || response;
+  if (!session.token) return false;
+
+  localStorage.setItem('journal_auth_token', session.token);
+  localStorage.setItem('auth_timestamp', Date.now().toString());
+  if (session.refreshToken) {
+    localStorage.setItem('journal_refresh_token', session.refreshToken);
+  }
+  if (session.userId) {
+    localStorage.setItem('journal_user', JSON.stringify({
+      userId: session.userId,
+      name: session.name,
+      email: session.email
+    }));
+  }
+  return true;
+}
+
 // Initialize circuit breaker and request queue
 const circuitBreaker = new CircuitBreaker();
 const requestQueue = new RequestQueue();
 
-// Helper function for making API requests with retry mechanism and circuit breaker
-async function makeRequest(url, options, retries = API_CONFIG.REQUEST_CONFIG.retries) {
+// Replay queued requests as soon as the browser is back online
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => requestQueue.processQueue());
+}
+
+// In-flight refresh shared by every request that hit an expired access token
+let refreshPromise = null;
+
+// Helper function to exchange the stored refresh token for a new session.
+// Resolves to true when a new access token was stored.
+async function requestTokenRefresh() {
+  const refreshToken = localStorage.getItem('journal_refresh_token');
+  if (!refreshToken) return false;
+
+  try {
+    const data = await makeRequest(
+      `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.AUTH.REFRESH}`,
+      {
+        method: 'POST',
+        headers: API_CONFIG.HEADERS,
+        body: JSON.stringify({ refreshToken })
+      }
+    );
+    return storeSession(data);
+  } catch (error) {
+    // A rejected refresh token means the session is over on the server too
+    if (error instanceof AuthenticationError || error instanceof ValidationError) {
+      AuthService.clearAuthData();
+    }
+    console.warn('Token refresh failed:', error.message);
+    return false;
+  }
+}
+
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+// Helper function for making API requests with retry mechanism and circuit breaker.
+// Authenticated requests rejected with 401/403 are replayed once after a token refresh.
+async function makeRequest(url, options, retries = API_CONFIG.REQUEST_CONFIG.retries, hasRefreshed = false) {
   if (!circuitBreaker.canRequest()) {
     throw new NetworkError('Service temporarily unavailable', { 
       circuitBreakerState: circuitBreaker.state,
@@ -234,6 +290,19 @@ async function makeRequest(url, options, retries = API_CONFIG.REQUEST_CONFIG.ret
   } catch (error) {
     clearTimeout(timeoutId);
 
+    if (error instanceof AuthenticationError &&
+        !hasRefreshed &&
+        options.headers?.Authorization &&
+        await refreshSession()) {
+      return makeRequest(url, {
+        ...options,
+        headers: {
+          ...options.headers,
+          'Authorization': `Bearer ${AuthService.getToken()}`
+        }
+      }, retries, true);
+    }
+
     if (error.name === 'AbortError') {
       const timeoutError = new NetworkError('Request timeout', {
         url,
@@ -288,10 +357,7 @@ class AuthService {
       );
       
       // Store the token if registration automatically logs in the user
-      if (data.token) {
-        localStorage.setItem('journal_auth_token', data.token);
-        localStorage.setItem('auth_timestamp', Date.now().toString());
-      }
+      storeSession(data);
       
       return data;
     } catch (error) {
@@ -349,9 +415,7 @@ class AuthService {
       );
       
       // Store the token and timestamp in localStorage
-      if (data.token) {
-        localStorage.setItem('journal_auth_token', data.token);
-        localStorage.setItem('auth_timestamp', Date.now().toString());
+      if (storeSession(data)) {
         return data;
       } else {
         throw new AuthenticationError(
@@ -421,7 +485,11 @@ class AuthService {
             headers: {
               ...API_CONFIG.HEADERS,
               'Authorization': `Bearer ${token}`
-            }
+            },
+            // Let the server revoke the refresh token family as well
+            body: JSON.stringify({
+              refreshToken: localStorage.getItem('journal_refresh_token')
+            })
           }
         );
 
@@ -479,15 +547,104 @@ class AuthService {
     }
   }
 
+  /**
+   * Log out every session of the current user, on all devices.
+   * Local auth data is cleared even when the server cannot be reached.
+   * @returns {Promise<void>}
+   */
+  static async logoutAll() {
+    try {
+      await this.request(API_CONFIG.ENDPOINTS.AUTH.LOGOUT_ALL, { method: 'POST' });
+    } catch (error) {
+      console.error('Logout all sessions error:', {
+        endpoint: API_CONFIG.ENDPOINTS.AUTH.LOGOUT_ALL,
+        errorType: error.name,
+        originalMessage: error.message,
+        stack: error.stack
+      });
+      throw error;
+    } finally {
+      this.clearAuthData();
+    }
+  }
+
   static clearAuthData() {
     localStorage.removeItem('journal_auth_token');
     localStorage.removeItem('auth_timestamp');
+    localStorage.removeItem('journal_refresh_token');
+    localStorage.removeItem('journal_user');
   }
 
   static getToken() {
     return localStorage.getItem('journal_auth_token');
   }
 
+  /**
+   * Make an authenticated API request. Expired access tokens are refreshed
+   * transparently before an AuthenticationError reaches the caller.
+   * @param {string} endpoint - Path relative to API_CONFIG.BASE_URL
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Object>} The parsed response body
+   */
+  static async request(endpoint, options = {}) {
+    const token = this.getToken();
+    if (!token) {
+      throw new AuthenticationError('No active session found', { endpoint });
+    }
+
+    return makeRequest(`${API_CONFIG.BASE_URL}${endpoint}`, {
+      method: 'GET',
+      ...options,
+      headers: {
+        ...API_CONFIG.HEADERS,
+        ...options.headers,
+        'Authorization': `Bearer ${token}`
+      }
+    });
+  }
+
+  /**
+   * Renew the access token using the stored refresh token.
+   * Concurrent callers share a single refresh request.
+   * @returns {Promise<boolean>} True when a new access token was stored
+   */
+  static refreshToken() {
+    return refreshSession();
+  }
+
+  /**
+   * Get the signed-in user's profile as returned at login.
+   * @returns {{userId: string, name: string, email: string}|null} The user, or null when signed out
+   */
+  static getUser() {
+    try {
+      return JSON.parse(localStorage.getItem('journal_user'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static getUserId() {
+    return this.getUser()?.userId || null;
+  }
+
+  /**
+   * Check whether the browser currently has a network connection.
+   * @returns {boolean} True when requests can be attempted
+   */
+  static checkConnection() {
+    return checkConnection();
+  }
+
+  /**
+   * Queue work to run once the connection is back. Queued work is retried in
+   * order while it fails with a retryable error.
+   * @param {Function} execute - Async function performing the request
+   */
+  static queueRequest(execute) {
+    requestQueue.add({ execute, timestamp: Date.now() });
+  }
+
   static isAuthenticated() {
     return !!this.getToken();
   }
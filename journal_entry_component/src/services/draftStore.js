@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Drafts of entries being written in JournalEntryForm, autosaved
+ * to localStorage so nothing typed is lost when the tab closes or the session
+ * expires. A draft is keyed by the id of the entry being edited, or by a
+ * new-entry draft id for entries that were never saved. Drafts are namespaced
+ * by the user who started them, which the form passes in: a session can end
+ * while the user is typing, and the draft must still be offered to them when
+ * they sign in again.
+ */
+
+// Storage key prefix for the drafts of a user
+const STORAGE_KEY = 'journal_drafts';
+
+// Prefix of the draft keys of entries that were never saved
+const NEW_DRAFT_PREFIX = 'new:';
+
+// Drafts left alone this long are dropped
+const MAX_DRAFT_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} EntryDraft
+ * @property {string} key - The entry id, or a new-entry draft key
+ * @property {string|null} entryId - The entry being edited, or null for a new entry
+ * @property {string} title - Title typed so far
+ * @property {string} content - Content typed so far
+ * @property {Object} entryDate - Entry date chosen so far
+ * @property {string} mood - Mood chosen so far, or ''
+ * @property {Array<string>} tags - Tags added so far
+ * @property {string|null} baseUpdatedAt - updatedAt of the entry when editing started, null for a new entry
+ * @property {string} savedAt - When the draft was last autosaved
+ */
+
+/**
+ * Helper function to get the storage key of a user's drafts.
+ * @param {string|null} userId - The user, or null when signed out.
+ * @returns {string} The localStorage key.
+ * @private
+ */
+const getStorageKey = (userId) => (userId ? `${STORAGE_KEY}:${userId}` : STORAGE_KEY);
+
+/**
+ * Helper function to read a user's drafts, leaving out expired ones.
+ * @param {string|null} userId - The user, or null when signed out.
+ * @returns {Object<string, EntryDraft>} Drafts by key.
+ * @private
+ */
+const readDrafts = (userId) => {
+  try {
+    const drafts = JSON.parse(localStorage.getItem(getStorageKey(userId))) || {};
+    const cutoff = Date.now() - MAX_DRAFT_AGE_MS;
+    return Object.fromEntries(Object.entries(drafts)
+      .filter(([, draft]) => new Date(draft.savedAt).getTime() > cutoff));
+  } catch (error) {
+    console.error('Error reading drafts:', error);
+    return {};
+  }
+};
+
+/**
+ * Helper function to write a user's drafts.
+ * @param {string|null} userId - The user, or null when signed out.
+ * @param {Object<string, EntryDraft>} drafts - Drafts by key.
+ * @returns {boolean} True if the drafts were written.
+ * @private
+ */
+const writeDrafts = (userId, drafts) => {
+  try {
+    if (Object.keys(drafts).length === 0) {
+      localStorage.removeItem(getStorageKey(userId));
+    } else {
+      localStorage.setItem(getStorageKey(userId), JSON.stringify(drafts));
+    }
+    return true;
+  } catch (error) {
+    console.error('Error writing drafts:', error);
+    return false;
+  }
+};
+
+/**
+ * Create a key for the draft of a new entry.
+ * @returns {string} The draft key.
+ * @public
+ */
+export const createNewDraftKey = () =>
+  NEW_DRAFT_PREFIX + Date.now().toString(36) + Math.random().toString(36).substring(2, 11);
+
+/**
+ * Autosave a draft.
+ * @param {string|null} userId - The user who is writing.
+ * @param {string} key - The entry id, or a key from createNewDraftKey.
+ * @param {Object} fields - The title, content, entryDate, mood and tags typed so far.
+ * @param {string|null} [baseUpdatedAt=null] - updatedAt of the entry when editing started.
+ * @returns {EntryDraft|null} The saved draft, or null if it could not be written.
+ * @public
+ */
+export const saveDraft = (userId, key, fields, baseUpdatedAt = null) => {
+  const draft = {
+    key,
+    entryId: key.startsWith(NEW_DRAFT_PREFIX) ? null : key,
+    title: fields.title,
+    content: fields.content,
+    entryDate: fields.entryDate,
+    mood: fields.mood,
+    tags: [...fields.tags],
+    baseUpdatedAt,
+    savedAt: new Date().toISOString()
+  };
+  const drafts = readDrafts(userId);
+  drafts[key] = draft;
+  return writeDrafts(userId, drafts) ? draft : null;
+};
+
+/**
+ * Get a draft.
+ * @param {string|null} userId - The user who wrote it.
+ * @param {string} key - The entry id or new-entry draft key.
+ * @returns {EntryDraft|null} The draft, or null if there is none.
+ * @public
+ */
+export const getDraft = (userId, key) => readDrafts(userId)[key] || null;
+
+/**
+ * Get the most recently saved draft of a new entry.
+ * @param {string|null} userId - The user who wrote it.
+ * @returns {EntryDraft|null} The draft, or null if there is none.
+ * @public
+ */
+export const getLatestNewEntryDraft = (userId) =>
+  Object.values(readDrafts(userId))
+    .filter(draft => draft.entryId === null)
+    .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))[0] || null;
+
+/**
+ * Discard a draft, after its entry was saved or the user chose not to keep it.
+ * @param {string|null} userId - The user who wrote it.
+ * @param {string} key - The entry id or new-entry draft key.
+ * @public
+ */
+export const discardDraft = (userId, key) => {
+  const drafts = readDrafts(userId);
+  if (!drafts[key]) return;
+  delete drafts[key];
+  writeDrafts(userId, drafts);
+};
+
+export default {
+  createNewDraftKey,
+  saveDraft,
+  getDraft,
+  getLatestNewEntryDraft,
+  discardDraft
+};
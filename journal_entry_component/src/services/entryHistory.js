@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Revision history of journal entries. Every save through
+ * journalService.updateEntry keeps the version it replaced here as an immutable
+ * snapshot, so earlier wording can be compared and restored. History is stored
+ * per user, next to the entries, and pruned to the most recent versions of
+ * each entry.
+ */
+
+import AuthService from './authService';
+
+// Storage key prefix for the history of a user's entries
+const STORAGE_KEY = 'journal_entry_history';
+
+// Number of past versions kept per entry; older versions are pruned
+export const MAX_VERSIONS_PER_ENTRY = 50;
+
+const HISTORY_FIELDS = ['title', 'content', 'entryDate', 'mood', 'tags'];
+
+/**
+ * @typedef {Object} EntryVersion
+ * @property {string} id - Unique version id
+ * @property {string} entryId - The entry the version belongs to
+ * @property {string} savedAt - When this version was replaced by a newer one
+ * @property {string} updatedAt - When this version itself was written
+ * @property {string} title - Title at the time
+ * @property {string} content - Content at the time
+ * @property {Object} entryDate - Entry date at the time
+ * @property {string} mood - Mood at the time
+ * @property {string[]} tags - Tags at the time
+ */
+
+/**
+ * Helper function to get the storage key for the current user.
+ * @returns {string} The localStorage key holding the history.
+ * @private
+ */
+const getStorageKey = () => {
+  const userId = AuthService.getUserId();
+  return userId ? `${STORAGE_KEY}:${userId}` : STORAGE_KEY;
+};
+
+/**
+ * Helper function to read the history of all entries.
+ * @returns {Object<string, Array<EntryVersion>>} Versions by entry id, oldest first.
+ * @private
+ */
+const readHistory = () => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey())) || {};
+  } catch (error) {
+    console.error('Error reading entry history from localStorage:', error);
+    return {};
+  }
+};
+
+/**
+ * Helper function to save the history of all entries.
+ * @param {Object<string, Array<EntryVersion>>} history - Versions by entry id.
+ * @returns {boolean} True if successful, false otherwise.
+ * @private
+ */
+const saveHistory = (history) => {
+  try {
+    localStorage.setItem(getStorageKey(), JSON.stringify(history));
+    return true;
+  } catch (error) {
+    console.error('Error saving entry history to localStorage:', error);
+    return false;
+  }
+};
+
+const isSameVersion = (a, b) => HISTORY_FIELDS.every(field =>
+  JSON.stringify(a[field]) === JSON.stringify(b[field])
+);
+
+/**
+ * Keep the version of an entry that is about to be overwritten.
+ * Saves that change nothing do not add a version.
+ * @param {JournalEntry} previousEntry - The entry as it was before the save.
+ * @param {JournalEntry} nextEntry - The entry as it is after the save.
+ * @returns {EntryVersion|null} The stored version, or null if nothing changed.
+ * @public
+ */
+export const recordVersion = (previousEntry, nextEntry) => {
+  if (isSameVersion(previousEntry, nextEntry)) return null;
+
+  const version = {
+    id: Date.now().toString(36) + Math.random().toString(36).substring(2, 9),
+    entryId: previousEntry.id,
+    savedAt: new Date().toISOString(),
+    updatedAt: new Date(previousEntry.updatedAt).toISOString(),
+    title: previousEntry.title,
+    content: previousEntry.content,
+    entryDate: { ...previousEntry.entryDate },
+    mood: previousEntry.mood,
+    tags: [...previousEntry.tags]
+  };
+
+  const history = readHistory();
+  const versions = [...(history[version.entryId] || []), version];
+  history[version.entryId] = versions.slice(-MAX_VERSIONS_PER_ENTRY);
+
+  return saveHistory(history) ? version : null;
+};
+
+/**
+ * Get the past versions of an entry.
+ * @param {string} entryId - The entry.
+ * @returns {Array<EntryVersion>} Past versions, newest first.
+ * @public
+ */
+export const getVersions = (entryId) => [...(readHistory()[entryId] || [])].reverse();
+
+/**
+ * Get a single past version of an entry.
+ * @param {string} entryId - The entry.
+ * @param {string} versionId - The version.
+ * @returns {EntryVersion|null} The version, or null if it does not exist.
+ * @public
+ */
+export const getVersion = (entryId, versionId) =>
+  (readHistory()[entryId] || []).find(version => version.id === versionId) || null;
+
+/**
+ * Remove the history of an entry.
+ * @param {string} entryId - The entry.
+ * @returns {boolean} True if successful, false otherwise.
+ * @public
+ */
+export const removeVersions = (entryId) => {
+  const history = readHistory();
+  if (!history[entryId]) return true;
+
+  delete history[entryId];
+  return saveHistory(history);
+};
+
+export default {
+  recordVersion,
+  getVersions,
+  getVersion,
+  removeVersions
+};
@@ -1,52 +1,157 @@
 /**
- * @fileoverview Journal service that provides CRUD operations for journal entries
- * and handles data persistence using localStorage.
+ * @fileoverview Journal service that provides CRUD operations for journal entries.
+ * Entries are persisted through entryStorage (IndexedDB where available,
+ * localStorage otherwise), one entry at a time, and are namespaced per
+ * signed-in user so people sharing a browser never see each other's journal.
+ * Deleted entries are moved to a separate Trash store, from which they can be
+ * restored until they are deleted permanently or outlive the retention period.
+ * Local changes of signed-in users are also recorded in the sync operation log
+ * so syncService can push them to the server, and every update keeps the
+ * version it replaced in the entry's revision history. Active entries are kept
+ * in a full-text searchIndex as they are saved and removed.
  */
 
 import {
   JournalEntry,
   createJournalEntry,
+  compareEntryDates,
   validateJournalEntryData
 } from '../models/JournalEntry';
+import AuthService from './authService';
+import operationLog from './operationLog';
+import entryHistory from './entryHistory';
+import searchIndex from './searchIndex';
+import preferencesService from './preferencesService';
+import entryStorage, { ENTRIES_STORE, TRASH_STORE } from './storage/entryStorage';
+import { parseSearchQuery, isEmptySearchQuery } from '../utils/searchQuery';
+import { EMPTY_FILTERS, passesFilters, applyFilters, countFacets } from '../utils/entryFilters';
 
-// Storage key for journal entries in localStorage
-const STORAGE_KEY = 'journal_entries';
+// Synced preference holding the trash retention period
+const TRASH_RETENTION_SETTING = 'trashRetentionDays';
+
+// Storage key the trash retention period was kept under before it was synced
+const TRASH_RETENTION_KEY = 'journal_trash_retention_days';
+
+// Days a trashed entry is kept before it is purged, unless configured otherwise
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries listed per page, unless another limit is asked for
+export const DEFAULT_PAGE_SIZE = 50;
+
+// Sort orders kept by a storage index, whose pages are read from storage
+const INDEXED_SORT_FIELDS = ['entryDate', 'createdAt', 'updatedAt'];
 
 /**
- * Helper function to get all entries from localStorage.
+ * Helper function to get the localStorage key of a setting for the current user.
+ * Signed-out use keeps the original unscoped key.
+ * @param {string} baseKey - The unscoped key.
+ * @returns {string} The localStorage key holding the current user's setting.
+ * @private
+ */
+const getStorageKey = (baseKey) => {
+  const userId = AuthService.getUserId();
+  return userId ? `${baseKey}:${userId}` : baseKey;
+};
+
+/**
+ * Helper function to get the fields of an entry that are synced to the server.
+ * @param {JournalEntry} entry - The entry.
+ * @returns {Object} The entry's title, content, entry date, mood, tags and trash state.
+ * @private
+ */
+const toSyncData = (entry) => ({
+  title: entry.title,
+  content: entry.content,
+  entryDate: { ...entry.entryDate },
+  mood: entry.mood,
+  tags: [...entry.tags],
+  deletedAt: entry.deletedAt ? entry.deletedAt.toISOString() : null
+});
+
+/**
+ * Helper function to get all entries of a store.
+ * @param {string} [storeName=ENTRIES_STORE] - ENTRIES_STORE for entries, TRASH_STORE for the trash.
  * @returns {Array<JournalEntry>} Array of journal entries.
  * @private
  */
-const getEntriesFromStorage = () => {
-  try {
-    const entriesJson = localStorage.getItem(STORAGE_KEY);
-    if (!entriesJson) return [];
-    
-    const entriesData = JSON.parse(entriesJson);
-    return entriesData.map(data => new JournalEntry(data));
-  } catch (error) {
-    console.error('Error retrieving journal entries from localStorage:', error);
-    return [];
-  }
+const getEntriesFromStorage = (storeName = ENTRIES_STORE) => {
+  return entryStorage.readRecords(storeName).map(data => new JournalEntry(data));
+};
+
+/**
+ * Helper function to get a single entry of a store.
+ * @param {string} id - The ID of the entry.
+ * @param {string} [storeName=ENTRIES_STORE] - ENTRIES_STORE for entries, TRASH_STORE for the trash.
+ * @returns {JournalEntry|null} The entry, or null if it is not in the store.
+ * @private
+ */
+const getEntryFromStorage = (id, storeName = ENTRIES_STORE) => {
+  const data = entryStorage.readRecord(storeName, id);
+  return data ? new JournalEntry(data) : null;
 };
 
 /**
- * Helper function to save entries to localStorage.
+ * Helper function to add or replace entries in a store.
  * @param {Array<JournalEntry>} entries - The entries to save.
+ * @param {string} [storeName=ENTRIES_STORE] - ENTRIES_STORE for entries, TRASH_STORE for the trash.
  * @returns {boolean} True if successful, false otherwise.
  * @private
  */
-const saveEntriesToStorage = (entries) => {
-  try {
-    const entriesData = entries.map(entry => entry.toObject());
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(entriesData));
-    return true;
-  } catch (error) {
-    console.error('Error saving journal entries to localStorage:', error);
-    return false;
+const saveEntriesToStorage = (entries, storeName = ENTRIES_STORE) => {
+  const saved = entryStorage.writeRecords(storeName, entries.map(entry => entry.toObject()));
+  if (saved && storeName === ENTRIES_STORE) searchIndex.indexEntries(entries);
+  return saved;
+};
+
+/**
+ * Helper function to remove an entry from a store.
+ * @param {string} id - The ID of the entry.
+ * @param {string} [storeName=ENTRIES_STORE] - ENTRIES_STORE for entries, TRASH_STORE for the trash.
+ * @returns {boolean} True if successful, false otherwise.
+ * @private
+ */
+const removeEntryFromStorage = (id, storeName = ENTRIES_STORE) => {
+  const removed = entryStorage.removeRecords(storeName, [id]);
+  if (removed && storeName === ENTRIES_STORE) searchIndex.removeEntries([id]);
+  return removed;
+};
+
+/**
+ * Helper function to remove every entry of a store.
+ * @param {string} storeName - ENTRIES_STORE for entries, TRASH_STORE for the trash.
+ * @returns {boolean} True if successful, false otherwise.
+ * @private
+ */
+const clearStorage = (storeName) => {
+  const cleared = entryStorage.clearRecords(storeName);
+  if (cleared && storeName === ENTRIES_STORE) searchIndex.reset();
+  return cleared;
+};
+
+/**
+ * Helper function to make sure the search index holds the stored entries,
+ * rebuilding it when the user changed or storage finished loading.
+ * @private
+ */
+const ensureSearchIndex = () => {
+  const key = `${AuthService.getUserId() || ''}:${entryStorage.getGeneration()}`;
+  if (!searchIndex.isCurrent(key)) {
+    searchIndex.rebuild(key, getEntriesFromStorage());
   }
 };
 
+/**
+ * Wait until the current user's entries have been loaded from storage. Reads
+ * made before then return no entries.
+ * @returns {Promise<void>}
+ * @public
+ */
+export const whenStorageReady = () => {
+  return entryStorage.whenReady();
+};
+
 /**
  * Get all journal entries.
  * @returns {Array<JournalEntry>} Array of journal entries.
@@ -65,9 +170,7 @@ export const getAllEntries = () => {
 export const getEntryById = (id) => {
   if (!id) return null;
   
-  const entries = getEntriesFromStorage();
-  const entry = entries.find(entry => entry.id === id);
-  return entry || null;
+  return getEntryFromStorage(id);
 };
 
 /**
@@ -86,15 +189,11 @@ export const createEntry = (entryData) => {
   }
   
   try {
-    // Create a new entry
-    const newEntry = createJournalEntry(entryData);
-    
-    // Get existing entries and add the new one
-    const entries = getEntriesFromStorage();
-    entries.push(newEntry);
+    // Create a new entry, which never starts out in the trash
+    const newEntry = createJournalEntry({ ...entryData, deletedAt: null });
     
-    // Save to localStorage
-    const saved = saveEntriesToStorage(entries);
+    // Save the new entry
+    const saved = saveEntriesToStorage([newEntry]);
     if (!saved) {
       return { 
         entry: null, 
@@ -102,6 +201,7 @@ export const createEntry = (entryData) => {
       };
     }
     
+    operationLog.recordOperation('create', newEntry.id, toSyncData(newEntry));
     return { entry: newEntry, errors: null };
   } catch (error) {
     console.error('Error creating journal entry:', error);
@@ -140,23 +240,24 @@ export const updateEntry = (id, entryData) => {
   }
   
   try {
-    // Get existing entries
-    const entries = getEntriesFromStorage();
-    const entryIndex = entries.findIndex(entry => entry.id === id);
+    // Get the existing entry
+    const existingEntry = getEntryFromStorage(id);
     
-    if (entryIndex === -1) {
+    if (!existingEntry) {
       return { 
         entry: null, 
         errors: { id: 'Entry not found' } 
       };
     }
     
+    // Keep a copy of the current version for the revision history
+    const previousEntry = new JournalEntry(existingEntry.toObject());
+
     // Update the entry
-    const updatedEntry = entries[entryIndex].update(entryData);
-    entries[entryIndex] = updatedEntry;
+    const updatedEntry = existingEntry.update(entryData);
     
-    // Save to localStorage
-    const saved = saveEntriesToStorage(entries);
+    // Save the updated entry
+    const saved = saveEntriesToStorage([updatedEntry]);
     if (!saved) {
       return { 
         entry: null, 
@@ -164,6 +265,8 @@ export const updateEntry = (id, entryData) => {
       };
     }
     
+    entryHistory.recordVersion(previousEntry, updatedEntry);
+    operationLog.recordOperation('update', id, toSyncData(updatedEntry), updatedEntry.revision);
     return { entry: updatedEntry, errors: null };
   } catch (error) {
     console.error('Error updating journal entry:', error);
@@ -175,7 +278,7 @@ export const updateEntry = (id, entryData) => {
 };
 
 /**
- * Delete a journal entry.
+ * Delete a journal entry by moving it to the trash.
  * @param {string} id - The ID of the entry to delete.
  * @returns {Object} Object containing the result of the operation.
  * @property {boolean} success - Whether the deletion was successful.
@@ -191,22 +294,19 @@ export const deleteEntry = (id) => {
   }
   
   try {
-    // Get existing entries
-    const entries = getEntriesFromStorage();
-    const entryIndex = entries.findIndex(entry => entry.id === id);
+    // Get the existing entry
+    const trashedEntry = getEntryFromStorage(id);
     
-    if (entryIndex === -1) {
+    if (!trashedEntry) {
       return { 
         success: false, 
         errors: { id: 'Entry not found' } 
       };
     }
     
-    // Remove the entry
-    entries.splice(entryIndex, 1);
-    
-    // Save to localStorage
-    const saved = saveEntriesToStorage(entries);
+    // Move the entry to the trash
+    trashedEntry.deletedAt = new Date();
+    const saved = saveEntriesToStorage([trashedEntry], TRASH_STORE) && removeEntryFromStorage(id);
     if (!saved) {
       return { 
         success: false, 
@@ -214,6 +314,7 @@ export const deleteEntry = (id) => {
       };
     }
     
+    operationLog.recordOperation('update', id, toSyncData(trashedEntry), trashedEntry.revision);
     return { success: true, errors: null };
   } catch (error) {
     console.error('Error deleting journal entry:', error);
@@ -225,34 +326,375 @@ export const deleteEntry = (id) => {
 };
 
 /**
- * Search for journal entries by title or content.
- * @param {string} query - The search query.
+ * Get the entries in the trash.
+ * @returns {Array<JournalEntry>} Trashed entries, most recently deleted first.
+ * @public
+ */
+export const getTrashedEntries = () => {
+  return getEntriesFromStorage(TRASH_STORE).sort((a, b) => b.deletedAt - a.deletedAt);
+};
+
+/**
+ * Restore an entry from the trash.
+ * @param {string} id - The ID of the trashed entry.
+ * @returns {Object} Object containing the restored entry and any errors.
+ * @property {JournalEntry|null} entry - The restored entry, or null if the restore failed.
+ * @property {Object|null} errors - Any errors that occurred, or null if successful.
+ * @public
+ */
+export const restoreEntry = (id) => {
+  const restoredEntry = getEntryFromStorage(id, TRASH_STORE);
+
+  if (!restoredEntry) {
+    return { 
+      entry: null, 
+      errors: { id: 'Entry not found in trash' } 
+    };
+  }
+
+  restoredEntry.deletedAt = null;
+  const saved = saveEntriesToStorage([restoredEntry]) && removeEntryFromStorage(id, TRASH_STORE);
+  if (!saved) {
+    return { 
+      entry: null, 
+      errors: { storage: 'Failed to save restored entry to storage' } 
+    };
+  }
+
+  operationLog.recordOperation('update', id, toSyncData(restoredEntry), restoredEntry.revision);
+  return { entry: restoredEntry, errors: null };
+};
+
+/**
+ * Delete an entry in the trash permanently, together with its revision history.
+ * @param {string} id - The ID of the trashed entry.
+ * @returns {Object} Object containing the result of the operation.
+ * @property {boolean} success - Whether the deletion was successful.
+ * @property {Object|null} errors - Any errors that occurred, or null if successful.
+ * @public
+ */
+export const permanentlyDeleteEntry = (id) => {
+  const removedEntry = getEntryFromStorage(id, TRASH_STORE);
+
+  if (!removedEntry) {
+    return { 
+      success: false, 
+      errors: { id: 'Entry not found in trash' } 
+    };
+  }
+
+  if (!removeEntryFromStorage(id, TRASH_STORE)) {
+    return { 
+      success: false, 
+      errors: { storage: 'Failed to save changes to storage' } 
+    };
+  }
+
+  entryHistory.removeVersions(id);
+  operationLog.recordOperation('delete', id, null, removedEntry.revision);
+  return { success: true, errors: null };
+};
+
+/**
+ * Permanently delete every entry in the trash.
+ * @returns {number} The number of deleted entries.
+ * @public
+ */
+export const emptyTrash = () => {
+  return getEntriesFromStorage(TRASH_STORE)
+    .filter(entry => permanentlyDeleteEntry(entry.id).success)
+    .length;
+};
+
+/**
+ * Get how many days trashed entries are kept before they are purged. The
+ * setting is synced with the user's preferences; a period set before that is
+ * still honoured until it is changed.
+ * @returns {number} The retention period in days.
+ * @public
+ */
+export const getTrashRetentionDays = () => {
+  const days = parseInt(
+    preferencesService.getSetting(TRASH_RETENTION_SETTING, localStorage.getItem(getStorageKey(TRASH_RETENTION_KEY))),
+    10
+  );
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+/**
+ * Set how many days trashed entries are kept before they are purged.
+ * @param {number} days - The retention period in days, at least 1.
+ * @returns {boolean} True if the setting was saved, false if it was invalid.
+ * @public
+ */
+export const setTrashRetentionDays = (days) => {
+  if (!Number.isInteger(days) || days < 1) return false;
+  preferencesService.setSetting(TRASH_RETENTION_SETTING, days);
+  return true;
+};
+
+/**
+ * Permanently delete trashed entries older than the retention period.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {number} The number of purged entries.
+ * @public
+ */
+export const purgeExpiredTrash = (now = new Date()) => {
+  const cutoff = now.getTime() - getTrashRetentionDays() * DAY_MS;
+  return getEntriesFromStorage(TRASH_STORE)
+    .filter(entry => entry.deletedAt.getTime() <= cutoff)
+    .filter(entry => permanentlyDeleteEntry(entry.id).success)
+    .length;
+};
+
+/**
+ * Get the past versions of a journal entry.
+ * @param {string} id - The ID of the entry.
+ * @returns {Array<Object>} Past versions, newest first.
+ * @public
+ */
+export const getEntryHistory = (id) => {
+  if (!id) return [];
+  return entryHistory.getVersions(id);
+};
+
+/**
+ * Restore a past version of a journal entry. The restore is saved like any
+ * other update, so the version it replaces stays in the history as well.
+ * @param {string} id - The ID of the entry.
+ * @param {string} versionId - The ID of the version to restore.
+ * @returns {Object} Object containing the restored entry and any errors.
+ * @property {JournalEntry|null} entry - The restored entry, or null if the restore failed.
+ * @property {Object|null} errors - Any errors that occurred, or null if successful.
+ * @public
+ */
+export const restoreEntryVersion = (id, versionId) => {
+  const version = entryHistory.getVersion(id, versionId);
+  if (!version) {
+    return {
+      entry: null,
+      errors: { version: 'Version not found' }
+    };
+  }
+
+  return updateEntry(id, {
+    title: version.title,
+    content: version.content,
+    // Versions saved before entries had their own date leave it unchanged
+    ...(version.entryDate && { entryDate: version.entryDate }),
+    mood: version.mood,
+    tags: version.tags
+  });
+};
+
+/**
+ * Find an entry in either the entries or the trash store.
+ * @param {string} id - The ID of the entry.
+ * @returns {JournalEntry|null} The entry, or null if it is in neither store.
+ * @private
+ */
+const findInStores = (id) => {
+  return getEntryFromStorage(id) || getEntryFromStorage(id, TRASH_STORE);
+};
+
+/**
+ * Get a journal entry by ID, whether it is active or in the trash.
+ * @param {string} id - The ID of the entry to retrieve.
+ * @returns {JournalEntry|null} The journal entry if found in either store, null otherwise.
+ * @public
+ */
+export const getStoredEntry = (id) => {
+  if (!id) return null;
+
+  return findInStores(id);
+};
+
+/**
+ * Apply an entry received from the server (for example a change made on another
+ * device) to local storage. Skips validation and keeps the server's timestamps
+ * and revision. Entries the server has in the trash go to the local trash. The
+ * local copy is kept when it has changes that were not synced yet, or when it is
+ * newer: a higher revision, or the same revision with a later updatedAt.
+ * @param {Object} entryData - The entry data sent by the server.
+ * @returns {JournalEntry|null} The stored entry, or null if the local copy was kept.
+ * @public
+ */
+export const applyRemoteEntry = (entryData) => {
+  if (!entryData || !entryData.id) return null;
+
+  const remoteEntry = new JournalEntry(entryData);
+  const localEntry = findInStores(remoteEntry.id);
+
+  if (localEntry) {
+    const localIsNewer = localEntry.revision > remoteEntry.revision ||
+      (localEntry.revision === remoteEntry.revision && localEntry.updatedAt > remoteEntry.updatedAt);
+    if (localIsNewer || operationLog.hasPendingOperation(remoteEntry.id)) return null;
+  }
+
+  // Store the entry in the store matching its trash state, and drop it from the other
+  const [storeName, otherStoreName] = remoteEntry.deletedAt
+    ? [TRASH_STORE, ENTRIES_STORE]
+    : [ENTRIES_STORE, TRASH_STORE];
+  const saved = saveEntriesToStorage([remoteEntry], storeName) &&
+    removeEntryFromStorage(remoteEntry.id, otherStoreName);
+  return saved ? remoteEntry : null;
+};
+
+/**
+ * Record the server revision a local entry was synced at, without touching its
+ * content or timestamps.
+ * @param {string} id - The ID of the synced entry.
+ * @param {number} revision - The entry's server revision.
+ * @returns {boolean} True if the entry was found and saved, false otherwise.
+ * @public
+ */
+export const setEntryRevision = (id, revision) => {
+  const entry = findInStores(id);
+  if (!entry) return false;
+
+  entry.revision = revision;
+  return saveEntriesToStorage([entry], entry.deletedAt ? TRASH_STORE : ENTRIES_STORE);
+};
+
+/**
+ * Remove an entry that was permanently deleted on the server from local
+ * storage, whether or not it is in the trash.
+ * @param {string} id - The ID of the deleted entry.
+ * @returns {boolean} True if the entry was removed, false otherwise.
+ * @public
+ */
+export const removeRemoteEntry = (id) => {
+  const entry = findInStores(id);
+  if (!entry) return false;
+
+  return removeEntryFromStorage(id, entry.deletedAt ? TRASH_STORE : ENTRIES_STORE);
+};
+
+/**
+ * Check whether an entry matches a node of a parsed search query. Words are
+ * looked up in the search index, so they match by stem or prefix; other text
+ * matching ignores case, and tags and moods must match in full.
+ * @param {JournalEntry} entry - The entry.
+ * @param {Object} node - A node produced by parseSearchQuery.
+ * @param {Function} lookupText - Gets the index matches of a text node, or null if it has no words.
+ * @returns {boolean} True if the entry matches.
+ * @private
+ */
+const matchesSearchNode = (entry, node, lookupText) => {
+  const contains = (text, value) => (text || '').toLowerCase().includes(value.toLowerCase());
+  const equals = (text, value) => (text || '').toLowerCase() === value.toLowerCase();
+
+  switch (node.type) {
+    case 'and':
+      return node.clauses.every(clause => matchesSearchNode(entry, clause, lookupText));
+    case 'not':
+      return !matchesSearchNode(entry, node.clause, lookupText);
+    case 'text': {
+      const matches = lookupText(node);
+      if (matches) return matches.has(entry.id);
+      // Text without words, such as punctuation, is matched as written
+      return contains(entry.title, node.value) ||
+        contains(entry.content, node.value) ||
+        contains(entry.mood, node.value) ||
+        entry.tags.some(tag => contains(tag, node.value));
+    }
+    case 'phrase':
+      return contains(entry.title, node.value) || contains(entry.content, node.value);
+    case 'field':
+      switch (node.field) {
+        case 'tag':
+          return entry.tags.some(tag => equals(tag, node.value));
+        case 'mood':
+          return equals(entry.mood, node.value);
+        case 'title':
+          return contains(entry.title, node.value);
+        case 'content':
+          return contains(entry.content, node.value);
+        default:
+          return false;
+      }
+    case 'date':
+      // Days are YYYY-MM-DD strings, which compare in date order
+      return node.field === 'after'
+        ? entry.entryDate.date >= node.value
+        : entry.entryDate.date < node.value;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Helper function to get the tree of a search query; a query that does not
+ * parse is searched for as plain text.
+ * @param {string|Object} query - The search query, or a tree from parseSearchQuery.
+ * @returns {Object} The tree of the query.
+ * @private
+ */
+const toSearchTree = (query) => {
+  if (typeof query !== 'string') return query;
+
+  const parsed = parseSearchQuery(query);
+  return parsed.ast || { type: 'text', value: query.trim() };
+};
+
+/**
+ * Search for journal entries with the search query syntax, for example
+ * `tag:work mood:anxious after:2026-01-01 "exact phrase" -excluded` (see
+ * utils/searchQuery). A query that does not parse is searched for as plain
+ * text in the title, content, mood and tags.
+ *
+ * Words are looked up in the search index instead of scanning every entry,
+ * and when the query has words or phrases, the results are ranked by
+ * relevance, best first.
+ * @param {string|Object} query - The search query, or a tree from parseSearchQuery.
  * @returns {Array<JournalEntry>} Array of matching journal entries.
  * @public
  */
 export const searchEntries = (query) => {
-  if (!query || typeof query !== 'string') {
-    return getAllEntries();
+  if (!query) return getEntriesFromStorage();
+
+  const ast = toSearchTree(query);
+  if (isEmptySearchQuery(ast)) return getEntriesFromStorage();
+
+  ensureSearchIndex();
+  const textMatches = new Map();
+  const lookupText = (node) => {
+    if (!textMatches.has(node)) textMatches.set(node, searchIndex.search(node.value));
+    return textMatches.get(node);
+  };
+
+  // Words every result must contain narrow the candidates down through the index
+  const clauses = ast.type === 'and' ? ast.clauses : [ast];
+  const requiredMatches = clauses
+    .filter(clause => clause.type === 'text')
+    .map(lookupText)
+    .filter(Boolean);
+
+  let candidates;
+  if (requiredMatches.length > 0) {
+    const [smallest] = [...requiredMatches].sort((a, b) => a.size - b.size);
+    const ids = new Set([...smallest.keys()].filter(id => requiredMatches.every(matches => matches.has(id))));
+    candidates = entryStorage.readRecords(ENTRIES_STORE)
+      .filter(data => ids.has(data.id))
+      .map(data => new JournalEntry(data));
+  } else {
+    candidates = getEntriesFromStorage();
   }
-  
-  const entries = getEntriesFromStorage();
-  const normalizedQuery = query.toLowerCase().trim();
-  
-  return entries.filter(entry => {
-    // Search in title and content
-    const titleMatch = entry.title?.toLowerCase().includes(normalizedQuery);
-    const contentMatch = entry.content?.toLowerCase().includes(normalizedQuery);
-    
-    // Search in mood
-    const moodMatch = entry.mood?.toLowerCase().includes(normalizedQuery);
-    
-    // Search in tags
-    const tagsMatch = entry.tags?.some(tag => 
-      tag.toLowerCase().includes(normalizedQuery)
-    );
-    
-    return titleMatch || contentMatch || moodMatch || tagsMatch;
-  });
+  const results = candidates.filter(entry => matchesSearchNode(entry, ast, lookupText));
+
+  // Rank by the words and phrases that are not excluded
+  const rankedMatches = [
+    ...requiredMatches,
+    ...clauses
+      .filter(clause => clause.type === 'phrase')
+      .map(clause => searchIndex.search(clause.value))
+      .filter(Boolean)
+  ];
+  if (rankedMatches.length === 0) return results;
+
+  const score = (entry) => rankedMatches.reduce((total, matches) => total + (matches.get(entry.id) || 0), 0);
+  const scores = new Map(results.map(entry => [entry.id, score(entry)]));
+  return results.sort((a, b) => scores.get(b.id) - scores.get(a.id));
 };
 
 /**
@@ -270,10 +712,23 @@ export const filterEntries = (filterFn) => {
   return entries.filter(filterFn);
 };
 
+/**
+ * Find journal entries through one of the storage indexes, without reading
+ * every entry.
+ * @param {string} indexName - 'createdAt', 'updatedAt', 'entryDate', 'mood' or 'tags'.
+ * @param {*} value - The value to look up; a single tag for 'tags'.
+ * @returns {Promise<Array<JournalEntry>>} Array of matching journal entries.
+ * @public
+ */
+export const findEntriesByIndex = async (indexName, value) => {
+  const records = await entryStorage.findRecords(ENTRIES_STORE, indexName, value);
+  return records.map(data => new JournalEntry(data));
+};
+
 /**
  * Sort journal entries by a specified field and direction.
  * @param {Array<JournalEntry>} [entriesToSort] - Optional array of entries to sort. If not provided, all entries will be retrieved.
- * @param {string} field - The field to sort by (e.g., 'createdAt', 'title').
+ * @param {string} field - The field to sort by (e.g., 'entryDate', 'createdAt', 'title').
  * @param {string} [direction='desc'] - The sort direction ('asc' or 'desc').
  * @returns {Array<JournalEntry>} Array of sorted journal entries.
  * @public
@@ -292,6 +747,13 @@ export const sortEntries = (entriesToSort, field, direction = 'desc') => {
     let valueA = a[field];
     let valueB = b[field];
     
+    // Handle entry date comparisons
+    if (field === 'entryDate') {
+      return direction === 'asc'
+        ? compareEntryDates(valueA, valueB)
+        : compareEntryDates(valueB, valueA);
+    }
+    
     // Handle date comparisons
     if (valueA instanceof Date && valueB instanceof Date) {
       valueA = valueA.getTime();
@@ -313,18 +775,132 @@ export const sortEntries = (entriesToSort, field, direction = 'desc') => {
 };
 
 /**
- * Clear all journal entries from storage.
+ * Helper function to check whether a search query has anything to search for.
+ * @param {string|Object|null} query - The search query, or a tree from parseSearchQuery.
+ * @returns {boolean} True if the query narrows the entries down.
+ * @private
+ */
+const isSearchQuery = (query) => {
+  if (typeof query === 'string') return query.trim() !== '';
+  return !!query && !isEmptySearchQuery(query);
+};
+
+/**
+ * Get a page of the entry list: the entries matching a search query and
+ * filters, in the chosen order. Pass the returned cursor to get the next page.
+ *
+ * Without a search query, entries sorted by entry date, creation or update
+ * time are read from storage a page at a time, walking its index, so the
+ * rest of the journal is not read or sorted. Such a page can hold a few more
+ * entries than the limit, as entries of the same day are never split across
+ * pages. Search results, which are ranked through the search index, and
+ * entries sorted by title are sorted in memory and paged by offset.
+ * @param {Object} [options] - What to list.
+ * @param {string|Object|null} [options.query] - The search query, or a tree from parseSearchQuery.
+ * @param {Object} [options.filters] - Mood, tag and date filters (see utils/entryFilters).
+ * @param {string} [options.sortField='entryDate'] - 'relevance', 'entryDate', 'updatedAt', 'createdAt' or 'title'.
+ * @param {string} [options.sortDirection='desc'] - The sort direction ('asc' or 'desc').
+ * @param {Array<JournalEntry>} [options.entries] - Entries to list instead of the stored ones, unless searching.
+ * @param {Object|null} [options.cursor] - The cursor returned with the previous page; null for the first page.
+ * @param {number} [options.limit=DEFAULT_PAGE_SIZE] - Number of entries per page.
+ * @returns {Promise<{entries: Array<JournalEntry>, nextCursor: Object|null}>} The page, and the cursor of the next page, or null after the last one.
+ * @public
+ */
+export const getEntriesPage = async ({
+  query = null,
+  filters = EMPTY_FILTERS,
+  sortField = 'entryDate',
+  sortDirection = 'desc',
+  entries = null,
+  cursor = null,
+  limit = DEFAULT_PAGE_SIZE
+} = {}) => {
+  await whenStorageReady();
+  const isSearching = isSearchQuery(query);
+  // Entries are only ranked by relevance while searching
+  const field = sortField === 'relevance' && !isSearching ? 'entryDate' : sortField;
+
+  if (!entries && !isSearching && INDEXED_SORT_FIELDS.includes(field)) {
+    const page = await entryStorage.readPage(ENTRIES_STORE, {
+      indexName: field,
+      direction: sortDirection === 'asc' ? 'next' : 'prev',
+      after: cursor ? cursor.key : null,
+      limit,
+      filter: record => passesFilters(record, filters)
+    });
+    return {
+      // The index orders days, not times of day, so each page is sorted in full
+      entries: sortEntries(page.records.map(data => new JournalEntry(data)), field, sortDirection),
+      nextCursor: page.lastKey === null ? null : { key: page.lastKey }
+    };
+  }
+
+  let matches = applyFilters(isSearching ? searchEntries(query) : entries || getEntriesFromStorage(), filters);
+  if (field === 'relevance') {
+    // Search results come ranked best first
+    if (sortDirection === 'asc') matches.reverse();
+  } else {
+    matches = sortEntries(matches, field, sortDirection);
+  }
+  const offset = cursor ? cursor.offset : 0;
+  return {
+    entries: matches.slice(offset, offset + limit),
+    nextCursor: offset + limit < matches.length ? { offset: offset + limit } : null
+  };
+};
+
+/**
+ * Count the moods and tags of the entries matching a search query, for the
+ * filter panel (see countFacets in utils/entryFilters).
+ * @param {string|Object|null} query - The search query, or a tree from parseSearchQuery.
+ * @param {Object} filters - Mood, tag and date filters.
+ * @returns {{moods: Array<{value: string, count: number}>, tags: Array<{value: string, count: number}>}} The counted values.
+ * @public
+ */
+export const countEntryFacets = (query, filters) => {
+  return countFacets(searchEntries(query), filters);
+};
+
+/**
+ * Count the entries matching each of several saved searches, such as the
+ * smart collections, reading the stored entries once for all of them. Words
+ * used by more than one search are looked up in the search index once.
+ * @param {Array<{id: string, query: string|Object|null, filters: Object}>} searches - The searches to count.
+ * @returns {Map<string, number>} The number of matching entries, by search id.
+ * @public
+ */
+export const countSearchMatches = (searches) => {
+  const counts = new Map(searches.map(search => [search.id, 0]));
+  if (searches.length === 0) return counts;
+
+  ensureSearchIndex();
+  const textMatches = new Map();
+  const lookupText = (node) => {
+    if (!textMatches.has(node.value)) textMatches.set(node.value, searchIndex.search(node.value));
+    return textMatches.get(node.value);
+  };
+  const matchers = searches.map(search => ({
+    id: search.id,
+    ast: search.query ? toSearchTree(search.query) : null,
+    filters: search.filters || EMPTY_FILTERS
+  }));
+
+  getEntriesFromStorage().forEach(entry => {
+    matchers.forEach(({ id, ast, filters }) => {
+      const matchesQuery = !ast || isEmptySearchQuery(ast) || matchesSearchNode(entry, ast, lookupText);
+      if (matchesQuery && passesFilters(entry, filters)) counts.set(id, counts.get(id) + 1);
+    });
+  });
+  return counts;
+};
+
+/**
+ * Clear all of the current user's journal entries, including the trash, from storage.
  * @returns {boolean} True if successful, false otherwise.
  * @public
  */
 export const clearAllEntries = () => {
-  try {
-    localStorage.removeItem(STORAGE_KEY);
-    return true;
-  } catch (error) {
-    console.error('Error clearing journal entries:', error);
-    return false;
-  }
+  return clearStorage(ENTRIES_STORE) && clearStorage(TRASH_STORE);
 };
 
 /**
@@ -392,17 +968,21 @@ export const importEntries = (jsonString, replace = false) => {
     // Create JournalEntry objects from the imported data
     const importedEntries = importedData.map(data => new JournalEntry(data));
     
-    // Get existing entries or use an empty array if replacing
-    const existingEntries = replace ? [] : getEntriesFromStorage();
+    // Clear existing entries if replacing
+    if (replace && !clearStorage(ENTRIES_STORE)) {
+      return { 
+        success: false, 
+        count: 0, 
+        errors: { storage: 'Failed to clear existing entries' } 
+      };
+    }
     
-    // Combine entries, avoiding duplicates by ID
-    const existingIds = new Set(existingEntries.map(entry => entry.id));
+    // Skip entries that already exist, avoiding duplicates by ID
+    const existingIds = new Set(getEntriesFromStorage().map(entry => entry.id));
     const uniqueImportedEntries = importedEntries.filter(entry => !existingIds.has(entry.id));
     
-    const combinedEntries = [...existingEntries, ...uniqueImportedEntries];
-    
-    // Save to localStorage
-    const saved = saveEntriesToStorage(combinedEntries);
+    // Save the new entries
+    const saved = saveEntriesToStorage(uniqueImportedEntries);
     if (!saved) {
       return { 
         success: false, 
@@ -428,14 +1008,32 @@ export const importEntries = (jsonString, replace = false) => {
 
 // Default export as an object with all functions
 export default {
+  whenStorageReady,
   getAllEntries,
   getEntryById,
   createEntry,
   updateEntry,
   deleteEntry,
+  getTrashedEntries,
+  restoreEntry,
+  permanentlyDeleteEntry,
+  emptyTrash,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  purgeExpiredTrash,
+  getEntryHistory,
+  restoreEntryVersion,
+  getStoredEntry,
+  applyRemoteEntry,
+  setEntryRevision,
+  removeRemoteEntry,
   searchEntries,
   filterEntries,
+  findEntriesByIndex,
   sortEntries,
+  getEntriesPage,
+  countEntryFacets,
+  countSearchMatches,
   clearAllEntries,
   isStorageAvailable,
   exportEntries,
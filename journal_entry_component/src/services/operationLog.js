@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Log of local journal changes that have not reached the server
+ * yet. Each create, update or delete made through journalService is recorded
+ * here and pushed by syncService the next time the client is online. Pending
+ * operations for the same entry are compacted so the log never holds more than
+ * one operation per entry.
+ */
+
+import AuthService from './authService';
+
+// Storage key prefix for the pending operations of a user
+const STORAGE_KEY = 'journal_sync_ops';
+
+const listeners = new Set();
+
+/**
+ * @typedef {Object} SyncOperation
+ * @property {string} id - Unique operation id, used by the server to ignore replays
+ * @property {'create'|'update'|'delete'} type - The kind of change
+ * @property {string} entryId - The entry the change applies to
+ * @property {Object|null} data - Entry fields for creates and updates
+ * @property {number} baseRevision - Server revision the local change started from
+ * @property {string} timestamp - When the change was made locally
+ */
+
+/**
+ * Helper function to get the storage key for the current user.
+ * Operations are only recorded for signed-in users.
+ * @returns {string|null} The localStorage key, or null when signed out.
+ * @private
+ */
+const getStorageKey = () => {
+  const userId = AuthService.getUserId();
+  return userId ? `${STORAGE_KEY}:${userId}` : null;
+};
+
+const generateOperationId = () =>
+  Date.now().toString(36) + Math.random().toString(36).substring(2, 11);
+
+/**
+ * Helper function to read the pending operations from localStorage.
+ * @returns {Array<SyncOperation>} The pending operations, oldest first.
+ * @private
+ */
+const readOperations = () => {
+  const key = getStorageKey();
+  if (!key) return [];
+
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch (error) {
+    console.error('Error reading the sync operation log:', error);
+    return [];
+  }
+};
+
+/**
+ * Helper function to write the pending operations and notify listeners.
+ * @param {Array<SyncOperation>} operations - The operations to store.
+ * @private
+ */
+const writeOperations = (operations) => {
+  const key = getStorageKey();
+  if (!key) return;
+
+  if (operations.length === 0) {
+    localStorage.removeItem(key);
+  } else {
+    localStorage.setItem(key, JSON.stringify(operations));
+  }
+  listeners.forEach(listener => listener(operations));
+};
+
+/**
+ * Merge a new operation into a pending one for the same entry.
+ * @param {SyncOperation} pending - The operation already in the log.
+ * @param {SyncOperation} next - The operation being recorded.
+ * @returns {SyncOperation|null} The combined operation, or null when they cancel out.
+ * @private
+ */
+const compact = (pending, next) => {
+  if (next.type === 'delete') {
+    // An entry created and deleted offline never has to reach the server
+    if (pending.type === 'create') return null;
+    return { ...next, baseRevision: pending.baseRevision };
+  }
+
+  if (next.type === 'update' && pending.type !== 'delete') {
+    // Keep the revision the first local edit started from, so a server change
+    // made in between is still detected as a conflict
+    return {
+      ...pending,
+      id: next.id,
+      data: { ...pending.data, ...next.data },
+      timestamp: next.timestamp
+    };
+  }
+
+  return next;
+};
+
+/**
+ * Record a local change.
+ * @param {'create'|'update'|'delete'} type - The kind of change.
+ * @param {string} entryId - The changed entry.
+ * @param {Object|null} data - Entry fields for creates and updates.
+ * @param {number} [baseRevision=0] - Server revision of the entry before the change.
+ * @returns {SyncOperation|null} The operation now pending for the entry, or null when signed out or cancelled out.
+ * @public
+ */
+export const recordOperation = (type, entryId, data = null, baseRevision = 0) => {
+  if (!getStorageKey()) return null;
+
+  const operation = {
+    id: generateOperationId(),
+    type,
+    entryId,
+    data,
+    baseRevision,
+    timestamp: new Date().toISOString()
+  };
+
+  const operations = readOperations();
+  const index = operations.findIndex(op => op.entryId === entryId);
+  if (index === -1) {
+    operations.push(operation);
+    writeOperations(operations);
+    return operation;
+  }
+
+  const merged = compact(operations[index], operation);
+  if (merged) {
+    operations[index] = merged;
+  } else {
+    operations.splice(index, 1);
+  }
+  writeOperations(operations);
+  return merged;
+};
+
+/**
+ * Get the pending operations, oldest first.
+ * @returns {Array<SyncOperation>} The pending operations.
+ * @public
+ */
+export const getPendingOperations = () => readOperations();
+
+/**
+ * Check whether an entry has local changes that were not synced yet.
+ * @param {string} entryId - The entry to check.
+ * @returns {boolean} True if an operation is pending for the entry.
+ * @public
+ */
+export const hasPendingOperation = (entryId) =>
+  readOperations().some(op => op.entryId === entryId);
+
+/**
+ * Remove operations the server has processed. Operations recorded while a sync
+ * was in flight have new ids and are kept.
+ * @param {Array<string>} operationIds - Ids of the processed operations.
+ * @public
+ */
+export const removeOperations = (operationIds) => {
+  const processed = new Set(operationIds);
+  const operations = readOperations();
+  const remaining = operations.filter(op => !processed.has(op.id));
+  if (remaining.length !== operations.length) writeOperations(remaining);
+};
+
+/**
+ * Move pending operations for an entry onto a newer server revision, after a
+ * sync applied an earlier change to it. A pending create becomes an update
+ * once the server has the entry.
+ * @param {string} entryId - The entry that was synced.
+ * @param {number} revision - The entry's new server revision.
+ * @public
+ */
+export const rebaseOperations = (entryId, revision) => {
+  const operations = readOperations();
+  let changed = false;
+
+  const rebased = operations.map(op => {
+    if (op.entryId !== entryId) return op;
+    changed = true;
+    return {
+      ...op,
+      type: op.type === 'create' ? 'update' : op.type,
+      baseRevision: revision
+    };
+  });
+
+  if (changed) writeOperations(rebased);
+};
+
+/**
+ * Subscribe to changes of the operation log.
+ * @param {Function} listener - Called with the pending operations after every change.
+ * @returns {Function} Unsubscribe function.
+ * @public
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export default {
+  recordOperation,
+  getPendingOperations,
+  hasPendingOperation,
+  removeOperations,
+  rebaseOperations,
+  subscribe
+};
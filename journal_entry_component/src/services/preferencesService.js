@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Preferences of the signed-in user that follow them across
+ * devices: settings, saved searches, which the entry list shows as smart
+ * collections, and entry templates. They are kept in localStorage, namespaced per user, and marked
+ * as changed until syncService has pushed them to the server. Merging with the
+ * server's copy keeps the most recently changed version of every item (see
+ * models/userPreferences.js).
+ */
+
+import AuthService from './authService';
+import {
+  createEmptyPreferences,
+  validateSavedSearch,
+  validateEntryTemplate,
+  mergePreferences
+} from '../models/userPreferences';
+
+// Storage key prefix for the preferences of a user
+const STORAGE_KEY = 'journal_preferences';
+
+const listeners = new Set();
+
+/**
+ * @typedef {Object} StoredPreferences
+ * @property {Object} preferences - The UserPreferences, including deleted saved searches and templates
+ * @property {boolean} changed - Whether there are local changes the server has not seen
+ */
+
+/**
+ * Helper function to get the storage key for the current user.
+ * Signed-out use keeps the unscoped key.
+ * @returns {string} The localStorage key.
+ * @private
+ */
+const getStorageKey = () => {
+  const userId = AuthService.getUserId();
+  return userId ? `${STORAGE_KEY}:${userId}` : STORAGE_KEY;
+};
+
+const generateId = () =>
+  Date.now().toString(36) + Math.random().toString(36).substring(2, 11);
+
+/**
+ * Helper function to read the stored preferences from localStorage.
+ * @returns {StoredPreferences} The stored preferences.
+ * @private
+ */
+const readStored = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey()));
+    // Preferences stored before templates existed have none
+    if (stored && stored.preferences) {
+      return { ...stored, preferences: { ...createEmptyPreferences(), ...stored.preferences } };
+    }
+  } catch (error) {
+    console.error('Error reading preferences:', error);
+  }
+  return { preferences: createEmptyPreferences(), changed: false };
+};
+
+/**
+ * Helper function to write the stored preferences and notify listeners.
+ * @param {StoredPreferences} stored - The preferences to store.
+ * @private
+ */
+const writeStored = (stored) => {
+  localStorage.setItem(getStorageKey(), JSON.stringify(stored));
+  listeners.forEach(listener => {
+    try {
+      listener(stored.preferences);
+    } catch (error) {
+      console.error('Error in preferences listener:', error);
+    }
+  });
+};
+
+/**
+ * Get the value of a setting.
+ * @param {string} name - The setting's name.
+ * @param {*} [fallback=null] - Returned when the setting was never set.
+ * @returns {*} The setting's value.
+ * @public
+ */
+export const getSetting = (name, fallback = null) => {
+  const setting = readStored().preferences.settings[name];
+  return setting ? setting.value : fallback;
+};
+
+/**
+ * Change a setting.
+ * @param {string} name - The setting's name.
+ * @param {*} value - The new value, which must be JSON serializable.
+ * @public
+ */
+export const setSetting = (name, value) => {
+  const { preferences } = readStored();
+  preferences.settings[name] = { value, updatedAt: new Date().toISOString() };
+  writeStored({ preferences, changed: true });
+};
+
+/**
+ * Get the saved searches, ordered by name.
+ * @returns {Array<Object>} The saved searches that are not deleted.
+ * @public
+ */
+export const getSavedSearches = () =>
+  Object.values(readStored().preferences.savedSearches)
+    .filter(search => !search.deletedAt)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Save a search, or change an existing one when it has an id.
+ * @param {Object} searchData - The name, query, filters, sortField and sortDirection.
+ * @returns {Object} An object containing the saved search (null on failure) and any errors.
+ * @public
+ */
+export const saveSearch = (searchData) => {
+  const { preferences } = readStored();
+  const id = searchData.id || generateId();
+  const search = {
+    id,
+    name: typeof searchData.name === 'string' ? searchData.name.trim() : searchData.name,
+    query: searchData.query,
+    filters: searchData.filters,
+    sortField: searchData.sortField,
+    sortDirection: searchData.sortDirection,
+    updatedAt: new Date().toISOString(),
+    deletedAt: null
+  };
+
+  const { isValid, errors } = validateSavedSearch(search);
+  if (!isValid) return { search: null, errors };
+
+  const sameName = getSavedSearches()
+    .find(other => other.id !== id && other.name.toLowerCase() === search.name.toLowerCase());
+  if (sameName) return { search: null, errors: { name: 'A saved search with this name already exists' } };
+
+  preferences.savedSearches[id] = search;
+  writeStored({ preferences, changed: true });
+  return { search, errors: null };
+};
+
+/**
+ * Delete a saved search. The deletion is kept so it reaches the user's other devices.
+ * @param {string} id - The ID of the saved search.
+ * @returns {boolean} True if it was deleted, false if it was not found.
+ * @public
+ */
+export const deleteSavedSearch = (id) => {
+  const { preferences } = readStored();
+  const search = preferences.savedSearches[id];
+  if (!search || search.deletedAt) return false;
+
+  const now = new Date().toISOString();
+  preferences.savedSearches[id] = { id, updatedAt: now, deletedAt: now };
+  writeStored({ preferences, changed: true });
+  return true;
+};
+
+/**
+ * Get the user's own entry templates, ordered by name.
+ * @returns {Array<Object>} The templates that are not deleted.
+ * @public
+ */
+export const getTemplates = () =>
+  Object.values(readStored().preferences.templates)
+    .filter(template => !template.deletedAt)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Save an entry template, or change an existing one when it has an id.
+ * @param {Object} templateData - The name, titlePattern, content, mood and tags.
+ * @returns {Object} An object containing the saved template (null on failure) and any errors.
+ * @public
+ */
+export const saveTemplate = (templateData) => {
+  const { preferences } = readStored();
+  const id = templateData.id || generateId();
+  const template = {
+    id,
+    name: typeof templateData.name === 'string' ? templateData.name.trim() : templateData.name,
+    titlePattern: templateData.titlePattern,
+    content: templateData.content,
+    mood: templateData.mood || '',
+    tags: templateData.tags,
+    updatedAt: new Date().toISOString(),
+    deletedAt: null
+  };
+
+  const { isValid, errors } = validateEntryTemplate(template);
+  if (!isValid) return { template: null, errors };
+
+  const sameName = getTemplates()
+    .find(other => other.id !== id && other.name.toLowerCase() === template.name.toLowerCase());
+  if (sameName) return { template: null, errors: { name: 'A template with this name already exists' } };
+
+  preferences.templates[id] = template;
+  writeStored({ preferences, changed: true });
+  return { template, errors: null };
+};
+
+/**
+ * Delete an entry template. The deletion is kept so it reaches the user's other devices.
+ * @param {string} id - The ID of the template.
+ * @returns {boolean} True if it was deleted, false if it was not found.
+ * @public
+ */
+export const deleteTemplate = (id) => {
+  const { preferences } = readStored();
+  const template = preferences.templates[id];
+  if (!template || template.deletedAt) return false;
+
+  const now = new Date().toISOString();
+  preferences.templates[id] = { id, updatedAt: now, deletedAt: now };
+  writeStored({ preferences, changed: true });
+  return true;
+};
+
+/**
+ * Get the preferences to push with the next sync.
+ * @returns {Object|null} The full preferences, or null when the server has them already.
+ * @public
+ */
+export const getChangedPreferences = () => {
+  const { preferences, changed } = readStored();
+  return changed ? preferences : null;
+};
+
+/**
+ * Merge the preferences returned by a sync. Changes made while the sync was in
+ * flight are newer than the server's copy, so they survive and stay marked as
+ * changed.
+ * @param {Object} serverPreferences - The server's merged preferences.
+ * @param {Object|null} pushed - The preferences sent with the sync, or null.
+ * @public
+ */
+export const applyServerPreferences = (serverPreferences, pushed) => {
+  const { preferences, changed } = readStored();
+  const merged = mergePreferences(serverPreferences, preferences);
+  const changedMeanwhile = changed && JSON.stringify(preferences) !== JSON.stringify(pushed);
+
+  if (JSON.stringify(merged) !== JSON.stringify(preferences) || changed !== changedMeanwhile) {
+    writeStored({ preferences: merged, changed: changedMeanwhile });
+  }
+};
+
+/**
+ * Subscribe to changes of the preferences, local or synced.
+ * @param {Function} listener - Called with the preferences after every change.
+ * @returns {Function} Unsubscribe function.
+ * @public
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export default {
+  getSetting,
+  setSetting,
+  getSavedSearches,
+  saveSearch,
+  deleteSavedSearch,
+  getTemplates,
+  saveTemplate,
+  deleteTemplate,
+  getChangedPreferences,
+  applyServerPreferences,
+  subscribe
+};
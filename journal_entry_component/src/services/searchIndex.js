@@ -0,0 +1,243 @@
+/**
+ * @fileoverview In-memory inverted index of the current user's journal entries
+ * for full-text search. Words of an entry's title, content, mood and tags are
+ * indexed both by stem, so "meetings" finds "meeting", and as written, so a
+ * word still being typed finds the words it starts. Results are ranked with
+ * BM25, with title, tag and mood words weighing more than content words.
+ *
+ * journalService keeps the index up to date as entries are saved and removed,
+ * and rebuilds it from storage whenever the stored entries change under it.
+ */
+
+import { MIN_PREFIX_LENGTH, stem, tokenize, tokenizeEntry, scoreMatch } from '../utils/textSearch';
+
+// How much a prefix match counts, relative to a whole word or stem match
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+/**
+ * Create an empty index.
+ * @param {string|null} key - Identifies the stored entries the index was built from.
+ * @returns {Object} The index.
+ * @private
+ */
+const createIndex = (key) => ({
+  key,
+  // Stem -> entry id -> weighted count
+  stems: new Map(),
+  // Word -> entry id -> weighted count
+  words: new Map(),
+  // Entry id -> { length, stems, words }
+  documents: new Map(),
+  totalLength: 0,
+  // Words in sorted order for prefix lookups, rebuilt when words change
+  sortedWords: null
+});
+
+let index = createIndex(null);
+
+/**
+ * Helper function to add weighted counts to a posting list.
+ * @param {Map} postings - Term -> entry id -> weighted count.
+ * @param {string} term - The term.
+ * @param {string} id - The entry id.
+ * @param {number} weight - The weight to add.
+ * @private
+ */
+const addPosting = (postings, term, id, weight) => {
+  if (!postings.has(term)) postings.set(term, new Map());
+  const entries = postings.get(term);
+  entries.set(id, (entries.get(id) || 0) + weight);
+};
+
+/**
+ * Helper function to remove an entry from the posting lists of some terms.
+ * @param {Map} postings - Term -> entry id -> weighted count.
+ * @param {Set<string>} terms - The terms the entry has.
+ * @param {string} id - The entry id.
+ * @returns {boolean} True if a term no longer has any entry.
+ * @private
+ */
+const removePostings = (postings, terms, id) => {
+  let removedTerm = false;
+  terms.forEach(term => {
+    const entries = postings.get(term);
+    if (!entries) return;
+    entries.delete(id);
+    if (entries.size === 0) {
+      postings.delete(term);
+      removedTerm = true;
+    }
+  });
+  return removedTerm;
+};
+
+/**
+ * Helper function to remove an entry from the index.
+ * @param {string} id - The entry id.
+ * @private
+ */
+const removeDocument = (id) => {
+  const document = index.documents.get(id);
+  if (!document) return;
+
+  removePostings(index.stems, document.stems, id);
+  if (removePostings(index.words, document.words, id)) index.sortedWords = null;
+  index.totalLength -= document.length;
+  index.documents.delete(id);
+};
+
+/**
+ * Helper function to add an entry to the index, replacing what was indexed for it.
+ * @param {Object} entry - The entry, with title, content, mood and tags.
+ * @private
+ */
+const addDocument = (entry) => {
+  removeDocument(entry.id);
+
+  const document = { length: 0, stems: new Set(), words: new Set() };
+
+  tokenizeEntry(entry).forEach(({ word, weight }) => {
+    const wordStem = stem(word);
+    addPosting(index.stems, wordStem, entry.id, weight);
+    if (!index.words.has(word)) index.sortedWords = null;
+    addPosting(index.words, word, entry.id, weight);
+    document.stems.add(wordStem);
+    document.words.add(word);
+    document.length += weight;
+  });
+
+  index.documents.set(entry.id, document);
+  index.totalLength += document.length;
+};
+
+/**
+ * Helper function to find the indexed words that start with a prefix.
+ * @param {string} prefix - The prefix.
+ * @returns {Array<string>} The words, in sorted order.
+ * @private
+ */
+const findWordsWithPrefix = (prefix) => {
+  if (!index.sortedWords) {
+    index.sortedWords = [...index.words.keys()].sort();
+  }
+  const words = index.sortedWords;
+
+  // Binary search for the first word not before the prefix
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (words[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+
+  const matches = [];
+  for (let i = low; i < words.length && words[i].startsWith(prefix); i++) {
+    matches.push(words[i]);
+  }
+  return matches;
+};
+
+/**
+ * Helper function to score the entries matching one query word.
+ * @param {string} word - A normalized query word.
+ * @returns {Map<string, number>} Entry id -> score.
+ * @private
+ */
+const scoreWord = (word) => {
+  // Weighted count of the word in each entry, by stem or else by prefix
+  const counts = new Map(index.stems.get(stem(word)) || []);
+  if (word.length >= MIN_PREFIX_LENGTH) {
+    findWordsWithPrefix(word).forEach(match => {
+      index.words.get(match).forEach((count, id) => {
+        const prefixCount = count * PREFIX_MATCH_WEIGHT;
+        if (!counts.has(id) || counts.get(id) < prefixCount) counts.set(id, prefixCount);
+      });
+    });
+  }
+
+  const total = index.documents.size;
+  const averageLength = total ? index.totalLength / total : 0;
+
+  const scores = new Map();
+  counts.forEach((count, id) => {
+    const lengthRatio = averageLength ? index.documents.get(id).length / averageLength : 1;
+    scores.set(id, scoreMatch(count, counts.size, total, lengthRatio));
+  });
+  return scores;
+};
+
+/**
+ * Check whether the index was built from the given stored entries.
+ * @param {string} key - Identifies the stored entries, such as the user and storage generation.
+ * @returns {boolean} True if the index is up to date for the key.
+ * @public
+ */
+export const isCurrent = (key) => index.key === key;
+
+/**
+ * Replace the index with one of the given entries.
+ * @param {string} key - Identifies the stored entries the index is built from.
+ * @param {Array<Object>} entries - Every entry to index.
+ * @public
+ */
+export const rebuild = (key, entries) => {
+  index = createIndex(key);
+  entries.forEach(addDocument);
+};
+
+/**
+ * Add or re-index entries after they were saved.
+ * @param {Array<Object>} entries - The saved entries.
+ * @public
+ */
+export const indexEntries = (entries) => {
+  entries.forEach(addDocument);
+};
+
+/**
+ * Remove entries from the index after they were deleted or trashed.
+ * @param {Array<string>} ids - The ids of the entries.
+ * @public
+ */
+export const removeEntries = (ids) => {
+  ids.forEach(removeDocument);
+};
+
+/**
+ * Empty the index, so it is rebuilt before the next search.
+ * @public
+ */
+export const reset = () => {
+  index = createIndex(null);
+};
+
+/**
+ * Find the entries containing every word of a text, ranked by relevance. Each
+ * word matches by stem, or as the prefix of an indexed word.
+ * @param {string} text - The words to look up.
+ * @returns {Map<string, number>|null} Entry id -> relevance score, or null if
+ * the text has no words to look up.
+ * @public
+ */
+export const search = (text) => {
+  const words = tokenize(text);
+  if (words.length === 0) return null;
+
+  return words.map(scoreWord).reduce((combined, scores) => {
+    const result = new Map();
+    combined.forEach((score, id) => {
+      if (scores.has(id)) result.set(id, score + scores.get(id));
+    });
+    return result;
+  });
+};
+
+export default {
+  isCurrent,
+  rebuild,
+  indexEntries,
+  removeEntries,
+  reset,
+  search
+};
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Search through the server's /journal/search endpoint, which
+ * ranks and paginates results so the whole journal never has to be
+ * downloaded to search it. The endpoint covers words, phrases, tags, mood and
+ * the entry date range; queries using other parts of the search syntax, such
+ * as exclusions or title: and content: filters, are searched locally instead.
+ */
+
+import API_CONFIG from '../config/api.config';
+import AuthService from './authService';
+import { JournalEntry } from '../models/JournalEntry';
+
+/**
+ * @typedef {Object} ServerSearchPage
+ * @property {Array<JournalEntry>} entries - The results, best first
+ * @property {Map<string, Array<{value: string, highlight: boolean}>>} snippets - Content snippet of each result by entry id
+ * @property {string|null} nextCursor - Cursor of the next page, or null on the last page
+ */
+
+/**
+ * Convert a parsed search query into the endpoint's parameters.
+ * @param {Object|null} ast - A tree from parseSearchQuery.
+ * @returns {URLSearchParams|null} The parameters, or null if the server cannot
+ * answer the query.
+ * @public
+ */
+export const toSearchParams = (ast) => {
+  if (!ast || ast.type !== 'and') return null;
+
+  const params = new URLSearchParams();
+  const words = [];
+  const supported = ast.clauses.every(clause => {
+    switch (clause.type) {
+      case 'text':
+        words.push(clause.value);
+        return true;
+      case 'phrase':
+        params.append('phrase', clause.value);
+        return true;
+      case 'field':
+        if (clause.field === 'tag') {
+          params.append('tag', clause.value);
+          return true;
+        }
+        // The server takes a single mood
+        if (clause.field === 'mood' && !params.has('mood')) {
+          params.set('mood', clause.value);
+          return true;
+        }
+        return false;
+      case 'date':
+        if (params.has(clause.field)) return false;
+        params.set(clause.field, clause.value);
+        return true;
+      default:
+        return false;
+    }
+  });
+
+  if (!supported) return null;
+  if (words.length > 0) params.set('q', words.join(' '));
+  return params;
+};
+
+/**
+ * Fetch a page of search results from the server.
+ * @param {URLSearchParams} params - Parameters from toSearchParams.
+ * @param {string|null} [cursor=null] - nextCursor of the previous page, or null for the first page.
+ * @returns {Promise<ServerSearchPage>} The page of results.
+ * @throws {Error} If the request fails.
+ * @public
+ */
+export const fetchSearchPage = async (params, cursor = null) => {
+  const pageParams = new URLSearchParams(params);
+  if (cursor) pageParams.set('cursor', cursor);
+
+  const response = await AuthService.request(`${API_CONFIG.ENDPOINTS.JOURNAL.SEARCH}?${pageParams}`);
+  const { results, nextCursor } = response.data;
+  return {
+    entries: results.map(result => new JournalEntry(result.entry)),
+    snippets: new Map(results.map(result => [result.entry.id, result.snippet])),
+    nextCursor
+  };
+};
+
+export default {
+  toSearchParams,
+  fetchSearchPage
+};
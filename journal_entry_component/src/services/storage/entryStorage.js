@@ -0,0 +1,455 @@
+/**
+ * @fileoverview Persistence of the current user's journal entries behind a
+ * pluggable storage adapter. IndexedDB is used where the browser has it, and
+ * localStorage otherwise. Entries in an asynchronous adapter are mirrored in
+ * an in-memory cache so journalService can keep reading them synchronously;
+ * writes update the cache at once and are persisted per entry in the
+ * background. Data left in localStorage by earlier versions is moved into
+ * IndexedDB the first time a user's journal is loaded.
+ *
+ * The schema version of the stored entries is kept next to them. Loading a
+ * journal saved in an older version runs the missing schemaMigrations first,
+ * after backing up the original data; if a migration fails, the original data
+ * is left in place and the backup is kept.
+ */
+
+import AuthService from '../authService';
+import localStorageAdapter from './localStorageAdapter';
+import indexedDbAdapter from './indexedDbAdapter';
+import { CURRENT_SCHEMA_VERSION, migrateRecords } from './schemaMigrations';
+
+export const ENTRIES_STORE = 'entries';
+export const TRASH_STORE = 'trash';
+
+const STORE_NAMES = [ENTRIES_STORE, TRASH_STORE];
+
+// Metadata keys of the schema version and of the backup taken before migrating
+export const SCHEMA_VERSION_KEY = 'schema_version';
+export const SCHEMA_BACKUP_KEY = 'schema_backup';
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Name of the backend, for logging
+ * @property {boolean} synchronous - Whether methods return their results directly instead of promises
+ * @property {Function} readAll - (namespace, storeName) => records
+ * @property {Function} put - (namespace, storeName, records) => success; adds or replaces records by id
+ * @property {Function} remove - (namespace, storeName, ids) => success
+ * @property {Function} clear - (namespace, storeName) => success
+ * @property {Function} findByIndex - (namespace, storeName, indexName, value) => records
+ * @property {Function} readPage - (namespace, storeName, { indexName, direction, after, limit, filter }) => { records, lastKey }
+ * @property {Function} readMeta - (namespace, key) => value, or null if not set
+ * @property {Function} writeMeta - (namespace, key, value) => success
+ * @property {Function} removeMeta - (namespace, key) => success
+ */
+
+/**
+ * @typedef {Object} SchemaBackup
+ * @property {number} version - Schema version of the backed up data
+ * @property {string} createdAt - When the backup was taken
+ * @property {Object<string, Array<Object>>} stores - Records of each store
+ */
+
+let adapter = indexedDbAdapter.isAvailable() ? indexedDbAdapter : localStorageAdapter;
+
+// Records of the loaded namespace, for asynchronous adapters
+let cache = null;
+
+// Schema upgrades of synchronous adapters by namespace
+let upgrades = new Map();
+
+// Chain of background writes, in the order they were made
+let pendingWrites = Promise.resolve();
+
+// Bumped whenever stored records change other than through writes, removes and clears
+let generation = 0;
+
+// Entries kept in localStorage can also be changed by the app in another tab
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (adapter.synchronous && (event.key === null || event.key.startsWith('journal_'))) generation++;
+  });
+}
+
+/**
+ * Helper function to get the namespace of the current user.
+ * @returns {string} The user id, or '' when signed out.
+ * @private
+ */
+const getNamespace = () => AuthService.getUserId() || '';
+
+/**
+ * Helper function to copy a record, so the cache does not share objects with callers.
+ * @param {Object} record - The entry record.
+ * @returns {Object} A plain copy with dates as ISO strings.
+ * @private
+ */
+const copyRecord = (record) => JSON.parse(JSON.stringify(record));
+
+/**
+ * Helper function to queue a write to the asynchronous adapter.
+ * @param {Function} write - Performs the write and returns a promise.
+ * @private
+ */
+const queueWrite = (write) => {
+  pendingWrites = pendingWrites
+    .then(write)
+    .catch(error => console.error(`Error saving journal entries to ${adapter.name}:`, error));
+};
+
+/**
+ * Helper function to move a namespace's entries from localStorage into the
+ * current adapter. The localStorage copy is only removed once it is written.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @returns {Promise<void>}
+ * @private
+ */
+const migrateFromLocalStorage = async (namespace) => {
+  const version = localStorageAdapter.readMeta(namespace, SCHEMA_VERSION_KEY);
+  let moved = false;
+
+  for (const storeName of STORE_NAMES) {
+    const records = localStorageAdapter.readAll(namespace, storeName);
+    if (records.length === 0) continue;
+
+    await adapter.put(namespace, storeName, records);
+    localStorageAdapter.clear(namespace, storeName);
+    moved = true;
+  }
+
+  // The moved entries keep the schema version they were saved in
+  if (moved && version !== null) {
+    await adapter.writeMeta(namespace, SCHEMA_VERSION_KEY, version);
+  }
+  localStorageAdapter.removeMeta(namespace, SCHEMA_VERSION_KEY);
+};
+
+/**
+ * Helper function to replace every record of the stores.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {Object<string, Array<Object>>} stores - Records of each store.
+ * @returns {Promise<void>}
+ * @private
+ */
+const replaceStores = async (namespace, stores) => {
+  for (const storeName of STORE_NAMES) {
+    const cleared = await adapter.clear(namespace, storeName);
+    const written = stores[storeName].length === 0 || await adapter.put(namespace, storeName, stores[storeName]);
+    if (!cleared || !written) throw new Error(`Could not write the ${storeName} store`);
+  }
+};
+
+/**
+ * Helper function to bring a namespace's entries to the current schema
+ * version. The stored data is backed up before it is changed; if migrating or
+ * writing fails, the backup is written back and kept.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @returns {Promise<void>}
+ * @private
+ */
+const upgradeSchema = async (namespace) => {
+  const storedVersion = await adapter.readMeta(namespace, SCHEMA_VERSION_KEY);
+  if (storedVersion === CURRENT_SCHEMA_VERSION) return;
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    console.warn(`Journal entries were saved by a newer version of the app (schema ${storedVersion}); leaving them as they are.`);
+    return;
+  }
+
+  const stores = {};
+  for (const storeName of STORE_NAMES) {
+    stores[storeName] = await adapter.readAll(namespace, storeName);
+  }
+
+  // Journals saved before the schema was versioned start at version 0
+  const hasEntries = STORE_NAMES.some(storeName => stores[storeName].length > 0);
+  if (storedVersion === null && !hasEntries) {
+    await adapter.writeMeta(namespace, SCHEMA_VERSION_KEY, CURRENT_SCHEMA_VERSION);
+    return;
+  }
+  const version = Number.isInteger(storedVersion) ? storedVersion : 0;
+
+  const backup = { version, createdAt: new Date().toISOString(), stores };
+  if (!(await adapter.writeMeta(namespace, SCHEMA_BACKUP_KEY, backup))) {
+    console.error('Could not back up journal entries; skipping the schema upgrade.');
+    return;
+  }
+
+  let upgraded;
+  try {
+    upgraded = STORE_NAMES.reduce((result, storeName) => ({
+      ...result,
+      [storeName]: migrateRecords(stores[storeName], storeName, version)
+    }), {});
+  } catch (error) {
+    console.error('Error migrating journal entries; the original entries were kept and backed up:', error);
+    return;
+  }
+
+  try {
+    await replaceStores(namespace, upgraded);
+    await adapter.writeMeta(namespace, SCHEMA_VERSION_KEY, CURRENT_SCHEMA_VERSION);
+    await adapter.removeMeta(namespace, SCHEMA_BACKUP_KEY);
+  } catch (error) {
+    console.error('Error saving migrated journal entries; restoring the backup:', error);
+    await replaceStores(namespace, stores);
+  }
+};
+
+/**
+ * Helper function to load a namespace into the cache. Loading is queued with
+ * the background writes, so it never races with them; writes made while
+ * loading take precedence over what was loaded.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @returns {Object} The cache of the namespace.
+ * @private
+ */
+const loadNamespace = (namespace) => {
+  const loading = {
+    namespace,
+    stores: { [ENTRIES_STORE]: new Map(), [TRASH_STORE]: new Map() },
+    removedWhileLoading: new Set(),
+    ready: null
+  };
+
+  loading.ready = pendingWrites.then(async () => {
+    try {
+      await migrateFromLocalStorage(namespace);
+      await upgradeSchema(namespace);
+      for (const storeName of STORE_NAMES) {
+        const records = await adapter.readAll(namespace, storeName);
+        const store = loading.stores[storeName];
+        records
+          .filter(record => !store.has(record.id) && !loading.removedWhileLoading.has(record.id))
+          .forEach(record => store.set(record.id, record));
+      }
+    } catch (error) {
+      console.error(`Error loading journal entries from ${adapter.name}:`, error);
+    } finally {
+      loading.removedWhileLoading = null;
+      generation++;
+    }
+  });
+  pendingWrites = loading.ready;
+
+  return loading;
+};
+
+/**
+ * Helper function to get the cache of the current user, starting to load it
+ * if the user changed.
+ * @returns {Object} The cache of the current namespace.
+ * @private
+ */
+const getCache = () => {
+  const namespace = getNamespace();
+  if (!cache || cache.namespace !== namespace) {
+    cache = loadNamespace(namespace);
+  }
+  return cache;
+};
+
+/**
+ * Wait until the current user's entries are loaded and upgraded to the
+ * current schema version.
+ * @returns {Promise<void>}
+ * @public
+ */
+export const whenReady = () => {
+  if (!adapter.synchronous) return getCache().ready;
+
+  const namespace = getNamespace();
+  if (!upgrades.has(namespace)) {
+    upgrades.set(namespace, upgradeSchema(namespace).catch(error => {
+      console.error('Error upgrading journal entries:', error);
+    }).finally(() => {
+      generation++;
+    }));
+  }
+  return upgrades.get(namespace);
+};
+
+/**
+ * Get a number that changes whenever the stored records may have changed
+ * without going through writeRecords, removeRecords or clearRecords: when a
+ * journal finishes loading or upgrading, another tab changes entries kept in
+ * localStorage, or the adapter is replaced. Anything
+ * derived from the records, such as the search index, must be rebuilt when it
+ * changes.
+ * @returns {number} The current generation.
+ * @public
+ */
+export const getGeneration = () => generation;
+
+/**
+ * Get the backup taken before the last schema upgrade that failed.
+ * @returns {Promise<SchemaBackup|null>} The backup, or null if there is none.
+ * @public
+ */
+export const getSchemaBackup = async () => {
+  await whenReady();
+  return adapter.readMeta(getNamespace(), SCHEMA_BACKUP_KEY);
+};
+
+/**
+ * Wait until every write made so far has been persisted.
+ * @returns {Promise<void>}
+ * @public
+ */
+export const flush = () => pendingWrites;
+
+/**
+ * Read the records of a store. The records are shared with the cache and
+ * must not be modified.
+ * @param {string} storeName - ENTRIES_STORE or TRASH_STORE.
+ * @returns {Array<Object>} The records; empty while an asynchronous adapter is still loading.
+ * @public
+ */
+export const readRecords = (storeName) => {
+  if (adapter.synchronous) return adapter.readAll(getNamespace(), storeName);
+  return [...getCache().stores[storeName].values()];
+};
+
+/**
+ * Read a single record of a store. The record is shared with the cache and
+ * must not be modified.
+ * @param {string} storeName - ENTRIES_STORE or TRASH_STORE.
+ * @param {string} id - The id of the record.
+ * @returns {Object|null} The record, or null if it is not stored.
+ * @public
+ */
+export const readRecord = (storeName, id) => {
+  if (adapter.synchronous) {
+    return adapter.readAll(getNamespace(), storeName).find(record => record.id === id) || null;
+  }
+  return getCache().stores[storeName].get(id) || null;
+};
+
+/**
+ * Add or replace records, matched by id.
+ * @param {string} storeName - ENTRIES_STORE or TRASH_STORE.
+ * @param {Array<Object>} records - The records to write.
+ * @returns {boolean} True if successful, false otherwise.
+ * @public
+ */
+export const writeRecords = (storeName, records) => {
+  if (records.length === 0) return true;
+  if (adapter.synchronous) return adapter.put(getNamespace(), storeName, records);
+
+  const { namespace, stores } = getCache();
+  const copies = records.map(copyRecord);
+  copies.forEach(record => stores[storeName].set(record.id, record));
+  queueWrite(() => adapter.put(namespace, storeName, copies));
+  return true;
+};
+
+/**
+ * Remove records by id.
+ * @param {string} storeName - ENTRIES_STORE or TRASH_STORE.
+ * @param {Array<string>} ids - The ids of the records to remove.
+ * @returns {boolean} True if successful, false otherwise.
+ * @public
+ */
+export const removeRecords = (storeName, ids) => {
+  if (ids.length === 0) return true;
+  if (adapter.synchronous) return adapter.remove(getNamespace(), storeName, ids);
+
+  const current = getCache();
+  ids.forEach(id => {
+    current.stores[storeName].delete(id);
+    if (current.removedWhileLoading) current.removedWhileLoading.add(id);
+  });
+  queueWrite(() => adapter.remove(current.namespace, storeName, ids));
+  return true;
+};
+
+/**
+ * Remove every record of a store.
+ * @param {string} storeName - ENTRIES_STORE or TRASH_STORE.
+ * @returns {boolean} True if successful, false otherwise.
+ * @public
+ */
+export const clearRecords = (storeName) => {
+  if (adapter.synchronous) return adapter.clear(getNamespace(), storeName);
+
+  const current = getCache();
+  [...current.stores[storeName].keys()].forEach(id => {
+    if (current.removedWhileLoading) current.removedWhileLoading.add(id);
+  });
+  current.stores[storeName].clear();
+  queueWrite(() => adapter.clear(current.namespace, storeName));
+  return true;
+};
+
+/**
+ * Find records through one of the adapter's indexes.
+ * @param {string} storeName - ENTRIES_STORE or TRASH_STORE.
+ * @param {string} indexName - 'createdAt', 'updatedAt', 'entryDate', 'mood' or 'tags'.
+ * @param {*} value - The value to look up.
+ * @returns {Promise<Array<Object>>} The matching records.
+ * @public
+ */
+export const findRecords = async (storeName, indexName, value) => {
+  await whenReady();
+  await flush();
+  return adapter.findByIndex(getNamespace(), storeName, indexName, value);
+};
+
+/**
+ * Read a page of records in the order of one of the adapter's indexes. A page
+ * ends with every record sharing the index key of its last record, so it can
+ * hold more records than the limit.
+ * @param {string} storeName - ENTRIES_STORE or TRASH_STORE.
+ * @param {Object} options - What to read.
+ * @param {string} options.indexName - 'createdAt', 'updatedAt' or 'entryDate'.
+ * @param {string} [options.direction='next'] - 'next' for ascending keys, 'prev' for descending.
+ * @param {*} [options.after=null] - lastKey of the previous page; null for the first page.
+ * @param {number} options.limit - Number of records to read, unless the store runs out.
+ * @param {Function} [options.filter] - Keeps only the records it returns true for.
+ * @returns {Promise<{records: Array<Object>, lastKey: *}>} The records, and the key to read the next page after, or null after the last page.
+ * @public
+ */
+export const readPage = async (storeName, options) => {
+  await whenReady();
+  await flush();
+  return adapter.readPage(getNamespace(), storeName, options);
+};
+
+/**
+ * Get the adapter entries are stored with.
+ * @returns {StorageAdapter} The current adapter.
+ * @public
+ */
+export const getAdapter = () => adapter;
+
+/**
+ * Use a different storage adapter, for example in tests. Cached records of
+ * the previous adapter are dropped.
+ * @param {StorageAdapter} nextAdapter - The adapter to use.
+ * @public
+ */
+export const setAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+  cache = null;
+  upgrades = new Map();
+  pendingWrites = Promise.resolve();
+  generation++;
+};
+
+export default {
+  ENTRIES_STORE,
+  TRASH_STORE,
+  SCHEMA_VERSION_KEY,
+  SCHEMA_BACKUP_KEY,
+  whenReady,
+  getGeneration,
+  getSchemaBackup,
+  flush,
+  readRecords,
+  readRecord,
+  writeRecords,
+  removeRecords,
+  clearRecords,
+  findRecords,
+  readPage,
+  getAdapter,
+  setAdapter
+};
@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Storage adapter that keeps journal entries in IndexedDB, one
+ * record per entry. Each namespace (signed-in user) gets its own database with
+ * an 'entries' and a 'trash' object store, both indexed on createdAt,
+ * updatedAt, entryDate, mood and tags, so single entries are written without touching
+ * the rest of the journal. A 'meta' store keeps values such as the schema
+ * version next to the entries.
+ */
+
+// Database name prefix; the namespace is appended for signed-in users
+const DB_NAME = 'journal';
+const DB_VERSION = 3;
+
+const STORE_NAMES = ['entries', 'trash'];
+
+const META_STORE = 'meta';
+
+const INDEXES = [
+  { name: 'createdAt', keyPath: 'createdAt' },
+  { name: 'updatedAt', keyPath: 'updatedAt' },
+  // Added in database version 3; indexes the day, so ranges of days can be queried
+  { name: 'entryDate', keyPath: 'entryDate.date' },
+  { name: 'mood', keyPath: 'mood' },
+  { name: 'tags', keyPath: 'tags', options: { multiEntry: true } }
+];
+
+// Open database connections by namespace
+const connections = new Map();
+
+/**
+ * Check if IndexedDB is available in the current environment.
+ * @returns {boolean} True if IndexedDB can be used, false otherwise.
+ * @public
+ */
+export const isAvailable = () => {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Helper function to wrap an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request's result.
+ * @private
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Helper function to create the object stores and indexes a database is missing.
+ * @param {IDBDatabase} db - The database being created or upgraded.
+ * @param {IDBTransaction} transaction - The upgrade transaction.
+ * @private
+ */
+const createSchema = (db, transaction) => {
+  STORE_NAMES.forEach(storeName => {
+    const store = db.objectStoreNames.contains(storeName)
+      ? transaction.objectStore(storeName)
+      : db.createObjectStore(storeName, { keyPath: 'id' });
+    INDEXES
+      .filter(({ name }) => !store.indexNames.contains(name))
+      .forEach(({ name, keyPath, options }) => store.createIndex(name, keyPath, options));
+  });
+  // Added in database version 2
+  if (!db.objectStoreNames.contains(META_STORE)) {
+    db.createObjectStore(META_STORE, { keyPath: 'key' });
+  }
+};
+
+/**
+ * Helper function to open the database of a namespace, reusing the connection.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @returns {Promise<IDBDatabase>} The open database.
+ * @private
+ */
+const openDatabase = (namespace) => {
+  if (!connections.has(namespace)) {
+    const request = indexedDB.open(namespace ? `${DB_NAME}:${namespace}` : DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => createSchema(request.result, request.transaction);
+
+    const connection = promisifyRequest(request).then(db => {
+      // Let other tabs upgrade or delete the database
+      db.onversionchange = () => {
+        db.close();
+        connections.delete(namespace);
+      };
+      return db;
+    });
+    connection.catch(() => connections.delete(namespace));
+    connections.set(namespace, connection);
+  }
+  return connections.get(namespace);
+};
+
+/**
+ * Helper function to run work in a transaction and wait for it to commit.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries', 'trash' or 'meta'.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {Function} work - Called with the object store; may return a request whose result is resolved.
+ * @returns {Promise<*>} Resolves with the request's result once the transaction completes.
+ * @private
+ */
+const runTransaction = async (namespace, storeName, mode, work) => {
+  const db = await openDatabase(namespace);
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Helper function to convert a value to the form it is stored in. Dates are
+ * stored as ISO strings, which sort the same way in the indexes.
+ * @param {*} record - The entry record or metadata value.
+ * @returns {*} The storable value.
+ * @private
+ */
+const toStoredRecord = (record) => JSON.parse(JSON.stringify(record));
+
+/**
+ * Read every record of a store.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @returns {Promise<Array<Object>>} The stored records.
+ * @public
+ */
+export const readAll = (namespace, storeName) =>
+  runTransaction(namespace, storeName, 'readonly', store => store.getAll());
+
+/**
+ * Add or replace records, matched by id, in a single transaction.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @param {Array<Object>} records - The records to write.
+ * @returns {Promise<boolean>} Resolves with true once the records are written.
+ * @public
+ */
+export const put = (namespace, storeName, records) =>
+  runTransaction(namespace, storeName, 'readwrite', store => {
+    records.forEach(record => store.put(toStoredRecord(record)));
+  }).then(() => true);
+
+/**
+ * Remove records by id in a single transaction.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @param {Array<string>} ids - The ids of the records to remove.
+ * @returns {Promise<boolean>} Resolves with true once the records are removed.
+ * @public
+ */
+export const remove = (namespace, storeName, ids) =>
+  runTransaction(namespace, storeName, 'readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  }).then(() => true);
+
+/**
+ * Remove every record of a store.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @returns {Promise<boolean>} Resolves with true once the store is empty.
+ * @public
+ */
+export const clear = (namespace, storeName) =>
+  runTransaction(namespace, storeName, 'readwrite', store => {
+    store.clear();
+  }).then(() => true);
+
+/**
+ * Find records through one of the store's indexes.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @param {string} indexName - 'createdAt', 'updatedAt', 'entryDate', 'mood' or 'tags'.
+ * @param {*|IDBKeyRange} value - The value, or a key range, to look up.
+ * @returns {Promise<Array<Object>>} The matching records.
+ * @public
+ */
+export const findByIndex = (namespace, storeName, indexName, value) => {
+  const key = value instanceof Date ? value.toISOString() : value;
+  return runTransaction(namespace, storeName, 'readonly', store => store.index(indexName).getAll(key));
+};
+
+/**
+ * Read a page of records in the order of an index, walking it with a cursor.
+ * A page keeps going past the limit until the indexed key changes, so records
+ * sharing a key, such as the entries of one day, are never split across pages.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @param {Object} options - What to read.
+ * @param {string} options.indexName - 'createdAt', 'updatedAt' or 'entryDate'.
+ * @param {string} [options.direction='next'] - 'next' for ascending keys, 'prev' for descending.
+ * @param {*} [options.after=null] - Key the previous page ended with; null for the first page.
+ * @param {number} options.limit - Number of records to read, unless the store runs out.
+ * @param {Function} [options.filter] - Keeps only the records it returns true for.
+ * @returns {Promise<{records: Array<Object>, lastKey: *}>} The records, and the key to read the next page after, or null after the last page.
+ * @public
+ */
+export const readPage = async (namespace, storeName, { indexName, direction = 'next', after = null, limit, filter = null }) => {
+  const records = [];
+  let lastKey = null;
+  let hasMore = false;
+
+  await runTransaction(namespace, storeName, 'readonly', store => {
+    let range = null;
+    if (after !== null) {
+      range = direction === 'prev' ? IDBKeyRange.upperBound(after, true) : IDBKeyRange.lowerBound(after, true);
+    }
+    const request = store.index(indexName).openCursor(range, direction);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const matches = !filter || filter(cursor.value);
+      // End the page at the next record kept, so a page never comes back empty while more records follow
+      if (matches && records.length >= limit && cursor.key !== lastKey) {
+        hasMore = true;
+        return;
+      }
+      lastKey = cursor.key;
+      if (matches) records.push(cursor.value);
+      cursor.continue();
+    };
+  });
+
+  return { records, lastKey: hasMore ? lastKey : null };
+};
+
+/**
+ * Read a metadata value stored next to the entries.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} key - The metadata key, such as 'schema_version'.
+ * @returns {Promise<*>} The value, or null if it is not set.
+ * @public
+ */
+export const readMeta = (namespace, key) =>
+  runTransaction(namespace, META_STORE, 'readonly', store => store.get(key))
+    .then(record => (record ? record.value : null));
+
+/**
+ * Store a metadata value next to the entries.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} key - The metadata key.
+ * @param {*} value - The value, which must be JSON serializable.
+ * @returns {Promise<boolean>} Resolves with true once the value is written.
+ * @public
+ */
+export const writeMeta = (namespace, key, value) =>
+  runTransaction(namespace, META_STORE, 'readwrite', store => {
+    store.put({ key, value: toStoredRecord(value) });
+  }).then(() => true);
+
+/**
+ * Remove a metadata value.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} key - The metadata key.
+ * @returns {Promise<boolean>} Resolves with true once the value is removed.
+ * @public
+ */
+export const removeMeta = (namespace, key) =>
+  runTransaction(namespace, META_STORE, 'readwrite', store => {
+    store.delete(key);
+  }).then(() => true);
+
+export default {
+  name: 'indexedDB',
+  synchronous: false,
+  isAvailable,
+  readAll,
+  put,
+  remove,
+  clear,
+  findByIndex,
+  readPage,
+  readMeta,
+  writeMeta,
+  removeMeta
+};
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Storage adapter that keeps each store of journal entries as a
+ * single JSON array in localStorage. Reads and writes complete immediately, so
+ * entryStorage uses it without a cache. It is the fallback where IndexedDB is
+ * unavailable, and the source entryStorage migrates existing data from.
+ */
+
+// localStorage key prefix of each store
+const STORE_KEYS = {
+  entries: 'journal_entries',
+  trash: 'journal_trash'
+};
+
+/**
+ * Helper function to get the localStorage key of a store.
+ * The signed-out namespace keeps the original unscoped key.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @returns {string} The localStorage key.
+ * @private
+ */
+const getStorageKey = (namespace, storeName) => {
+  const baseKey = STORE_KEYS[storeName];
+  return namespace ? `${baseKey}:${namespace}` : baseKey;
+};
+
+/**
+ * Helper function to write every record of a store.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @param {Array<Object>} records - The records to store.
+ * @returns {boolean} True if successful, false otherwise.
+ * @private
+ */
+const writeAll = (namespace, storeName, records) => {
+  try {
+    localStorage.setItem(getStorageKey(namespace, storeName), JSON.stringify(records));
+    return true;
+  } catch (error) {
+    console.error('Error saving journal entries to localStorage:', error);
+    return false;
+  }
+};
+
+/**
+ * Read every record of a store.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @returns {Array<Object>} The stored records.
+ * @public
+ */
+export const readAll = (namespace, storeName) => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey(namespace, storeName))) || [];
+  } catch (error) {
+    console.error('Error retrieving journal entries from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * Add or replace records, matched by id.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @param {Array<Object>} records - The records to write.
+ * @returns {boolean} True if successful, false otherwise.
+ * @public
+ */
+export const put = (namespace, storeName, records) => {
+  const ids = new Set(records.map(record => record.id));
+  const kept = readAll(namespace, storeName).filter(record => !ids.has(record.id));
+  return writeAll(namespace, storeName, [...kept, ...records]);
+};
+
+/**
+ * Remove records by id.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @param {Array<string>} ids - The ids of the records to remove.
+ * @returns {boolean} True if successful, false otherwise.
+ * @public
+ */
+export const remove = (namespace, storeName, ids) => {
+  const removed = new Set(ids);
+  return writeAll(namespace, storeName, readAll(namespace, storeName).filter(record => !removed.has(record.id)));
+};
+
+/**
+ * Remove every record of a store.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @returns {boolean} True if successful, false otherwise.
+ * @public
+ */
+export const clear = (namespace, storeName) => {
+  try {
+    localStorage.removeItem(getStorageKey(namespace, storeName));
+    return true;
+  } catch (error) {
+    console.error('Error clearing journal entries:', error);
+    return false;
+  }
+};
+
+/**
+ * Find records whose indexed field equals a value. For tags, a record matches
+ * when the value is one of its tags; for entryDate, when its day is the value.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @param {string} indexName - 'createdAt', 'updatedAt', 'entryDate', 'mood' or 'tags'.
+ * @param {*} value - The value to look up.
+ * @returns {Array<Object>} The matching records.
+ * @public
+ */
+export const findByIndex = (namespace, storeName, indexName, value) => {
+  const key = value instanceof Date ? value.toISOString() : value;
+  return readAll(namespace, storeName).filter(record => {
+    const field = indexName === 'entryDate' ? record.entryDate?.date : record[indexName];
+    return Array.isArray(field) ? field.includes(key) : field === key;
+  });
+};
+
+/**
+ * Read a page of records in the order of an index: by the indexed field, then
+ * by id. A page keeps going past the limit until the indexed field changes,
+ * so records sharing a key are never split across pages.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} storeName - 'entries' or 'trash'.
+ * @param {Object} options - What to read.
+ * @param {string} options.indexName - 'createdAt', 'updatedAt' or 'entryDate'.
+ * @param {string} [options.direction='next'] - 'next' for ascending keys, 'prev' for descending.
+ * @param {*} [options.after=null] - Key the previous page ended with; null for the first page.
+ * @param {number} options.limit - Number of records to read, unless the store runs out.
+ * @param {Function} [options.filter] - Keeps only the records it returns true for.
+ * @returns {{records: Array<Object>, lastKey: *}} The records, and the key to read the next page after, or null after the last page.
+ * @public
+ */
+export const readPage = (namespace, storeName, { indexName, direction = 'next', after = null, limit, filter = null }) => {
+  const descending = direction === 'prev';
+  const keyed = readAll(namespace, storeName)
+    .map(record => ({ key: indexName === 'entryDate' ? record.entryDate?.date : record[indexName], record }))
+    .filter(({ key }) => key !== undefined && key !== null)
+    .filter(({ key }) => after === null || (descending ? key < after : key > after))
+    .sort((a, b) => {
+      if (a.key !== b.key) return a.key < b.key ? -1 : 1;
+      return a.record.id < b.record.id ? -1 : 1;
+    });
+  if (descending) keyed.reverse();
+
+  const records = [];
+  let lastKey = null;
+  for (const { key, record } of keyed) {
+    const matches = !filter || filter(record);
+    // End the page at the next record kept, so a page never comes back empty while more records follow
+    if (matches && records.length >= limit && key !== lastKey) return { records, lastKey };
+    lastKey = key;
+    if (matches) records.push(record);
+  }
+  return { records, lastKey: null };
+};
+
+/**
+ * Helper function to get the localStorage key of a metadata value.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} key - The metadata key, such as 'schema_version'.
+ * @returns {string} The localStorage key.
+ * @private
+ */
+const getMetaKey = (namespace, key) => {
+  return namespace ? `journal_${key}:${namespace}` : `journal_${key}`;
+};
+
+/**
+ * Read a metadata value stored next to the entries.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} key - The metadata key.
+ * @returns {*} The value, or null if it is not set.
+ * @public
+ */
+export const readMeta = (namespace, key) => {
+  try {
+    const json = localStorage.getItem(getMetaKey(namespace, key));
+    return json === null ? null : JSON.parse(json);
+  } catch (error) {
+    console.error('Error reading journal metadata from localStorage:', error);
+    return null;
+  }
+};
+
+/**
+ * Store a metadata value next to the entries.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} key - The metadata key.
+ * @param {*} value - The value, which must be JSON serializable.
+ * @returns {boolean} True if successful, false otherwise.
+ * @public
+ */
+export const writeMeta = (namespace, key, value) => {
+  try {
+    localStorage.setItem(getMetaKey(namespace, key), JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.error('Error saving journal metadata to localStorage:', error);
+    return false;
+  }
+};
+
+/**
+ * Remove a metadata value.
+ * @param {string} namespace - The user id, or '' when signed out.
+ * @param {string} key - The metadata key.
+ * @returns {boolean} True if successful, false otherwise.
+ * @public
+ */
+export const removeMeta = (namespace, key) => {
+  localStorage.removeItem(getMetaKey(namespace, key));
+  return true;
+};
+
+export default {
+  name: 'localStorage',
+  synchronous: true,
+  readAll,
+  put,
+  remove,
+  clear,
+  findByIndex,
+  readPage,
+  readMeta,
+  writeMeta,
+  removeMeta
+};
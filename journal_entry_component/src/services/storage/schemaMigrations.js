@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Versions of the format journal entries are stored in, and the
+ * migrations between them. Each migration upgrades one stored record from the
+ * previous version. entryStorage runs the migrations a journal is missing when
+ * it is loaded, so model changes never rely on JournalEntry quietly filling in
+ * whatever older data lacks.
+ *
+ * To change the format, append a migration with the next version number.
+ * Migrations must be pure functions of the record, and must not be edited once
+ * released.
+ */
+
+/**
+ * @typedef {Object} SchemaMigration
+ * @property {number} version - The version a record has after this migration
+ * @property {string} description - What the migration changes
+ * @property {Function} migrate - (record, storeName) => upgraded record
+ */
+
+const generateId = () => Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toIsoString = (value, fallback) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : fallback;
+};
+
+/**
+ * Ordered list of migrations, oldest first.
+ * @type {Array<SchemaMigration>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Write out the defaults of entries saved before the format was versioned',
+    migrate: (record, storeName) => {
+      const now = new Date().toISOString();
+      const createdAt = toIsoString(record.createdAt, now);
+      const updatedAt = toIsoString(record.updatedAt, createdAt);
+      return {
+        ...record,
+        id: record.id || generateId(),
+        title: typeof record.title === 'string' ? record.title : '',
+        content: typeof record.content === 'string' ? record.content : '',
+        createdAt,
+        updatedAt,
+        mood: typeof record.mood === 'string' ? record.mood : '',
+        tags: Array.isArray(record.tags) ? record.tags.filter(tag => typeof tag === 'string') : [],
+        revision: Number.isInteger(record.revision) ? record.revision : 0,
+        // Entries in the trash store always have a deletion date
+        deletedAt: storeName === 'trash' ? toIsoString(record.deletedAt, updatedAt) : null
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Add the entry date, which the date picker used to write into createdAt',
+    migrate: (record) => {
+      if (record.entryDate) return record;
+      const createdAt = new Date(record.createdAt);
+      return {
+        ...record,
+        entryDate: {
+          date: `${createdAt.getFullYear()}-${pad(createdAt.getMonth() + 1)}-${pad(createdAt.getDate())}`,
+          time: null,
+          timeZone: null
+        }
+      };
+    }
+  }
+];
+
+// Version of the format written by this version of the app
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade the records of a store from an older version to the current one.
+ * @param {Array<Object>} records - The stored records.
+ * @param {string} storeName - The store the records belong to.
+ * @param {number} fromVersion - The version the records are in; 0 if never versioned.
+ * @returns {Array<Object>} The upgraded records.
+ * @throws {Error} If a migration fails; the records passed in are left unchanged.
+ */
+export const migrateRecords = (records, storeName, fromVersion) => {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => current.map(record => {
+      try {
+        return migration.migrate(record, storeName);
+      } catch (error) {
+        throw new Error(`Migration to version ${migration.version} failed for entry ${record.id}: ${error.message}`);
+      }
+    }), records);
+};
+
+export default {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  migrateRecords
+};
@@ -0,0 +1,465 @@
+/**
+ * @fileoverview Offline-first sync between journalService and the server.
+ *
+ * Local changes are recorded in the operation log by journalService. A sync
+ * pushes the pending operations to the server together with the serverTime of
+ * the previous sync, and merges back whatever changed on the server since then.
+ * The server applies an operation only when its baseRevision is still current;
+ * otherwise it answers with a conflict record holding both versions, which is
+ * kept here until the user resolves it. Nothing is overwritten silently.
+ *
+ * Each sync also pushes the user's preferences when they changed locally and
+ * merges back the server's copy (see preferencesService.js).
+ *
+ * Syncs run when the browser comes back online, when the WebSocket connects,
+ * shortly after a local change and periodically while started. Offline syncs
+ * are parked in AuthService's request queue.
+ */
+
+import API_CONFIG from '../config/api.config';
+import AuthService from './authService';
+import journalService from './journalService';
+import operationLog from './operationLog';
+import preferencesService from './preferencesService';
+import { webSocketService } from './WebSocketService';
+
+const CONFLICTS_KEY = 'journal_sync_conflicts';
+const STATE_KEY = 'journal_sync_state';
+
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+const SYNCED_FIELDS = ['title', 'content', 'entryDate', 'mood', 'tags', 'deletedAt'];
+
+/**
+ * @typedef {Object} SyncConflict
+ * @property {string} operationId - The local operation the server refused
+ * @property {string} entryId - The entry in conflict
+ * @property {'create'|'update'|'delete'} type - The kind of local change
+ * @property {'revision_mismatch'|'already_exists'|'deleted'|'not_found'} reason - Why it was refused
+ * @property {Object|null} local - The local entry fields, null for a delete
+ * @property {Object|null} remote - The server's entry, null when it no longer exists there
+ * @property {string} detectedAt - When the conflict was reported
+ */
+
+const readUserItem = (prefix, userId, fallback) => {
+    try {
+        return JSON.parse(localStorage.getItem(`${prefix}:${userId}`)) || fallback;
+    } catch (error) {
+        return fallback;
+    }
+};
+
+const writeUserItem = (prefix, userId, value) => {
+    localStorage.setItem(`${prefix}:${userId}`, JSON.stringify(value));
+};
+
+const hasSameContent = (local, remote) => SYNCED_FIELDS.every(field =>
+    JSON.stringify(local[field]) === JSON.stringify(remote[field])
+);
+
+const toSyncData = (entry) => SYNCED_FIELDS.reduce((data, field) => {
+    data[field] = entry[field];
+    return data;
+}, {});
+
+/**
+ * Class that keeps the local journal and the server in sync.
+ */
+class SyncService {
+    constructor() {
+        this.status = 'idle'; // idle, syncing, offline, error
+        this.lastResult = null;
+        this.currentSync = null;
+        this.resyncRequested = false;
+        this.queuedWhileOffline = false;
+        this.listeners = new Set();
+        this.debounceTimer = null;
+        this.intervalId = null;
+        this.cleanups = [];
+    }
+
+    /**
+     * PUBLIC_INTERFACE
+     * Start syncing automatically. Calling it again while started has no effect.
+     */
+    start() {
+        if (this.intervalId) return;
+
+        const handleOnline = () => this.sync();
+        const handleSocketStatus = (isConnected) => {
+            if (isConnected) this.sync();
+        };
+
+        window.addEventListener('online', handleOnline);
+        webSocketService.onStatusChange(handleSocketStatus);
+        const unsubscribe = operationLog.subscribe(() => this.scheduleSync());
+        const unsubscribePreferences = preferencesService.subscribe(() => {
+            if (preferencesService.getChangedPreferences()) this.scheduleSync();
+        });
+        this.intervalId = setInterval(() => this.sync(), SYNC_INTERVAL_MS);
+
+        this.cleanups = [
+            () => window.removeEventListener('online', handleOnline),
+            () => webSocketService.removeStatusCallback(handleSocketStatus),
+            unsubscribe,
+            unsubscribePreferences
+        ];
+
+        this.sync();
+    }
+
+    /**
+     * PUBLIC_INTERFACE
+     * Stop syncing automatically.
+     */
+    stop() {
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        clearInterval(this.intervalId);
+        clearTimeout(this.debounceTimer);
+        this.intervalId = null;
+        this.debounceTimer = null;
+    }
+
+    /**
+     * Sync shortly after local changes, so a burst of edits is pushed once.
+     * @private
+     */
+    scheduleSync() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.sync(), SYNC_DEBOUNCE_MS);
+    }
+
+    /**
+     * PUBLIC_INTERFACE
+     * Push pending local operations and merge server changes. Only one sync runs
+     * at a time; a sync requested meanwhile runs right after the current one.
+     * @returns {Promise<Object|null>} The server's sync result, or null when no sync took place
+     */
+    sync() {
+        if (!AuthService.isAuthenticated() || !AuthService.getUserId()) {
+            return Promise.resolve(null);
+        }
+
+        if (this.currentSync) {
+            this.resyncRequested = true;
+            return this.currentSync;
+        }
+
+        if (!AuthService.checkConnection()) {
+            this.setStatus('offline');
+            if (!this.queuedWhileOffline) {
+                this.queuedWhileOffline = true;
+                AuthService.queueRequest(() => {
+                    this.queuedWhileOffline = false;
+                    return this.sync();
+                });
+            }
+            return Promise.resolve(null);
+        }
+
+        this.currentSync = this.runSync().finally(() => {
+            this.currentSync = null;
+            if (this.resyncRequested) {
+                this.resyncRequested = false;
+                this.sync();
+            }
+        });
+        return this.currentSync;
+    }
+
+    /**
+     * Run one sync round trip for the signed-in user.
+     * @private
+     */
+    async runSync() {
+        const userId = AuthService.getUserId();
+        this.setStatus('syncing');
+
+        try {
+            // Merging needs the local entries, which may still be loading
+            await journalService.whenStorageReady();
+            if (AuthService.getUserId() !== userId) return null;
+
+            this.seedUnsyncedEntries();
+            const operations = operationLog.getPendingOperations();
+            const preferences = preferencesService.getChangedPreferences();
+            const { since = null } = readUserItem(STATE_KEY, userId, {});
+
+            const response = await AuthService.request(API_CONFIG.ENDPOINTS.JOURNAL.SYNC, {
+                method: 'POST',
+                body: JSON.stringify(preferences ? { since, operations, preferences } : { since, operations })
+            });
+
+            // The user signed out or switched accounts while the request was in flight
+            if (AuthService.getUserId() !== userId) return null;
+
+            const result = response.data;
+            this.mergeResult(userId, result);
+            if (result.preferences) {
+                preferencesService.applyServerPreferences(result.preferences, preferences);
+            }
+            writeUserItem(STATE_KEY, userId, { since: result.serverTime });
+
+            this.lastResult = result;
+            this.setStatus('idle');
+            return result;
+        } catch (error) {
+            console.error('Sync failed:', error.message);
+            this.setStatus(AuthService.checkConnection() ? 'error' : 'offline');
+            return null;
+        }
+    }
+
+    /**
+     * Queue a create for local entries that never reached the server, such as
+     * entries written before sync existed or imported from a backup.
+     * @private
+     */
+    seedUnsyncedEntries() {
+        [...journalService.getAllEntries(), ...journalService.getTrashedEntries()]
+            .filter(entry => entry.revision === 0 && !operationLog.hasPendingOperation(entry.id))
+            .forEach(entry => operationLog.recordOperation('create', entry.id, toSyncData(entry)));
+    }
+
+    /**
+     * Apply the server's answer to local storage and the operation log.
+     * @private
+     */
+    mergeResult(userId, result) {
+        const { applied, conflicts, rejected, changes } = result;
+
+        operationLog.removeOperations([
+            ...applied,
+            ...conflicts,
+            ...rejected
+        ].map(outcome => outcome.operationId));
+
+        applied.forEach(({ entryId, entry, deleted }) => {
+            if (deleted || !entry) return;
+
+            if (operationLog.hasPendingOperation(entryId)) {
+                // Edited again while the sync was in flight: push that edit on top
+                journalService.setEntryRevision(entryId, entry.revision);
+                operationLog.rebaseOperations(entryId, entry.revision);
+            } else if (journalService.getStoredEntry(entryId)) {
+                // Trashed entries are kept too; applying the entry puts it in the store matching its trash state
+                journalService.applyRemoteEntry(entry);
+            } else {
+                // Created and deleted permanently while the create was in flight
+                operationLog.recordOperation('delete', entryId, null, entry.revision);
+            }
+        });
+
+        rejected.forEach(({ entryId, errors }) => {
+            console.warn(`Sync rejected the change to entry ${entryId}:`, errors);
+        });
+
+        this.storeConflicts(userId, conflicts);
+
+        changes.entries.forEach(entry => journalService.applyRemoteEntry(entry));
+        changes.deletedIds
+            .filter(id => !operationLog.hasPendingOperation(id))
+            .forEach(id => journalService.removeRemoteEntry(id));
+    }
+
+    /**
+     * Keep conflict records until the user resolves them. A conflict where both
+     * sides ended up identical is resolved on the spot.
+     * @private
+     */
+    storeConflicts(userId, conflicts) {
+        if (conflicts.length === 0) return;
+
+        const stored = readUserItem(CONFLICTS_KEY, userId, []);
+        const detectedAt = new Date().toISOString();
+
+        conflicts.forEach(conflict => {
+            if (conflict.local && conflict.remote && hasSameContent(conflict.local, conflict.remote)) {
+                journalService.setEntryRevision(conflict.entryId, conflict.remote.revision);
+                journalService.applyRemoteEntry(conflict.remote);
+                return;
+            }
+
+            const index = stored.findIndex(record => record.entryId === conflict.entryId);
+            const record = { ...conflict, detectedAt };
+            if (index === -1) {
+                stored.push(record);
+            } else {
+                stored[index] = record;
+            }
+        });
+
+        writeUserItem(CONFLICTS_KEY, userId, stored);
+    }
+
+    /**
+     * PUBLIC_INTERFACE
+     * Get the unresolved conflicts of the signed-in user.
+     * @returns {Array<SyncConflict>} The conflict records
+     */
+    getConflicts() {
+        const userId = AuthService.getUserId();
+        return userId ? readUserItem(CONFLICTS_KEY, userId, []) : [];
+    }
+
+    /**
+     * PUBLIC_INTERFACE
+     * Get the unresolved conflict of an entry.
+     * @param {string} entryId - The entry
+     * @returns {SyncConflict|null} The conflict record, or null when there is none
+     */
+    getConflict(entryId) {
+        return this.getConflicts().find(record => record.entryId === entryId) || null;
+    }
+
+    /**
+     * PUBLIC_INTERFACE
+     * Resolve a conflict. The outcome is saved through journalService.updateEntry
+     * on top of the server's current revision, so the next sync pushes it without
+     * conflicting again.
+     *
+     * Strategies:
+     *   'local'  - keep this device's version
+     *   'remote' - keep the server's version
+     *   'both'   - keep the server's version and save this device's as a new entry
+     *   'merge'  - save `fields`, picked field by field from both versions
+     *
+     * When one side deleted the entry there is nothing to merge: keeping the
+     * deleted side removes the entry, anything else keeps the existing version
+     * (an entry deleted on the server is recreated under a new ID).
+     *
+     * @param {string} entryId - The entry in conflict
+     * @param {'local'|'remote'|'both'|'merge'} strategy - How to resolve it
+     * @param {Object} [fields] - The merged title, content, mood and tags for 'merge'
+     * @returns {Object} The resolved entry (null when it ends up deleted) and any errors
+     */
+    resolveConflict(entryId, strategy, fields = null) {
+        const userId = AuthService.getUserId();
+        const conflicts = this.getConflicts();
+        const conflict = conflicts.find(record => record.entryId === entryId);
+        if (!conflict) {
+            return { entry: null, errors: { id: 'No conflict found for this entry' } };
+        }
+
+        const { local, remote } = conflict;
+        let result;
+
+        if (!local || !remote) {
+            result = this.resolveDeletion(conflict, strategy);
+        } else {
+            // Base the resolution on the server's version so it is pushed as a plain update
+            const pendingIds = operationLog.getPendingOperations()
+                .filter(op => op.entryId === entryId)
+                .map(op => op.id);
+            operationLog.removeOperations(pendingIds);
+            journalService.removeRemoteEntry(entryId);
+            journalService.applyRemoteEntry({ ...remote, deletedAt: null });
+
+            const chosen = {
+                local,
+                remote,
+                both: remote,
+                merge: { ...remote, ...fields }
+            }[strategy];
+            result = journalService.updateEntry(entryId, toSyncData(chosen));
+
+            // Either version may have been moved to the trash
+            if (!result.errors && chosen.deletedAt) {
+                journalService.deleteEntry(entryId);
+                result = { entry: null, errors: null };
+            }
+            if (!result.errors && strategy === 'both') {
+                journalService.createEntry(toSyncData(local));
+            }
+        }
+
+        if (!result.errors) {
+            writeUserItem(CONFLICTS_KEY, userId, conflicts.filter(record => record !== conflict));
+            this.notifyListeners();
+        }
+        return result;
+    }
+
+    /**
+     * Resolve a conflict where one side deleted the entry.
+     * @private
+     */
+    resolveDeletion({ entryId, local, remote }, strategy) {
+        const pendingIds = operationLog.getPendingOperations()
+            .filter(op => op.entryId === entryId)
+            .map(op => op.id);
+
+        if (!remote) {
+            // Deleted on the server, which never accepts the old ID again
+            journalService.removeRemoteEntry(entryId);
+            operationLog.removeOperations(pendingIds);
+            return strategy === 'remote'
+                ? { entry: null, errors: null }
+                : journalService.createEntry(toSyncData(local));
+        }
+
+        // Deleted on this device after the server's version changed
+        if (strategy === 'local') {
+            operationLog.rebaseOperations(entryId, remote.revision);
+            operationLog.recordOperation('delete', entryId, null, remote.revision);
+            return { entry: null, errors: null };
+        }
+        operationLog.removeOperations(pendingIds);
+        return { entry: journalService.applyRemoteEntry(remote), errors: null };
+    }
+
+    /**
+     * PUBLIC_INTERFACE
+     * Check whether the journal is syncing with the server, so the server can
+     * answer for it: the user is signed in, the browser is online and the last
+     * sync did not fail for lack of a connection.
+     * @returns {boolean} True when online
+     */
+    isOnline() {
+        return AuthService.isAuthenticated() && AuthService.checkConnection() && this.status !== 'offline';
+    }
+
+    /**
+     * PUBLIC_INTERFACE
+     * Subscribe to sync status changes and results.
+     * @param {Function} listener - Called with {status, lastResult, conflicts}
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     */
+    setStatus(status) {
+        this.status = status;
+        this.notifyListeners();
+    }
+
+    /**
+     * @private
+     */
+    notifyListeners() {
+        const state = {
+            status: this.status,
+            lastResult: this.lastResult,
+            conflicts: this.getConflicts()
+        };
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (error) {
+                console.error('Error in sync listener:', error);
+            }
+        });
+    }
+}
+
+// Shared instance used across the app
+export const syncService = new SyncService();
+
+export default SyncService;
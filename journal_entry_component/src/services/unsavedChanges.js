@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Registry of the form holding unsaved changes, so actions that
+ * leave it from elsewhere in the app (logging out, navigating to another
+ * route) can ask the user to save, discard or keep editing first.
+ * JournalEntryForm registers a guard while it is in edit mode.
+ */
+
+const guards = new Set();
+
+/**
+ * @typedef {Object} UnsavedChangesGuard
+ * @property {Function} isDirty - Returns whether the form has unsaved changes
+ * @property {Function} save - Saves the changes; returns true on success
+ * @property {Function} discard - Throws the changes away
+ */
+
+/**
+ * Register a form's guard.
+ * @param {UnsavedChangesGuard} guard - The guard.
+ * @returns {Function} Unregister function.
+ * @public
+ */
+export const registerGuard = (guard) => {
+  guards.add(guard);
+  return () => guards.delete(guard);
+};
+
+/**
+ * Check whether any registered form has unsaved changes.
+ * @returns {boolean} True if there are unsaved changes.
+ * @public
+ */
+export const hasUnsavedChanges = () => [...guards].some(guard => guard.isDirty());
+
+/**
+ * Save the changes of every form that has some.
+ * @returns {boolean} True if everything was saved; false if a form refused, such as on invalid input.
+ * @public
+ */
+export const saveAll = () => [...guards]
+  .filter(guard => guard.isDirty())
+  .every(guard => guard.save());
+
+/**
+ * Throw away the changes of every form that has some.
+ * @public
+ */
+export const discardAll = () => {
+  [...guards]
+    .filter(guard => guard.isDirty())
+    .forEach(guard => guard.discard());
+};
+
+export default {
+  registerGuard,
+  hasUnsavedChanges,
+  saveAll,
+  discardAll
+};
@@ -0,0 +1,176 @@
+/**
+ * Entry Filters Module
+ * Facet filters of the entry list (moods, tags and an entry date range), their
+ * counts, and how they are kept in the page URL so a filtered view can be
+ * bookmarked.
+ *
+ * URL parameters:
+ * - q=...               the search query
+ * - mood=calm&mood=sad  entries with any of the moods
+ * - tag=work&tag=q3     entries with all of the tags
+ * - from=2026-01-01     entries dated on or after the day
+ * - to=2026-01-31       entries dated on or before the day
+ */
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// URL parameters owned by the entry list; others are left alone
+const URL_PARAMS = ['q', 'mood', 'tag', 'from', 'to'];
+
+/**
+ * @typedef {Object} EntryFilters
+ * @property {Array<string>} moods - Entries must have one of these moods; none means any mood
+ * @property {Array<string>} tags - Entries must have every one of these tags
+ * @property {string|null} from - First day of the entry date range, YYYY-MM-DD
+ * @property {string|null} to - Last day of the entry date range, YYYY-MM-DD
+ */
+
+const EMPTY_FILTERS = Object.freeze({ moods: [], tags: [], from: null, to: null });
+
+/**
+ * Read a day parameter, ignoring anything that is not YYYY-MM-DD.
+ * @private
+ */
+const readDay = (params, name) => {
+    const value = params.get(name);
+    return value && DAY_PATTERN.test(value) ? value : null;
+};
+
+/**
+ * Remove duplicates and empty values, keeping the first occurrence.
+ * @private
+ */
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * PUBLIC_INTERFACE
+ * Read the search query and filters from a URL query string.
+ * @param {string} search - The query string, such as window.location.search
+ * @returns {{query: string, filters: EntryFilters}} - The search query and filters
+ */
+const readFiltersFromUrl = (search) => {
+    const params = new URLSearchParams(search);
+    return {
+        query: params.get('q') || '',
+        filters: {
+            moods: unique(params.getAll('mood')),
+            tags: unique(params.getAll('tag')),
+            from: readDay(params, 'from'),
+            to: readDay(params, 'to')
+        }
+    };
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Write the search query and filters into a URL query string, keeping any
+ * parameters that do not belong to the entry list.
+ * @param {string} search - The current query string
+ * @param {{query: string, filters: EntryFilters}} state - The search query and filters
+ * @returns {string} - The new query string, with a leading '?' unless empty
+ */
+const writeFiltersToUrl = (search, { query, filters }) => {
+    const params = new URLSearchParams(search);
+    URL_PARAMS.forEach(name => params.delete(name));
+
+    if (query.trim()) params.set('q', query);
+    filters.moods.forEach(mood => params.append('mood', mood));
+    filters.tags.forEach(tag => params.append('tag', tag));
+    if (filters.from) params.set('from', filters.from);
+    if (filters.to) params.set('to', filters.to);
+
+    const result = params.toString();
+    return result ? `?${result}` : '';
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Count how many filters are set.
+ * @param {EntryFilters} filters - The filters
+ * @returns {number} - Moods, tags and range ends that are set
+ */
+const countActiveFilters = (filters) =>
+    filters.moods.length + filters.tags.length + (filters.from ? 1 : 0) + (filters.to ? 1 : 0);
+
+/**
+ * Check whether an entry passes the filters, leaving one facet out.
+ * @private
+ */
+const matchesFilters = (entry, filters, except = null) => {
+    const day = entry.entryDate.date;
+    return (except === 'moods' || filters.moods.length === 0 || filters.moods.includes(entry.mood)) &&
+        (except === 'tags' || filters.tags.every(tag => entry.tags.includes(tag))) &&
+        (!filters.from || day >= filters.from) &&
+        (!filters.to || day <= filters.to);
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Check whether an entry passes the filters.
+ * @param {Object} entry - The entry, or its stored record
+ * @param {EntryFilters} filters - The filters
+ * @returns {boolean} - True if the entry passes every filter
+ */
+const passesFilters = (entry, filters) => matchesFilters(entry, filters);
+
+/**
+ * PUBLIC_INTERFACE
+ * Keep the entries that pass the filters.
+ * @param {Array<Object>} entries - The entries
+ * @param {EntryFilters} filters - The filters
+ * @returns {Array<Object>} - The matching entries, in the same order
+ */
+const applyFilters = (entries, filters) => entries.filter(entry => matchesFilters(entry, filters));
+
+/**
+ * Count the values of a facet, most frequent first, then alphabetically.
+ * @private
+ */
+const countValues = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Count the moods and tags of entries, for the filter panel. Moods are counted
+ * with every other filter applied, so choosing another mood shows how many
+ * entries it adds; tags are counted with all filters applied, so each count is
+ * how many of the shown entries have the tag. Selected values are always listed.
+ * @param {Array<Object>} entries - The entries before filtering
+ * @param {EntryFilters} filters - The filters
+ * @returns {{moods: Array<{value: string, count: number}>, tags: Array<{value: string, count: number}>}}
+ * - Values with the number of entries having them
+ */
+const countFacets = (entries, filters) => {
+    const withSelected = (counted, selected) => [
+        ...counted,
+        ...selected
+            .filter(value => !counted.some(facet => facet.value === value))
+            .map(value => ({ value, count: 0 }))
+    ];
+
+    const moods = countValues(entries
+        .filter(entry => matchesFilters(entry, filters, 'moods'))
+        .map(entry => entry.mood)
+        .filter(Boolean));
+    const tags = countValues(applyFilters(entries, filters).flatMap(entry => unique(entry.tags)));
+
+    return {
+        moods: withSelected(moods, filters.moods),
+        tags: withSelected(tags, filters.tags)
+    };
+};
+
+export {
+    EMPTY_FILTERS,
+    readFiltersFromUrl,
+    writeFiltersToUrl,
+    countActiveFilters,
+    passesFilters,
+    applyFilters,
+    countFacets
+};
@@ -0,0 +1,135 @@
+/**
+ * Entry Templates Module
+ * Templates new entries can start from: a title pattern, content sections
+ * with guiding prompts, a default mood and default tags. The built-in
+ * templates are defined here; the user's own are kept in their preferences
+ * (see preferencesService.js).
+ *
+ * Title patterns may contain placeholders, filled in from the entry's day:
+ * - {date}     the day as YYYY-MM-DD
+ * - {weekday}  the name of the day, such as Monday
+ * - {month}    the name of the month, such as January
+ * - {year}     the year, such as 2026
+ * Unknown placeholders are kept as written.
+ */
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const TEMPLATE_PLACEHOLDERS = ['{date}', '{weekday}', '{month}', '{year}'];
+
+const BUILT_IN_TEMPLATES = Object.freeze([
+    {
+        id: 'builtin:gratitude',
+        name: 'Gratitude log',
+        builtIn: true,
+        titlePattern: 'Gratitude {date}',
+        content: [
+            '## Three things I am grateful for',
+            '',
+            '1. ',
+            '2. ',
+            '3. ',
+            '',
+            '## Why they mattered',
+            '',
+            '',
+            '## Someone I want to thank',
+            ''
+        ].join('\n'),
+        mood: 'grateful',
+        tags: ['gratitude']
+    },
+    {
+        id: 'builtin:standup',
+        name: 'Daily standup',
+        builtIn: true,
+        titlePattern: 'Standup {weekday} {date}',
+        content: [
+            '## What I did yesterday',
+            '',
+            '- ',
+            '',
+            '## What I will do today',
+            '',
+            '- ',
+            '',
+            '## What is blocking me',
+            '',
+            '- '
+        ].join('\n'),
+        mood: '',
+        tags: ['standup', 'work']
+    },
+    {
+        id: 'builtin:weekly-review',
+        name: 'Weekly review',
+        builtIn: true,
+        titlePattern: 'Weekly review {date}',
+        content: [
+            '## What went well this week',
+            '',
+            '- ',
+            '',
+            '## What was hard',
+            '',
+            '- ',
+            '',
+            '## What I learned',
+            '',
+            '- ',
+            '',
+            '## Focus for next week',
+            '',
+            '- '
+        ].join('\n'),
+        mood: '',
+        tags: ['weekly-review']
+    }
+].map(template => Object.freeze({ ...template, tags: Object.freeze(template.tags) })));
+
+/**
+ * PUBLIC_INTERFACE
+ * Fill in the placeholders of a title pattern.
+ * @param {string} pattern - The title pattern, such as 'Daily review {date}'
+ * @param {string} day - The entry's day as YYYY-MM-DD
+ * @returns {string} - The title
+ */
+const expandTitlePattern = (pattern, day) => {
+    if (!pattern) return '';
+    if (!DAY_PATTERN.test(day)) return pattern;
+
+    // Noon UTC, so the names are those of the day itself in every time zone
+    const date = new Date(`${day}T12:00:00Z`);
+    const values = {
+        date: day,
+        weekday: date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }),
+        month: date.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' }),
+        year: day.slice(0, 4)
+    };
+    return pattern.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        (Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder));
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Get the fields a new entry starts with when it is written from a template.
+ * @param {Object} template - A built-in template or one of the user's own
+ * @param {string} day - The entry's day as YYYY-MM-DD
+ * @returns {Object} - The title, content, entryDate, mood and tags of the new entry
+ */
+const createEntryFromTemplate = (template, day) => ({
+    title: expandTitlePattern(template.titlePattern, day),
+    content: template.content || '',
+    entryDate: { date: day, time: null, timeZone: null },
+    mood: template.mood || '',
+    tags: [...(template.tags || [])]
+});
+
+export {
+    BUILT_IN_TEMPLATES,
+    TEMPLATE_PLACEHOLDERS,
+    expandTitlePattern,
+    createEntryFromTemplate
+};
@@ -0,0 +1,51 @@
+/**
+ * List Window Module
+ * Arithmetic of windowed lists: which rows of equal height are in or near the
+ * viewport, and where a row has to be scrolled to become visible. Only those
+ * rows are rendered, so long lists stay fast.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * Get the rows to render for a scroll position.
+ * @param {Object} params - The list's geometry
+ * @param {number} params.scrollTop - Pixels scrolled from the top of the list
+ * @param {number} params.viewportHeight - Visible height of the list in pixels
+ * @param {number} params.rowHeight - Height of every row in pixels
+ * @param {number} params.rowCount - Number of rows
+ * @param {number} [params.overscan=5] - Extra rows rendered above and below the viewport
+ * @returns {{start: number, end: number}} - Index of the first row to render and one past the last
+ */
+const getWindowRange = ({ scrollTop, viewportHeight, rowHeight, rowCount, overscan = 5 }) => {
+    if (rowCount === 0 || rowHeight <= 0) return { start: 0, end: 0 };
+
+    const firstVisible = Math.floor(Math.max(0, scrollTop) / rowHeight);
+    const lastVisible = Math.ceil((Math.max(0, scrollTop) + Math.max(0, viewportHeight)) / rowHeight);
+    return {
+        start: Math.min(rowCount, Math.max(0, firstVisible - overscan)),
+        end: Math.min(rowCount, lastVisible + overscan)
+    };
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Get the scroll position that brings a row into view, moving as little as
+ * possible.
+ * @param {Object} params - The list's geometry and the row
+ * @param {number} params.index - Index of the row
+ * @param {number} params.scrollTop - Pixels scrolled from the top of the list
+ * @param {number} params.viewportHeight - Visible height of the list in pixels
+ * @param {number} params.rowHeight - Height of every row in pixels
+ * @returns {number} - The new scroll position; scrollTop when the row is already in view
+ */
+const getScrollTopForRow = ({ index, scrollTop, viewportHeight, rowHeight }) => {
+    const rowTop = index * rowHeight;
+    if (rowTop < scrollTop) return rowTop;
+    if (rowTop + rowHeight > scrollTop + viewportHeight) return Math.max(0, rowTop + rowHeight - viewportHeight);
+    return scrollTop;
+};
+
+export {
+    getWindowRange,
+    getScrollTopForRow
+};
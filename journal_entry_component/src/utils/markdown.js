@@ -0,0 +1,410 @@
+/**
+ * Markdown Module
+ * Parses the Markdown of entry content into a tree of blocks and inline
+ * nodes that MarkdownView renders as React elements. Nothing is ever turned
+ * into HTML, so entry content cannot inject markup or scripts, and links are
+ * only kept for http, https and mailto addresses.
+ *
+ * Supported syntax:
+ * - # Heading ... ###### Heading
+ * - paragraphs; a single line break is kept as a line break
+ * - - item, * item, + item          bulleted lists
+ * - 1. item                         numbered lists
+ * - > quote                         block quotes, which may hold any other block
+ * - ``` fenced code ```             code blocks
+ * - ---                             horizontal rules
+ * - **strong**, __strong__, *emphasis*, _emphasis_, `code`, [label](https://...)
+ * - \* escapes a punctuation character
+ *
+ * The toolbar helpers at the end apply these formats to a selection of text.
+ */
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+const FENCE_PATTERN = /^\s*```/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s*>\s?/;
+const BULLET_PATTERN = /^\s*[-*+]\s+/;
+const NUMBER_PATTERN = /^\s*(\d{1,9})[.)]\s+/;
+
+const ESCAPABLE = '\\`*_{}[]()#+-.!>';
+
+// Longest link label, so a paragraph full of [ does not make every label a candidate
+const MAX_LABEL_LENGTH = 1000;
+
+/**
+ * @typedef {Object} MarkdownInline
+ * @property {'text'|'strong'|'emphasis'|'code'|'link'|'break'} type - Kind of node
+ * @property {string} [value] - For 'text' and 'code': the text
+ * @property {string} [href] - For 'link': the address, always http, https or mailto
+ * @property {Array<MarkdownInline>} [children] - For 'strong', 'emphasis' and 'link': the content
+ */
+
+/**
+ * @typedef {Object} MarkdownBlock
+ * @property {'heading'|'paragraph'|'list'|'quote'|'code'|'rule'} type - Kind of block
+ * @property {number} [level] - For 'heading': 1 to 6
+ * @property {boolean} [ordered] - For 'list': whether the items are numbered
+ * @property {number} [start] - For ordered lists: number of the first item
+ * @property {Array<Array<MarkdownInline>>} [items] - For 'list': the content of each item
+ * @property {Array<MarkdownInline>} [children] - For 'heading' and 'paragraph': the content
+ * @property {Array<MarkdownBlock>} [blocks] - For 'quote': the quoted blocks
+ * @property {string} [value] - For 'code': the code
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * Check whether a link address is safe to open: http, https or mailto.
+ * @param {string} href - The address
+ * @returns {boolean} - True if the address may be linked
+ */
+const isSafeUrl = (href) => SAFE_URL_PATTERN.test((href || '').trim());
+
+/**
+ * Add text to a list of inline nodes, joining it with preceding text.
+ * @private
+ */
+const pushText = (nodes, value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last && last.type === 'text') {
+        last.value += value;
+    } else {
+        nodes.push({ type: 'text', value });
+    }
+};
+
+/**
+ * Find where the link label opened by each '[' ends, allowing nested
+ * brackets, in a single pass over the text. Labels longer than
+ * MAX_LABEL_LENGTH are left out.
+ * @returns {Map<number, number>} - Position of the closing ']' by position of the '['
+ * @private
+ */
+const findLabelEnds = (text) => {
+    const ends = new Map();
+    const opened = [];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '[') {
+            opened.push(i);
+        } else if (text[i] === ']' && opened.length > 0) {
+            const start = opened.pop();
+            if (i - start <= MAX_LABEL_LENGTH) ends.set(start, i);
+        }
+    }
+    return ends;
+};
+
+/**
+ * Check whether a character is a letter or digit, so _ inside words is not emphasis.
+ * @private
+ */
+const isWordCharacter = (char) => !!char && /[\p{L}\p{N}]/u.test(char);
+
+/**
+ * Create a lookup of the closing markers in a text. Each marker is searched
+ * for once, the first time it is looked up, so a text full of markers that
+ * never close is not scanned again for every one of them. A closing _ or __
+ * must end a word.
+ * @returns {Function} - (marker, from) => position of the first closing marker at or after `from`, or -1
+ * @private
+ */
+const createClosingLookup = (text) => {
+    const positions = new Map();
+
+    return (marker, from) => {
+        if (!positions.has(marker)) {
+            const found = [];
+            for (let end = text.indexOf(marker); end !== -1; end = text.indexOf(marker, end + 1)) {
+                if (marker[0] !== '_' || !isWordCharacter(text[end + marker.length])) found.push(end);
+            }
+            positions.set(marker, found);
+        }
+
+        const found = positions.get(marker);
+        let low = 0;
+        let high = found.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (found[middle] < from) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low < found.length ? found[low] : -1;
+    };
+};
+
+/**
+ * Parse inline Markdown.
+ * @private
+ */
+const parseInline = (text) => {
+    const nodes = [];
+    const findClosing = createClosingLookup(text);
+    let labelEnds = null;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+            pushText(nodes, text[i + 1]);
+            i += 2;
+            continue;
+        }
+
+        if (char === '\n') {
+            nodes.push({ type: 'break' });
+            i++;
+            continue;
+        }
+
+        if (char === '`') {
+            const end = text.indexOf('`', i + 1);
+            if (end > i + 1) {
+                nodes.push({ type: 'code', value: text.slice(i + 1, end) });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        if (char === '[') {
+            if (!labelEnds) labelEnds = findLabelEnds(text);
+            const labelEnd = labelEnds.has(i) ? labelEnds.get(i) : -1;
+            if (labelEnd !== -1 && text[labelEnd + 1] === '(') {
+                const hrefEnd = findClosing(')', labelEnd + 2);
+                if (hrefEnd !== -1) {
+                    const href = text.slice(labelEnd + 2, hrefEnd).trim();
+                    const children = parseInline(text.slice(i + 1, labelEnd));
+                    if (isSafeUrl(href)) {
+                        nodes.push({ type: 'link', href, children });
+                    } else {
+                        // Keep the label of links that may not be opened, such as javascript: ones
+                        children.forEach(child => (child.type === 'text' ? pushText(nodes, child.value) : nodes.push(child)));
+                    }
+                    i = hrefEnd + 1;
+                    continue;
+                }
+            }
+        }
+
+        if (char === '*' || char === '_') {
+            const double = text[i + 1] === char;
+            const marker = double ? char + char : char;
+            const opensWord = char === '*' || !isWordCharacter(text[i - 1]);
+            const contentStart = i + marker.length;
+            const end = findClosing(marker, contentStart);
+            if (opensWord && end > contentStart && !/\s/.test(text[contentStart]) && !/\s/.test(text[end - 1])) {
+                nodes.push({
+                    type: double ? 'strong' : 'emphasis',
+                    children: parseInline(text.slice(contentStart, end))
+                });
+                i = end + marker.length;
+                continue;
+            }
+            pushText(nodes, marker);
+            i += marker.length;
+            continue;
+        }
+
+        pushText(nodes, char);
+        i++;
+    }
+
+    return nodes;
+};
+
+/**
+ * Check whether a line starts a block other than a paragraph.
+ * @private
+ */
+const startsBlock = (line) =>
+    FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) || BULLET_PATTERN.test(line) || NUMBER_PATTERN.test(line);
+
+/**
+ * Parse the lines of a list starting at `start`.
+ * @private
+ */
+const parseList = (lines, start) => {
+    const ordered = !BULLET_PATTERN.test(lines[start]);
+    const itemPattern = ordered ? NUMBER_PATTERN : BULLET_PATTERN;
+    const items = [];
+    let i = start;
+
+    while (i < lines.length && itemPattern.test(lines[i]) && !RULE_PATTERN.test(lines[i])) {
+        const itemLines = [lines[i].replace(itemPattern, '')];
+        i++;
+        // Lines that do not start a block continue the item
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+            itemLines.push(lines[i].trim());
+            i++;
+        }
+        items.push(parseInline(itemLines.join('\n')));
+    }
+
+    const block = { type: 'list', ordered, items };
+    if (ordered) block.start = parseInt(lines[start].match(NUMBER_PATTERN)[1], 10);
+    return { block, next: i };
+};
+
+/**
+ * Parse lines of Markdown into blocks.
+ * @private
+ */
+const parseBlocks = (lines) => {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+        } else if (FENCE_PATTERN.test(line)) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !FENCE_PATTERN.test(lines[i])) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'code', value: codeLines.join('\n') });
+            i++;
+        } else if (HEADING_PATTERN.test(line)) {
+            const [, hashes, heading] = line.match(HEADING_PATTERN);
+            blocks.push({ type: 'heading', level: hashes.length, children: parseInline(heading) });
+            i++;
+        } else if (RULE_PATTERN.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+        } else if (QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+                quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+                i++;
+            }
+            blocks.push({ type: 'quote', blocks: parseBlocks(quoted) });
+        } else if (BULLET_PATTERN.test(line) || NUMBER_PATTERN.test(line)) {
+            const { block, next } = parseList(lines, i);
+            blocks.push(block);
+            i = next;
+        } else {
+            const paragraph = [line.trim()];
+            i++;
+            while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+        }
+    }
+
+    return blocks;
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Parse Markdown text into blocks.
+ * @param {string} text - The Markdown
+ * @returns {Array<MarkdownBlock>} - The blocks in reading order
+ */
+const parseMarkdown = (text) => parseBlocks((text || '').replace(/\r\n?/g, '\n').split('\n'));
+
+/**
+ * @typedef {Object} TextEdit
+ * @property {string} text - The whole text after the edit
+ * @property {number} selectionStart - Start of the selection after the edit
+ * @property {number} selectionEnd - End of the selection after the edit
+ */
+
+// Markers put around the selection by the inline formats
+const INLINE_MARKERS = {
+    bold: ['**', '**'],
+    italic: ['_', '_'],
+    code: ['`', '`'],
+    link: ['[', '](https://)']
+};
+
+// Prefixes put before every selected line by the line formats
+const LINE_PREFIXES = {
+    heading: () => '## ',
+    bulletList: () => '- ',
+    numberedList: (index) => `${index + 1}. `,
+    quote: () => '> '
+};
+
+const LINE_PREFIX_PATTERNS = {
+    heading: /^#{1,6}\s+/,
+    bulletList: BULLET_PATTERN,
+    numberedList: NUMBER_PATTERN,
+    quote: QUOTE_PATTERN
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Apply a toolbar format to the selected text. Inline formats wrap the
+ * selection in markers, or remove them when it is wrapped already; line
+ * formats add or remove a prefix on every selected line.
+ * @param {string} text - The whole text
+ * @param {number} selectionStart - Start of the selection
+ * @param {number} selectionEnd - End of the selection
+ * @param {'bold'|'italic'|'code'|'link'|'heading'|'bulletList'|'numberedList'|'quote'} format - The format
+ * @returns {TextEdit} - The edited text and the selection to restore
+ */
+const applyMarkdownFormat = (text, selectionStart, selectionEnd, format) => {
+    if (INLINE_MARKERS[format]) {
+        const [before, after] = INLINE_MARKERS[format];
+        const selected = text.slice(selectionStart, selectionEnd);
+        const isWrapped = format !== 'link' &&
+            text.slice(selectionStart - before.length, selectionStart) === before &&
+            text.slice(selectionEnd, selectionEnd + after.length) === after;
+
+        if (isWrapped) {
+            return {
+                text: text.slice(0, selectionStart - before.length) + selected + text.slice(selectionEnd + after.length),
+                selectionStart: selectionStart - before.length,
+                selectionEnd: selectionEnd - before.length
+            };
+        }
+        const edited = text.slice(0, selectionStart) + before + selected + after + text.slice(selectionEnd);
+        // Select the placeholder address of a new link, so it can be typed over
+        if (format === 'link') {
+            const hrefStart = selectionStart + before.length + selected.length + 2;
+            return { text: edited, selectionStart: hrefStart, selectionEnd: hrefStart + 'https://'.length };
+        }
+        return {
+            text: edited,
+            selectionStart: selectionStart + before.length,
+            selectionEnd: selectionEnd + before.length
+        };
+    }
+
+    const lineStart = text.lastIndexOf('\n', selectionStart - 1) + 1;
+    const nextBreak = text.indexOf('\n', Math.max(selectionEnd - (selectionEnd > selectionStart ? 1 : 0), selectionStart));
+    const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+    const lines = text.slice(lineStart, lineEnd).split('\n');
+    const pattern = LINE_PREFIX_PATTERNS[format];
+
+    const remove = lines.every(line => pattern.test(line));
+    const edited = remove
+        ? lines.map(line => line.replace(pattern, ''))
+        : lines.map((line, index) => LINE_PREFIXES[format](index) + line.replace(/^\s+/, ''));
+    const block = edited.join('\n');
+
+    return {
+        text: text.slice(0, lineStart) + block + text.slice(lineEnd),
+        selectionStart: lineStart,
+        selectionEnd: lineStart + block.length
+    };
+};
+
+export {
+    isSafeUrl,
+    parseMarkdown,
+    applyMarkdownFormat
+};
@@ -0,0 +1,201 @@
+/**
+ * Search Query Module
+ * Parses the journal search syntax into a filter tree that journalService
+ * evaluates against entries.
+ *
+ * Syntax (all terms must match):
+ * - word              title, content, mood or a tag contains the word
+ * - "exact phrase"    title or content contains the phrase
+ * - tag:work          the entry has the tag
+ * - mood:anxious      the entry has the mood
+ * - title:meeting     the title contains the word (quote values with spaces)
+ * - content:word      the content contains the word
+ * - after:2026-01-01  the entry date is on or after the day
+ * - before:2026-03-01 the entry date is before the day
+ * - -term             the term must not match; works with any of the above
+ */
+
+const FIELD_ALIASES = {
+    tag: 'tag',
+    tags: 'tag',
+    mood: 'mood',
+    title: 'title',
+    content: 'content',
+    after: 'after',
+    before: 'before'
+};
+
+const DATE_FIELDS = ['after', 'before'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} SearchNode
+ * @property {'and'|'not'|'text'|'phrase'|'field'|'date'} type - Kind of node
+ * @property {Array<SearchNode>} [clauses] - For 'and': clauses that must all match
+ * @property {SearchNode} [clause] - For 'not': the clause that must not match
+ * @property {string} [field] - For 'field': tag, mood, title or content; for 'date': after or before
+ * @property {string} [value] - The text, phrase or field value, or the YYYY-MM-DD day for 'date'
+ */
+
+/**
+ * @typedef {Object} SearchQueryError
+ * @property {string} message - What is wrong with the query
+ * @property {number} position - Index in the query where the problem starts
+ */
+
+/**
+ * Error raised while parsing, carrying where in the query it happened.
+ * @private
+ */
+class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.position = position;
+    }
+}
+
+/**
+ * Check whether a YYYY-MM-DD string is a day that exists.
+ * @private
+ */
+const isValidDay = (value) => {
+    if (!DATE_PATTERN.test(value)) return false;
+    const day = new Date(`${value}T00:00:00Z`);
+    return !isNaN(day.getTime()) && day.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Read a double-quoted string starting at the opening quote.
+ * @private
+ * @returns {{value: string, end: number}} The unquoted text and the index after the closing quote
+ * @throws {QuerySyntaxError} When the quote is never closed
+ */
+const readQuoted = (query, start) => {
+    const close = query.indexOf('"', start + 1);
+    if (close === -1) {
+        throw new QuerySyntaxError('Missing closing quote', start);
+    }
+    return { value: query.slice(start + 1, close), end: close + 1 };
+};
+
+/**
+ * Read one term, without a leading minus, starting at the given index.
+ * @private
+ * @returns {{node: SearchNode, end: number}} The term and the index after it
+ * @throws {QuerySyntaxError} When the term is malformed
+ */
+const readTerm = (query, start) => {
+    if (query[start] === '"') {
+        const { value, end } = readQuoted(query, start);
+        if (!value.trim()) {
+            throw new QuerySyntaxError('Empty phrase', start);
+        }
+        return { node: { type: 'phrase', value }, end };
+    }
+
+    let end = start;
+    while (end < query.length && !/\s/.test(query[end]) && query[end] !== '"') end++;
+    const word = query.slice(start, end);
+
+    const fieldMatch = /^([a-z]+):(.*)$/i.exec(word);
+    if (!fieldMatch) {
+        return { node: { type: 'text', value: word }, end };
+    }
+
+    const field = FIELD_ALIASES[fieldMatch[1].toLowerCase()];
+    if (!field) {
+        throw new QuerySyntaxError(`Unknown filter "${fieldMatch[1]}:"`, start);
+    }
+
+    // The value follows the colon, either as a word or a quoted string
+    let value = fieldMatch[2];
+    if (!value && query[end] === '"') {
+        const quoted = readQuoted(query, end);
+        value = quoted.value;
+        end = quoted.end;
+    }
+    if (!value.trim()) {
+        throw new QuerySyntaxError(`Missing value after "${fieldMatch[1]}:"`, start);
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+        if (!isValidDay(value)) {
+            throw new QuerySyntaxError(`"${value}" is not a date; use YYYY-MM-DD`, start + fieldMatch[1].length + 1);
+        }
+        return { node: { type: 'date', field, value }, end };
+    }
+    return { node: { type: 'field', field, value }, end };
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Parse a search query into a filter tree.
+ * @param {string} query - The query typed by the user
+ * @returns {{ast: SearchNode|null, error: SearchQueryError|null}} - The tree, an 'and' node
+ * that is empty for a blank query, or null with the first error found
+ */
+const parseSearchQuery = (query) => {
+    const text = query || '';
+    const clauses = [];
+
+    try {
+        let index = 0;
+        while (index < text.length) {
+            if (/\s/.test(text[index])) {
+                index++;
+                continue;
+            }
+
+            const negated = text[index] === '-';
+            const termStart = negated ? index + 1 : index;
+            if (negated && (termStart >= text.length || /\s/.test(text[termStart]))) {
+                throw new QuerySyntaxError('Nothing to exclude after "-"', index);
+            }
+
+            const { node, end } = readTerm(text, termStart);
+            clauses.push(negated ? { type: 'not', clause: node } : node);
+            index = end;
+        }
+    } catch (error) {
+        if (!(error instanceof QuerySyntaxError)) throw error;
+        return { ast: null, error: { message: error.message, position: error.position } };
+    }
+
+    return { ast: { type: 'and', clauses }, error: null };
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Check whether a filter tree has no terms, so it matches every entry.
+ * @param {SearchNode|null} ast - The filter tree
+ * @returns {boolean} - True if there is nothing to filter by
+ */
+const isEmptySearchQuery = (ast) => !ast || (ast.type === 'and' && ast.clauses.length === 0);
+
+/**
+ * PUBLIC_INTERFACE
+ * Collect the words and phrases of a filter tree that results should be
+ * highlighted with. Excluded terms and tag, mood and date filters are left out.
+ * @param {SearchNode|null} ast - The filter tree
+ * @returns {{words: Array<string>, phrases: Array<string>}} - Terms to highlight
+ */
+const getHighlightTerms = (ast) => {
+    const terms = { words: [], phrases: [] };
+    const collect = (node) => {
+        if (!node) return;
+        if (node.type === 'and') {
+            node.clauses.forEach(collect);
+        } else if (node.type === 'text') {
+            terms.words.push(node.value);
+        } else if (node.type === 'phrase') {
+            terms.phrases.push(node.value);
+        } else if (node.type === 'field' && (node.field === 'title' || node.field === 'content')) {
+            terms.phrases.push(node.value);
+        }
+    };
+    collect(ast);
+    return terms;
+};
+
+export { parseSearchQuery, isEmptySearchQuery, getHighlightTerms };
@@ -0,0 +1,82 @@
+/**
+ * Text Diff Module
+ * Word-level diff used to show how two versions of an entry differ
+ */
+
+// Above this many token comparisons the texts are shown as fully replaced
+// instead of running the quadratic diff
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Split text into words and the whitespace between them, so joining the
+ * tokens gives back the original text.
+ * @private
+ */
+const tokenize = (text) => (text || '').match(/\s+|[^\s]+/g) || [];
+
+/**
+ * Merge consecutive parts of the same type.
+ * @private
+ */
+const mergeParts = (parts) => parts.reduce((merged, part) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === part.type) {
+        last.value += part.value;
+    } else {
+        merged.push({ ...part });
+    }
+    return merged;
+}, []);
+
+/**
+ * PUBLIC_INTERFACE
+ * Compute a word-level diff between two texts.
+ * @param {string} oldText - The original text
+ * @param {string} newText - The changed text
+ * @returns {Array<{type: 'equal'|'removed'|'added', value: string}>} - Parts in reading order;
+ * 'removed' parts only occur in oldText and 'added' parts only in newText
+ */
+const diffWords = (oldText, newText) => {
+    const oldTokens = tokenize(oldText);
+    const newTokens = tokenize(newText);
+
+    if (oldTokens.length * newTokens.length > MAX_DIFF_CELLS) {
+        return mergeParts([
+            { type: 'removed', value: oldTokens.join('') },
+            { type: 'added', value: newTokens.join('') }
+        ].filter(part => part.value));
+    }
+
+    // lengths[i][j] = longest common subsequence of oldTokens[i..] and newTokens[j..]
+    const lengths = Array.from({ length: oldTokens.length + 1 }, () =>
+        new Array(newTokens.length + 1).fill(0)
+    );
+    for (let i = oldTokens.length - 1; i >= 0; i--) {
+        for (let j = newTokens.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldTokens[i] === newTokens[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldTokens.length && j < newTokens.length) {
+        if (oldTokens[i] === newTokens[j]) {
+            parts.push({ type: 'equal', value: oldTokens[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            parts.push({ type: 'removed', value: oldTokens[i++] });
+        } else {
+            parts.push({ type: 'added', value: newTokens[j++] });
+        }
+    }
+    oldTokens.slice(i).forEach(value => parts.push({ type: 'removed', value }));
+    newTokens.slice(j).forEach(value => parts.push({ type: 'added', value }));
+
+    return mergeParts(parts);
+};
+
+export { diffWords };
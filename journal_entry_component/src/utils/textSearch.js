@@ -0,0 +1,242 @@
+/**
+ * Text Search Module
+ * Tokenization, stemming, relevance scoring and highlighting shared by the
+ * client's search index and the server's search endpoint. Kept as a CommonJS
+ * module so the API server can require it.
+ */
+
+// Characters of context shown around the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+// Query words shorter than this only match whole words, not prefixes
+const MIN_PREFIX_LENGTH = 2;
+
+// How much a word counts in each field of an entry, relative to the content
+const FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    mood: 2,
+    content: 1
+};
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Lowercase a word and strip accents, so "Café" and "cafe" are the same term.
+ * @private
+ */
+const normalize = (word) => word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Check whether a word ends in a doubled consonant that stemming should undouble,
+ * as in "stopp" from "stopped".
+ * @private
+ */
+const endsWithDoubleConsonant = (word) => {
+    const last = word[word.length - 1];
+    return word.length > 2 && last === word[word.length - 2] && !/[aeiouylsz]/.test(last);
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Reduce an English word to its stem with a few suffix rules, so that
+ * "meetings", "meeting" and "meet" share a term. Light by design: it never
+ * strips more than a plural and one verb or adverb suffix.
+ * @param {string} word - A normalized word
+ * @returns {string} - The stem
+ */
+const stem = (word) => {
+    let result = word;
+    if (result.length <= 3 || /\d/.test(result)) return result;
+
+    // Plurals
+    if (result.endsWith('ies') && result.length > 4) {
+        result = `${result.slice(0, -3)}y`;
+    } else if (/(ss|x|z|ch|sh)es$/.test(result)) {
+        result = result.slice(0, -2);
+    } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+
+    // Verb and adverb endings, keeping at least three letters
+    const suffix = ['ing', 'ed', 'ly'].find(ending =>
+        result.endsWith(ending) && result.length - ending.length >= 3
+    );
+    if (suffix) {
+        result = result.slice(0, -suffix.length);
+        if (suffix !== 'ly' && endsWithDoubleConsonant(result)) {
+            result = result.slice(0, -1);
+        }
+    }
+    return result;
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Split text into normalized words with their positions in the text.
+ * @param {string} text - The text
+ * @returns {Array<{word: string, start: number, end: number}>} - Words in reading order
+ */
+const tokenizeWithPositions = (text) => {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        tokens.push({ word: normalize(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Split text into normalized words.
+ * @param {string} text - The text
+ * @returns {Array<string>} - Words in reading order
+ */
+const tokenize = (text) => tokenizeWithPositions(text).map(token => token.word);
+
+/**
+ * PUBLIC_INTERFACE
+ * Split the searchable fields of an entry into words, with the weight each
+ * word carries in its field.
+ * @param {Object} entry - The entry, with title, content, mood and tags
+ * @returns {Array<{word: string, weight: number}>} - Words of all fields
+ */
+const tokenizeEntry = (entry) => {
+    const fields = {
+        title: entry.title,
+        content: entry.content,
+        mood: entry.mood,
+        tags: (entry.tags || []).join(' ')
+    };
+    return Object.entries(fields).flatMap(([field, text]) =>
+        tokenize(text).map(word => ({ word, weight: FIELD_WEIGHTS[field] }))
+    );
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Score how relevant an entry is to one query word with BM25.
+ * @param {number} count - Weighted count of the word in the entry
+ * @param {number} matchingEntries - Number of entries containing the word
+ * @param {number} totalEntries - Number of entries searched
+ * @param {number} lengthRatio - Weighted length of the entry divided by the average
+ * @returns {number} - The score; higher is more relevant
+ */
+const scoreMatch = (count, matchingEntries, totalEntries, lengthRatio) => {
+    const idf = Math.log(1 + (totalEntries - matchingEntries + 0.5) / (matchingEntries + 0.5));
+    return idf * (count * (K1 + 1)) / (count + K1 * (1 - B + B * lengthRatio));
+};
+
+/**
+ * Check whether a word of the text matches one of the query words, by stem or,
+ * for longer query words, as a prefix.
+ * @private
+ */
+const matchesQueryWord = (word, queryWords) => queryWords.some(queryWord =>
+    stem(word) === stem(queryWord) ||
+    (queryWord.length >= MIN_PREFIX_LENGTH && word.startsWith(queryWord))
+);
+
+/**
+ * Find the ranges of text matched by search terms. Words match by stem or
+ * prefix; phrases match as written, ignoring case.
+ * @private
+ */
+const findMatches = (text, { words = [], phrases = [] }) => {
+    const queryWords = words.flatMap(tokenize);
+    const ranges = tokenizeWithPositions(text)
+        .filter(token => matchesQueryWord(token.word, queryWords))
+        .map(({ start, end }) => ({ start, end }));
+
+    const lowerText = (text || '').toLowerCase();
+    phrases.map(phrase => phrase.toLowerCase()).filter(Boolean).forEach(phrase => {
+        let index = lowerText.indexOf(phrase);
+        while (index !== -1) {
+            ranges.push({ start: index, end: index + phrase.length });
+            index = lowerText.indexOf(phrase, index + phrase.length);
+        }
+    });
+
+    // Sort and merge overlapping ranges
+    return ranges
+        .sort((a, b) => a.start - b.start)
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+            return merged;
+        }, []);
+};
+
+/**
+ * Split text into highlighted and plain parts.
+ * @private
+ */
+const toParts = (text, ranges) => {
+    const parts = [];
+    let position = 0;
+    ranges.forEach(({ start, end }) => {
+        if (start > position) parts.push({ value: text.slice(position, start), highlight: false });
+        parts.push({ value: text.slice(start, end), highlight: true });
+        position = end;
+    });
+    if (position < text.length) {
+        parts.push({ value: text.slice(position), highlight: false });
+    }
+    return parts;
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Mark the parts of a text that match search terms.
+ * @param {string} text - The text
+ * @param {{words: Array<string>, phrases: Array<string>}} terms - The search terms
+ * @returns {Array<{value: string, highlight: boolean}>} - Parts in reading order
+ */
+const highlightText = (text, terms) => toParts(text || '', findMatches(text, terms));
+
+/**
+ * PUBLIC_INTERFACE
+ * Cut a snippet of a text around its first match, with the matches marked.
+ * Without a match, the snippet is the start of the text.
+ * @param {string} text - The text
+ * @param {{words: Array<string>, phrases: Array<string>}} terms - The search terms
+ * @param {number} [context=SNIPPET_CONTEXT] - Characters shown before and after the first match
+ * @returns {Array<{value: string, highlight: boolean}>} - Parts in reading order, with an
+ * ellipsis where text was cut
+ */
+const buildSnippet = (text, terms, context = SNIPPET_CONTEXT) => {
+    const source = text || '';
+    const ranges = findMatches(source, terms);
+    const first = ranges[0] || { start: 0, end: 0 };
+
+    const start = Math.max(0, first.start - context);
+    const end = Math.min(source.length, Math.max(first.end + context, start + 2 * context));
+    const visible = ranges
+        .filter(range => range.start >= start && range.end <= end);
+
+    const parts = toParts(source.slice(start, end), visible.map(range => ({
+        start: range.start - start,
+        end: range.end - start
+    })));
+    if (start > 0) parts.unshift({ value: '…', highlight: false });
+    if (end < source.length) parts.push({ value: '…', highlight: false });
+    return parts;
+};
+
+module.exports = {
+    MIN_PREFIX_LENGTH,
+    stem,
+    tokenize,
+    tokenizeWithPositions,
+    tokenizeEntry,
+    scoreMatch,
+    highlightText,
+    buildSnippet
+};
@@ -9,13 +9,20 @@ const bodyParser = require('body-parser');
 const morgan = require('morgan');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const journalRoutes = require('./server/routes/journal.routes');
+const userStore = require('./server/store/userStore');
+const refreshTokenStore = require('./server/store/refreshTokenStore');
+const revocationStore = require('./server/store/revocationStore');
+const { signAccessToken, verifyAccessToken } = require('./server/auth/accessToken');
+const { verifyClient, attachSocketUser, isSocketAuthorized } = require('./server/auth/socketAuth');
+const { handleEntryMessage } = require('./server/websocket/entryMessages');
+const { registerSocket } = require('./server/websocket/connections');
+const { startTrashPurge } = require('./server/jobs/trashPurge');
 
 // Initialize express app
 const app = express();
 
 // Environment variables
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const PORT = parseInt(process.env.PORT || '3001', 10);
 
@@ -52,37 +59,26 @@ const wss = new WebSocket.Server({
     handleProtocols: (protocols, request) => {
         return protocols[0]; // Accept first protocol
     },
-    verifyClient: (info) => {
-        // Add any client verification logic here if needed
-        return true;
-    }
+    verifyClient
 });
 
 wss.on('connection', function connection(ws, req) {
     const clientIp = req.socket.remoteAddress;
-    console.log(`New client connected from ${clientIp}`);
+    if (!attachSocketUser(ws, req)) {
+        console.log(`Rejected unauthenticated client from ${clientIp}`);
+        return;
+    }
+    console.log(`New client connected from ${clientIp} as user ${ws.user.userId}`);
+    registerSocket(ws);
 
     ws.on('message', function incoming(message) {
+        if (!isSocketAuthorized(ws)) return;
+
         try {
             const parsedMessage = JSON.parse(message);
             console.log('received:', parsedMessage);
             
-            switch(parsedMessage.type) {
-                case 'SAVE_ENTRY':
-                    ws.send(JSON.stringify({
-                        type: 'ENTRY_SAVED',
-                        data: parsedMessage.data
-                    }));
-                    break;
-                case 'GET_ENTRIES':
-                    ws.send(JSON.stringify({
-                        type: 'ENTRIES_LIST',
-                        data: []
-                    }));
-                    break;
-                default:
-                    console.log('Unknown message type:', parsedMessage.type);
-            }
+            handleEntryMessage(ws, parsedMessage);
         } catch (error) {
             console.error('Error processing message:', error);
             ws.send(JSON.stringify({
@@ -116,6 +112,19 @@ const loginValidation = [
     body('password').notEmpty().withMessage('Password is required')
 ];
 
+const refreshValidation = [
+    body('refreshToken').trim().notEmpty().withMessage('Refresh token is required')
+];
+
+// Issue a short-lived access token together with a refresh token
+const issueSession = (user, refreshToken) => ({
+    token: signAccessToken(user),
+    refreshToken: refreshToken || refreshTokenStore.issueRefreshToken(user.id),
+    userId: user.id,
+    name: user.name,
+    email: user.email
+});
+
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -128,16 +137,15 @@ const authenticateToken = (req, res, next) => {
         });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Invalid or expired token'
-            });
-        }
-        req.user = user;
+    try {
+        req.user = verifyAccessToken(token);
         next();
-    });
+    } catch (err) {
+        return res.status(403).json({
+            status: 'error',
+            message: 'Invalid or expired token'
+        });
+    }
 };
 
 // Authentication routes
@@ -155,36 +163,27 @@ app.post('/api/auth/register', registerValidation, async (req, res, next) => {
 
         const { name, email, password } = req.body;
 
-        // In production, check if user already exists in database
-        // const existingUser = await User.findOne({ email });
-        // if (existingUser) throw new Error('User already exists');
-
         // Hash password
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
 
-        // In production, save user to database
-        // const user = await User.create({
-        //     name,
-        //     email,
-        //     password: hashedPassword
-        // });
-
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: 'demo-user-id', email },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-        
+        const user = userStore.createUser({
+            name,
+            email,
+            passwordHash: hashedPassword
+        });
+
+        if (!user) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'An account with this email already exists'
+            });
+        }
+
         res.status(201).json({
             status: 'success',
             message: 'Registration successful',
-            data: {
-                name,
-                email,
-                token
-            }
+            data: issueSession(user)
         });
     } catch (error) {
         next(error);
@@ -205,42 +204,94 @@ app.post('/api/auth/login', loginValidation, async (req, res, next) => {
 
         const { email, password } = req.body;
 
-        // In production, verify user credentials from database
-        // const user = await User.findOne({ email });
-        // if (!user) throw new Error('Invalid credentials');
-        // const isValidPassword = await bcrypt.compare(password, user.password);
-        // if (!isValidPassword) throw new Error('Invalid credentials');
+        const user = userStore.findUserByEmail(email);
+        const isValidPassword = user
+            ? await bcrypt.compare(password, user.passwordHash)
+            : false;
 
-        // For demo, we'll skip password verification
-        
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: 'demo-user-id', email },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        if (!isValidPassword) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid email or password'
+            });
+        }
         
         res.json({
             status: 'success',
             message: 'Login successful',
-            data: {
-                token,
-                email
-            }
+            data: issueSession(user)
         });
     } catch (error) {
         next(error);
     }
 });
 
-app.post('/api/auth/logout', authenticateToken, (req, res) => {
-    // In production, you might want to invalidate the token or add it to a blacklist
-    res.json({
-        status: 'success',
-        message: 'Logout successful'
-    });
+app.post('/api/auth/refresh', refreshValidation, (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const rotation = refreshTokenStore.rotateRefreshToken(req.body.refreshToken);
+        const user = rotation.userId && userStore.findUserById(rotation.userId);
+
+        if (!user) {
+            return res.status(401).json({
+                status: 'error',
+                message: rotation.error === 'reused'
+                    ? 'Refresh token reuse detected, please log in again'
+                    : 'Invalid or expired refresh token'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Token refreshed',
+            data: issueSession(user, rotation.refreshToken)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/auth/logout', authenticateToken, (req, res, next) => {
+    try {
+        revocationStore.revokeToken(req.user);
+        if (typeof req.body.refreshToken === 'string') {
+            refreshTokenStore.revokeRefreshToken(req.body.refreshToken);
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Logout successful'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/auth/logout-all', authenticateToken, (req, res, next) => {
+    try {
+        revocationStore.revokeAllForUser(req.user.userId);
+        refreshTokenStore.revokeAllForUser(req.user.userId);
+
+        res.json({
+            status: 'success',
+            message: 'All sessions logged out'
+        });
+    } catch (error) {
+        next(error);
+    }
 });
 
+// Journal entry routes
+app.use('/api/journal', authenticateToken, journalRoutes);
+
 app.get('/health', (req, res) => {
     res.json({ status: 'healthy' });
 });
@@ -266,6 +317,9 @@ const startServer = async () => {
             console.log(`Health check endpoint: http://localhost:${PORT}/health`);
         });
 
+        // Delete entries that outlived the trash retention period
+        startTrashPurge();
+
         // Handle server errors
         server.on('error', (error) => {
             console.error('Server error:', error);
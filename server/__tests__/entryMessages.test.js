@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-entry-messages-'));
+process.env.DATA_DIR = dataDir;
+const entryStore = require('../store/entryStore');
+const { handleEntryMessage } = require('../websocket/entryMessages');
+
+const createSocket = (userId) => ({ user: { userId }, send: jest.fn() });
+
+// The last message sent on a fake socket, parsed
+const lastReply = (ws) => JSON.parse(ws.send.mock.calls[ws.send.mock.calls.length - 1][0]);
+
+describe('entryMessages Tests', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('rejects a saved entry whose mood is not a string or whose tags are not strings', () => {
+    const ws = createSocket('user-save');
+
+    handleEntryMessage(ws, { type: 'SAVE_ENTRY', data: { title: 'Title', content: 'Content', mood: 5 } });
+    expect(lastReply(ws)).toEqual({
+      type: 'ERROR',
+      message: 'Validation failed',
+      errors: { mood: 'Mood must be a string' }
+    });
+
+    handleEntryMessage(ws, { type: 'SAVE_ENTRY', data: { title: 'Title', content: 'Content', tags: ['work', 7] } });
+    expect(lastReply(ws).errors).toEqual({ tags: 'Tags must be strings' });
+    expect(entryStore.listEntries('user-save')).toHaveLength(0);
+  });
+
+  test('rejects an update that sets tags to something other than an array', () => {
+    const ws = createSocket('user-update');
+    const entry = entryStore.createEntry({ title: 'Title', content: 'Content', tags: ['work'] }, 'user-update');
+
+    handleEntryMessage(ws, { type: 'UPDATE_ENTRY', id: entry.id, data: { tags: 'work' } });
+
+    expect(lastReply(ws).errors).toEqual({ tags: 'Tags must be an array' });
+    expect(entryStore.getEntry(entry.id).tags).toEqual(['work']);
+  });
+
+  test('does not create an entry that is already in the trash', () => {
+    const ws = createSocket('user-trash-save');
+
+    handleEntryMessage(ws, {
+      type: 'SAVE_ENTRY',
+      data: { title: 'Title', content: 'Content', deletedAt: '2026-01-05T12:00:00.000Z' }
+    });
+
+    expect(lastReply(ws)).toEqual({
+      type: 'ERROR',
+      message: 'Validation failed',
+      errors: { deletedAt: 'Use DELETE_ENTRY or the trash endpoints to delete or restore entries' }
+    });
+    expect(entryStore.listTrash('user-trash-save')).toHaveLength(0);
+  });
+
+  test('does not move an entry to the trash or back through UPDATE_ENTRY', () => {
+    const ws = createSocket('user-trash-update');
+    const entry = entryStore.createEntry({ title: 'Title', content: 'Content' }, 'user-trash-update');
+
+    handleEntryMessage(ws, {
+      type: 'UPDATE_ENTRY',
+      id: entry.id,
+      data: { title: 'Trashed', deletedAt: '2026-01-05T12:00:00.000Z' }
+    });
+
+    expect(lastReply(ws).errors).toEqual({
+      deletedAt: 'Use DELETE_ENTRY or the trash endpoints to delete or restore entries'
+    });
+    expect(entryStore.getEntry(entry.id)).toMatchObject({ title: 'Title', deletedAt: null });
+
+    entryStore.trashEntry(entry.id);
+    handleEntryMessage(ws, { type: 'UPDATE_ENTRY', id: entry.id, data: { deletedAt: null } });
+
+    expect(lastReply(ws)).toMatchObject({ type: 'ERROR', message: 'Entry not found' });
+    expect(entryStore.getEntry(entry.id).deletedAt).not.toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-entry-sync-'));
+process.env.DATA_DIR = dataDir;
+const entryStore = require('../store/entryStore');
+const { syncEntries } = require('../sync/entrySync');
+
+describe('entrySync Tests', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('rejects operations whose mood or tags have the wrong type', () => {
+    const existing = entryStore.createEntry({ title: 'Title', content: 'Content' }, 'user-sync');
+
+    const result = syncEntries('user-sync', [
+      {
+        id: 'op-create',
+        type: 'create',
+        entryId: 'entry-new',
+        data: { title: 'Title', content: 'Content', mood: { name: 'happy' } }
+      },
+      {
+        id: 'op-update',
+        type: 'update',
+        entryId: existing.id,
+        data: { tags: { work: true } },
+        baseRevision: existing.revision
+      }
+    ], null);
+
+    expect(result.applied).toEqual([]);
+    expect(result.rejected).toEqual([
+      { operationId: 'op-create', entryId: 'entry-new', errors: { mood: 'Mood must be a string' } },
+      { operationId: 'op-update', entryId: existing.id, errors: { tags: 'Tags must be an array' } }
+    ]);
+    expect(entryStore.getEntry('entry-new')).toBeNull();
+    expect(entryStore.getEntry(existing.id).tags).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JsonCollection } = require('../store/jsonStore');
+
+describe('jsonStore Tests', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-store-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('keeps records across restarts', () => {
+    new JsonCollection('notes', { dataDir }).insert({ id: 'n1', text: 'Saved' });
+
+    expect(new JsonCollection('notes', { dataDir }).findById('n1')).toEqual({ id: 'n1', text: 'Saved' });
+  });
+
+  test('moves a corrupt file aside instead of overwriting it', () => {
+    const filePath = path.join(dataDir, 'notes.json');
+    fs.writeFileSync(filePath, '[{"id": "n1", "text": "Half writ');
+
+    const notes = new JsonCollection('notes', { dataDir });
+    expect(notes.all()).toEqual([]);
+    notes.insert({ id: 'n2', text: 'New' });
+
+    const backups = fs.readdirSync(dataDir).filter(name => name.startsWith('notes.json.corrupt-'));
+    expect(backups).toHaveLength(1);
+    expect(fs.readFileSync(path.join(dataDir, backups[0]), 'utf8')).toBe('[{"id": "n1", "text": "Half writ');
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual([{ id: 'n2', text: 'New' }]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining(backups[0]));
+  });
+
+  test('moves a file that does not hold an array aside', () => {
+    fs.writeFileSync(path.join(dataDir, 'notes.json'), '{"id": "n1"}');
+
+    expect(new JsonCollection('notes', { dataDir }).all()).toEqual([]);
+    expect(fs.readdirSync(dataDir).filter(name => name.startsWith('notes.json.corrupt-'))).toHaveLength(1);
+  });
+});
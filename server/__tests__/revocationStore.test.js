@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-revocations-'));
+process.env.DATA_DIR = dataDir;
+const revocationStore = require('../store/revocationStore');
+const { signAccessToken, verifyAccessToken } = require('../auth/accessToken');
+
+// Issued-at of a JWT signed now, in whole seconds
+const issuedNow = () => Math.floor(Date.now() / 1000);
+
+const isAccepted = (token) => {
+  try {
+    verifyAccessToken(token);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+describe('revocationStore Tests', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('rejects tokens issued before logging out of all sessions', () => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-01-05T12:00:00.700Z'));
+    const aliceToken = signAccessToken({ id: 'alice', email: 'alice@example.com' });
+    const bobToken = signAccessToken({ id: 'bob', email: 'bob@example.com' });
+
+    jest.setSystemTime(new Date('2026-01-05T12:05:00.000Z'));
+    revocationStore.revokeAllForUser('alice');
+
+    expect(isAccepted(aliceToken)).toBe(false);
+    expect(isAccepted(bobToken)).toBe(true);
+  });
+
+  test('rejects a token issued earlier in the second of logging out of all sessions', () => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-01-05T13:00:00.100Z'));
+    const earlier = signAccessToken({ id: 'carol', email: 'carol@example.com' });
+
+    jest.setSystemTime(new Date('2026-01-05T13:00:00.700Z'));
+    revocationStore.revokeAllForUser('carol');
+
+    jest.setSystemTime(new Date('2026-01-05T13:00:00.900Z'));
+    const loggedInAgain = signAccessToken({ id: 'carol', email: 'carol@example.com' });
+
+    expect(jwt.decode(earlier).iat).toBe(jwt.decode(loggedInAgain).iat);
+    expect(isAccepted(earlier)).toBe(false);
+    expect(isAccepted(loggedInAgain)).toBe(true);
+  });
+
+  test('rejects tokens without a version issued up to the second of logging out of all sessions', () => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-01-05T14:00:00.900Z'));
+    revocationStore.revokeAllForUser('erin');
+
+    expect(revocationStore.isRevoked({ jti: 'same-second', userId: 'erin', iat: issuedNow() })).toBe(true);
+    expect(revocationStore.isRevoked({ jti: 'next-second', userId: 'erin', iat: issuedNow() + 1 })).toBe(false);
+  });
+
+  test('rejects a single revoked token', () => {
+    const token = { jti: 'single', userId: 'dave', iat: issuedNow(), exp: issuedNow() + 900 };
+    revocationStore.revokeToken(token);
+
+    expect(revocationStore.isRevoked(token)).toBe(true);
+    expect(revocationStore.isRevoked({ ...token, jti: 'other' })).toBe(false);
+  });
+});
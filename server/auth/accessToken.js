@@ -0,0 +1,43 @@
+/**
+ * Access token helpers shared by the HTTP middleware and the WebSocket handshake,
+ * so both apply the same signature, expiry and revocation checks.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const revocationStore = require('../store/revocationStore');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+/**
+ * Sign a short-lived access token for a user. The token carries the user's
+ * token version, so logging out of all sessions revokes it.
+ * @param {Object} user - Stored user record
+ * @returns {string} The signed JWT
+ */
+const signAccessToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, ver: revocationStore.getTokenVersion(user.id) },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Verify an access token.
+ * @param {string} token - The raw JWT
+ * @returns {Object} The decoded payload
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError} When the token is invalid,
+ * expired or revoked
+ */
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (revocationStore.isRevoked(payload)) {
+    throw new jwt.JsonWebTokenError('token revoked');
+  }
+  return payload;
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken
+};
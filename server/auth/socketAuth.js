@@ -0,0 +1,103 @@
+/**
+ * WebSocket handshake authentication shared by the API server and the
+ * standalone journal entry component server.
+ *
+ * Browsers cannot set headers on a WebSocket handshake, so the client sends its
+ * access token as the `token` query parameter. verifyClient checks it and
+ * records the outcome on the upgrade request; the connection handler then either
+ * attaches the user to the socket or closes it with one of WS_CLOSE_CODES, which
+ * tells the client whether refreshing its token is worth a try.
+ */
+
+const { verifyAccessToken } = require('./accessToken');
+const revocationStore = require('../store/revocationStore');
+
+const WS_CLOSE_CODES = {
+  TOKEN_EXPIRED: 4001,
+  UNAUTHORIZED: 4003
+};
+
+/**
+ * Read the access token from the handshake query string or Authorization header.
+ * @private
+ */
+const getHandshakeToken = (req) => {
+  const { searchParams } = new URL(req.url, 'ws://localhost');
+  if (searchParams.get('token')) return searchParams.get('token');
+
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+/**
+ * Verify the access token of a socket or its handshake.
+ * @param {string} token - The raw JWT
+ * @returns {{user: Object}|{closeCode: number, reason: string}} The user, or why to close
+ */
+const authenticate = (token) => {
+  if (!token) {
+    return { closeCode: WS_CLOSE_CODES.UNAUTHORIZED, reason: 'Access token is required' };
+  }
+
+  try {
+    return { user: verifyAccessToken(token) };
+  } catch (error) {
+    return error.name === 'TokenExpiredError'
+      ? { closeCode: WS_CLOSE_CODES.TOKEN_EXPIRED, reason: 'Access token expired' }
+      : { closeCode: WS_CLOSE_CODES.UNAUTHORIZED, reason: 'Invalid access token' };
+  }
+};
+
+/**
+ * verifyClient hook for WebSocket.Server. The upgrade is always accepted so the
+ * rejection can be reported with a WebSocket close code instead of a bare HTTP
+ * status the browser API never exposes.
+ */
+const verifyClient = (info) => {
+  info.req.auth = authenticate(getHandshakeToken(info.req));
+  return true;
+};
+
+/**
+ * Attach the authenticated user to a new socket, or close it.
+ * @param {WebSocket} ws - The new socket
+ * @param {http.IncomingMessage} req - The upgrade request checked by verifyClient
+ * @returns {boolean} True when the socket is authenticated
+ */
+const attachSocketUser = (ws, req) => {
+  const { user, closeCode, reason } = req.auth || authenticate(null);
+  if (!user) {
+    ws.close(closeCode, reason);
+    return false;
+  }
+
+  ws.user = user;
+  return true;
+};
+
+/**
+ * Check that the token a socket was opened with is still valid and not revoked
+ * before acting on one of its messages. Closes the socket when it is not.
+ * @param {WebSocket} ws - An authenticated socket
+ * @returns {boolean} True when the message may be processed
+ */
+const isSocketAuthorized = (ws) => {
+  if (!ws.user) return false;
+
+  if (ws.user.exp * 1000 <= Date.now()) {
+    ws.close(WS_CLOSE_CODES.TOKEN_EXPIRED, 'Access token expired');
+    return false;
+  }
+  if (revocationStore.isRevoked(ws.user)) {
+    ws.close(WS_CLOSE_CODES.UNAUTHORIZED, 'Access token revoked');
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  WS_CLOSE_CODES,
+  verifyClient,
+  attachSocketUser,
+  isSocketAuthorized
+};
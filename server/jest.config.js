@@ -0,0 +1,9 @@
+/**
+ * Jest configuration of the API server's tests, which run in Node rather
+ * than in the browser environment of the React app's tests.
+ */
+module.exports = {
+  rootDir: __dirname,
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/**/__tests__/**/*.test.js']
+};
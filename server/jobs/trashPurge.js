@@ -0,0 +1,48 @@
+/**
+ * Periodically deletes entries that have been in the trash longer than
+ * TRASH_RETENTION_DAYS (default 30) and tells the owners' devices.
+ */
+
+const entryStore = require('../store/entryStore');
+const { broadcastToUser } = require('../websocket/connections');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const getRetentionMs = () => Number(process.env.TRASH_RETENTION_DAYS || 30) * DAY_MS;
+
+/**
+ * Purge expired trash once.
+ * @returns {number} The number of purged entries
+ */
+const purgeTrash = () => {
+  const purged = entryStore.purgeExpiredTrash(getRetentionMs());
+  purged.forEach(({ id, userId }) => broadcastToUser(userId, { type: 'ENTRY_PURGED', id }));
+  return purged.length;
+};
+
+/**
+ * Purge expired trash now and then every hour. The timer does not keep the
+ * process alive.
+ * @returns {NodeJS.Timeout} The interval, for clearInterval
+ */
+const startTrashPurge = () => {
+  const run = () => {
+    try {
+      const count = purgeTrash();
+      if (count > 0) console.log(`Purged ${count} expired trash entries`);
+    } catch (error) {
+      console.error('Trash purge failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeTrash,
+  startTrashPurge
+};
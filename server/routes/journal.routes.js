@@ -0,0 +1,335 @@
+/**
+ * Journal entry routes, mounted under /api/journal behind authenticateToken.
+ * Paths mirror API_CONFIG.ENDPOINTS.JOURNAL on the client. Changes are pushed
+ * to the user's open WebSocket connections so other devices update live.
+ *
+ * Deleting an entry moves it to the trash; /trash lists, restores and
+ * permanently deletes trashed entries. Trashed entries are purged
+ * automatically after TRASH_RETENTION_DAYS (see jobs/trashPurge.js).
+ *
+ * /search returns ranked, cursor-paginated results so clients never need the
+ * whole journal to search it (see search/entrySearch.js).
+ *
+ * /sync also carries the user's preferences, such as saved searches and entry
+ * templates: a client sends its copy when it changed, and always gets back the
+ * merged preferences (see store/preferenceStore.js).
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const entryStore = require('../store/entryStore');
+const { broadcastToUser } = require('../websocket/connections');
+const { syncEntries } = require('../sync/entrySync');
+const { MAX_PAGE_SIZE, InvalidCursorError, searchEntries } = require('../search/entrySearch');
+const preferenceStore = require('../store/preferenceStore');
+const {
+  validateEntryDate,
+  validateMood,
+  validateTags
+} = require('../../journal_entry_component/src/models/entryValidation');
+const { validatePreferences } = require('../../journal_entry_component/src/models/userPreferences');
+
+const { toPublicEntry } = entryStore;
+
+const router = express.Router();
+
+/**
+ * Turn one of the shared entry field rules, which return an error message or
+ * null, into an express-validator custom validator.
+ * @private
+ */
+const sharedRule = (validate) => (value) => {
+  const error = validate(value);
+  if (error) throw new Error(error);
+  return true;
+};
+
+// Validation middleware; field types follow the rules shared with the WebSocket and sync handlers
+const entryFieldValidation = [
+  body('mood').optional().custom(sharedRule(validateMood)),
+  body('tags').optional().custom(sharedRule(validateTags)),
+  body('entryDate').optional({ values: 'null' }).custom(sharedRule(validateEntryDate)),
+  body('deletedAt').not().exists().withMessage('Use the trash endpoints to delete or restore entries')
+];
+
+const createEntryValidation = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('content').trim().notEmpty().withMessage('Content is required'),
+  body('createdAt').optional().isISO8601().withMessage('createdAt must be a valid date'),
+  ...entryFieldValidation
+];
+
+const updateEntryValidation = [
+  param('id').notEmpty().withMessage('Entry ID is required'),
+  body('title').optional().trim().notEmpty().withMessage('Title is required'),
+  body('content').optional().trim().notEmpty().withMessage('Content is required'),
+  body('createdAt').not().exists().withMessage('createdAt cannot be changed; set entryDate instead'),
+  ...entryFieldValidation
+];
+
+const syncValidation = [
+  body('since').optional({ values: 'null' }).isISO8601().withMessage('since must be a valid date'),
+  body('operations').isArray().withMessage('Operations must be an array'),
+  body('operations.*.id').isString().notEmpty().withMessage('Operation ID is required'),
+  body('operations.*.entryId').isString().notEmpty().withMessage('Operation entry ID is required'),
+  body('operations.*.type').isIn(['create', 'update', 'delete']).withMessage('Unknown operation type'),
+  body('preferences').optional().custom(value => {
+    const error = validatePreferences(value);
+    if (error) throw new Error(error);
+    return true;
+  })
+];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// tag and phrase may be repeated; single values arrive as strings
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const searchValidation = [
+  query('q').optional().isString().withMessage('q must be a string'),
+  query('phrase').optional().customSanitizer(toList),
+  query('phrase.*').isString().trim().notEmpty().withMessage('Phrases must not be empty'),
+  query('tag').optional().customSanitizer(toList),
+  query('tag.*').isString().trim().notEmpty().withMessage('Tags must not be empty'),
+  query('mood').optional().isString().withMessage('Mood must be a string'),
+  query(['after', 'before']).optional()
+    .matches(DAY_PATTERN).withMessage('Dates must be YYYY-MM-DD')
+    .bail()
+    .isISO8601({ strict: true }).withMessage('Dates must be real days'),
+  query('cursor').optional().isString().withMessage('cursor must be a string'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`)
+    .toInt()
+];
+
+/**
+ * Reject the request with the standard 400 envelope when validation failed.
+ * @private
+ */
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const entryNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Entry not found'
+});
+
+// Resolve :id to an entry owned by the caller. Entries belonging to other
+// users are reported as missing so their existence is not disclosed.
+router.param('id', (req, res, next, id) => {
+  const entry = entryStore.getEntry(id);
+  if (!entryStore.isOwnedBy(entry, req.user.userId)) return entryNotFound(res);
+
+  req.entry = entry;
+  next();
+});
+
+// /entry/:id only serves entries outside the trash, /trash/:id only trashed ones
+const requireActiveEntry = (req, res, next) => (req.entry.deletedAt ? entryNotFound(res) : next());
+const requireTrashedEntry = (req, res, next) => (req.entry.deletedAt ? next() : entryNotFound(res));
+
+router.get('/entries', (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      message: 'Entries retrieved',
+      data: entryStore.listEntries(req.user.userId).map(toPublicEntry)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/entries', createEntryValidation, rejectInvalid, (req, res, next) => {
+  try {
+    if (req.body.id && entryStore.getEntry(req.body.id)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'An entry with this ID already exists'
+      });
+    }
+
+    const entry = toPublicEntry(entryStore.createEntry(req.body, req.user.userId));
+    res.status(201).json({
+      status: 'success',
+      message: 'Entry created',
+      data: entry
+    });
+    broadcastToUser(req.user.userId, { type: 'ENTRY_CREATED', data: entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/search', searchValidation, rejectInvalid, (req, res, next) => {
+  try {
+    const { q, phrase, tag, mood, after, before, cursor, limit } = req.query;
+    res.json({
+      status: 'success',
+      message: 'Search results',
+      data: searchEntries(req.user.userId, {
+        q,
+        phrases: phrase,
+        tags: tag,
+        mood,
+        after,
+        before,
+        cursor,
+        limit
+      })
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+router.get('/entry/:id', requireActiveEntry, (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      message: 'Entry retrieved',
+      data: toPublicEntry(req.entry)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/entry/:id', requireActiveEntry, updateEntryValidation, rejectInvalid, (req, res, next) => {
+  try {
+    const entry = toPublicEntry(entryStore.updateEntry(req.entry.id, req.body));
+
+    res.json({
+      status: 'success',
+      message: 'Entry updated',
+      data: entry
+    });
+    broadcastToUser(req.user.userId, { type: 'ENTRY_UPDATED', data: entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/entry/:id', requireActiveEntry, (req, res, next) => {
+  try {
+    const entry = toPublicEntry(entryStore.trashEntry(req.entry.id));
+
+    res.json({
+      status: 'success',
+      message: 'Entry moved to trash',
+      data: entry
+    });
+    broadcastToUser(req.user.userId, { type: 'ENTRY_DELETED', id: entry.id, data: entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/trash', (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      message: 'Trash retrieved',
+      data: entryStore.listTrash(req.user.userId).map(toPublicEntry)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/trash/:id/restore', requireTrashedEntry, (req, res, next) => {
+  try {
+    const entry = toPublicEntry(entryStore.restoreEntry(req.entry.id));
+
+    res.json({
+      status: 'success',
+      message: 'Entry restored',
+      data: entry
+    });
+    broadcastToUser(req.user.userId, { type: 'ENTRY_UPDATED', data: entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/trash/:id', requireTrashedEntry, (req, res, next) => {
+  try {
+    entryStore.deleteEntry(req.entry.id);
+
+    res.json({
+      status: 'success',
+      message: 'Entry permanently deleted'
+    });
+    broadcastToUser(req.user.userId, { type: 'ENTRY_PURGED', id: req.entry.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/trash', (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const trashed = entryStore.listTrash(userId);
+    trashed.forEach(entry => entryStore.deleteEntry(entry.id));
+
+    res.json({
+      status: 'success',
+      message: 'Trash emptied',
+      data: { count: trashed.length }
+    });
+    trashed.forEach(entry => broadcastToUser(userId, { type: 'ENTRY_PURGED', id: entry.id }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Offline-first sync: push pending operations, pull changes since the last sync
+router.post('/sync', syncValidation, rejectInvalid, (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const result = syncEntries(userId, req.body.operations, req.body.since || null);
+    const { preferences } = req.body;
+
+    res.json({
+      status: 'success',
+      message: result.conflicts.length > 0 ? 'Sync completed with conflicts' : 'Sync completed',
+      data: {
+        ...result,
+        preferences: preferences
+          ? preferenceStore.mergeUserPreferences(userId, {
+            settings: preferences.settings,
+            savedSearches: preferences.savedSearches,
+            templates: preferences.templates || {}
+          })
+          : preferenceStore.getPreferences(userId)
+      }
+    });
+
+    result.applied.forEach(({ entryId, entry, created, deleted }) => {
+      if (deleted) {
+        broadcastToUser(userId, { type: 'ENTRY_PURGED', id: entryId });
+      } else if (entry) {
+        broadcastToUser(userId, { type: created ? 'ENTRY_CREATED' : 'ENTRY_UPDATED', data: entry });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
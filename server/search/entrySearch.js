@@ -0,0 +1,208 @@
+/**
+ * Full-text search over a user's entries for GET /api/journal/search.
+ *
+ * Words match by stem or as the prefix of a word in the entry, and are ranked
+ * with BM25 using the same tokenizer, stemmer and field weights as the client's
+ * search index (journal_entry_component/src/utils/textSearch.js), so results
+ * rank the same on both sides. Phrases, tags, mood and the entry date range
+ * narrow the results down without affecting their rank.
+ *
+ * Results are ordered by score, then entry date, newest first, then id, and
+ * paginated with an opaque cursor naming the last result of the previous page.
+ * Paging is best-effort: each page is ranked again, and scores depend on every
+ * entry of the user, so when entries change between pages, results can move
+ * past the cursor and be skipped, or move back before it and be repeated.
+ * Start from the first page again to see a consistent list.
+ */
+
+const entryStore = require('../store/entryStore');
+const {
+  MIN_PREFIX_LENGTH,
+  stem,
+  tokenize,
+  tokenizeEntry,
+  scoreMatch,
+  buildSnippet
+} = require('../../journal_entry_component/src/utils/textSearch');
+
+const { toPublicEntry } = entryStore;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// How much a prefix match counts, relative to a whole word or stem match
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+/**
+ * Error for a cursor that was not issued by this endpoint.
+ */
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * The day an entry is about. Entries created before entry dates existed fall
+ * back to the UTC day they were created.
+ * @private
+ */
+const getEntryDay = (entry) => (entry.entryDate ? entry.entryDate.date : entry.createdAt.slice(0, 10));
+
+/**
+ * Sort key of an entry's date and time, comparable as a string.
+ * @private
+ */
+const getDateKey = (entry) => `${getEntryDay(entry)}T${(entry.entryDate && entry.entryDate.time) || ''}`;
+
+const encodeCursor = (result) => Buffer.from(JSON.stringify({
+  score: result.score,
+  date: result.dateKey,
+  id: result.entry.id
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.score !== 'number' || typeof decoded.date !== 'string' || typeof decoded.id !== 'string') {
+      throw new InvalidCursorError();
+    }
+    return decoded;
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+};
+
+/**
+ * Order results by score, then date, newest first, then id.
+ * @private
+ */
+const compareResults = (a, b) => (
+  b.score - a.score ||
+  b.dateKey.localeCompare(a.dateKey) ||
+  a.id.localeCompare(b.id)
+);
+
+/**
+ * Weighted count of each query word in an entry, by stem or else by prefix.
+ * @private
+ * @returns {{counts: Array<number>, length: number}} Counts in query word order, and the entry's weighted length
+ */
+const countWords = (entry, queryWords) => {
+  const counts = queryWords.map(() => 0);
+  const prefixCounts = queryWords.map(() => 0);
+  let length = 0;
+
+  tokenizeEntry(entry).forEach(({ word, weight }) => {
+    length += weight;
+    const wordStem = stem(word);
+    queryWords.forEach((queryWord, i) => {
+      if (wordStem === stem(queryWord)) counts[i] += weight;
+      else if (queryWord.length >= MIN_PREFIX_LENGTH && word.startsWith(queryWord)) prefixCounts[i] += weight;
+    });
+  });
+
+  return {
+    counts: counts.map((count, i) => count || prefixCounts[i] * PREFIX_MATCH_WEIGHT),
+    length
+  };
+};
+
+/**
+ * Check the filters that do not depend on the query words.
+ * @private
+ */
+const matchesFilters = (entry, { phrases, tags, mood, after, before }) => {
+  const contains = (text, value) => (text || '').toLowerCase().includes(value.toLowerCase());
+  const equals = (text, value) => (text || '').toLowerCase() === value.toLowerCase();
+  const day = getEntryDay(entry);
+
+  return phrases.every(phrase => contains(entry.title, phrase) || contains(entry.content, phrase)) &&
+    tags.every(tag => (entry.tags || []).some(entryTag => equals(entryTag, tag))) &&
+    (!mood || equals(entry.mood, mood)) &&
+    (!after || day >= after) &&
+    (!before || day < before);
+};
+
+/**
+ * Search a user's entries outside the trash.
+ * @param {string} userId - Owner id from the access token
+ * @param {Object} [options]
+ * @param {string} [options.q] - Words that must all match
+ * @param {Array<string>} [options.phrases] - Phrases the title or content must contain
+ * @param {Array<string>} [options.tags] - Tags the entry must all have
+ * @param {string} [options.mood] - Mood the entry must have
+ * @param {string} [options.after] - First day of the entry date range, YYYY-MM-DD
+ * @param {string} [options.before] - Day after the entry date range, YYYY-MM-DD
+ * @param {string} [options.cursor] - nextCursor of the previous page; best-effort
+ * when entries changed since then (see above)
+ * @param {number} [options.limit] - Results per page
+ * @returns {{results: Array<{entry: Object, score: number, snippet: Array}>, nextCursor: string|null}}
+ * The page of results, with content snippets marking the matches
+ * @throws {InvalidCursorError} When the cursor cannot be read
+ */
+const searchEntries = (userId, {
+  q = '',
+  phrases = [],
+  tags = [],
+  mood = '',
+  after = '',
+  before = '',
+  cursor = null,
+  limit = DEFAULT_PAGE_SIZE
+} = {}) => {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const queryWords = tokenize(q);
+  const candidates = entryStore.listEntries(userId).filter(entry =>
+    matchesFilters(entry, { phrases, tags, mood, after, before })
+  );
+
+  // Weighted word counts of every candidate, for BM25
+  const measured = candidates.map(entry => ({ entry, ...countWords(entry, queryWords) }));
+  const averageLength = measured.reduce((total, { length }) => total + length, 0) / (measured.length || 1);
+  const matchingEntries = queryWords.map((word, i) => measured.filter(({ counts }) => counts[i] > 0).length);
+
+  const results = measured
+    .filter(({ counts }) => counts.every(count => count > 0))
+    .map(({ entry, counts, length }) => ({
+      entry,
+      id: entry.id,
+      dateKey: getDateKey(entry),
+      score: counts.reduce((total, count, i) => total + scoreMatch(
+        count,
+        matchingEntries[i],
+        measured.length,
+        averageLength ? length / averageLength : 1
+      ), 0)
+    }))
+    .sort(compareResults);
+
+  let start = 0;
+  if (cursor) {
+    const last = decodeCursor(cursor);
+    const position = { score: last.score, dateKey: last.date, id: last.id };
+    start = results.findIndex(result => compareResults(result, position) > 0);
+    if (start === -1) start = results.length;
+  }
+
+  const page = results.slice(start, start + pageSize);
+  const hasMore = start + pageSize < results.length;
+  const terms = { words: queryWords, phrases };
+
+  return {
+    results: page.map(result => ({
+      entry: toPublicEntry(result.entry),
+      score: result.score,
+      snippet: buildSnippet(result.entry.content, terms)
+    })),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  InvalidCursorError,
+  searchEntries
+};
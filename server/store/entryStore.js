@@ -0,0 +1,203 @@
+/**
+ * Server-side journal entry repository.
+ * Entries carry the same field set as the client JournalEntry model plus a
+ * revision number that increases with every write, which the sync engine uses
+ * to detect concurrent edits. Deleting an entry moves it to the trash by
+ * stamping `deletedAt`; entries are only removed for good when purged from the
+ * trash, and then leave a tombstone so clients that were offline learn about
+ * the deletion on their next sync.
+ */
+
+const { JsonCollection } = require('./jsonStore');
+
+const entries = new JsonCollection('entries');
+const tombstones = new JsonCollection('entryTombstones');
+
+/**
+ * Generate an id in the same format as the client JournalEntry model.
+ * @private
+ */
+const generateId = () => Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+
+/**
+ * Pick the public entry fields from a request body or stored record.
+ * @private
+ */
+const pickEntryFields = (data) => {
+  const fields = {};
+  if (data.title !== undefined) fields.title = data.title;
+  if (data.content !== undefined) fields.content = data.content;
+  if (data.entryDate !== undefined) {
+    fields.entryDate = data.entryDate
+      ? {
+        date: data.entryDate.date,
+        time: data.entryDate.time || null,
+        timeZone: data.entryDate.time ? data.entryDate.timeZone || null : null
+      }
+      : null;
+  }
+  if (data.mood !== undefined) fields.mood = data.mood;
+  if (data.tags !== undefined) fields.tags = Array.isArray(data.tags) ? [...data.tags] : [];
+  if (data.deletedAt !== undefined) {
+    fields.deletedAt = data.deletedAt ? new Date(data.deletedAt).toISOString() : null;
+  }
+  return fields;
+};
+
+/**
+ * List the entries owned by a user, leaving out the ones in the trash.
+ * @param {string} userId - Owner id from the access token
+ * @returns {Array<Object>} The user's entries
+ */
+const listEntries = (userId) => entries.find(entry => entry.userId === userId && !entry.deletedAt);
+
+/**
+ * List the entries a user moved to the trash.
+ * @param {string} userId - Owner id from the access token
+ * @returns {Array<Object>} The user's trashed entries
+ */
+const listTrash = (userId) => entries.find(entry => entry.userId === userId && !!entry.deletedAt);
+
+const getEntry = (id) => entries.findById(id);
+
+/**
+ * Check whether an entry belongs to a user.
+ * @param {Object|null} entry - Stored entry
+ * @param {string} userId - Owner id from the access token
+ * @returns {boolean} True when the user owns the entry
+ */
+const isOwnedBy = (entry, userId) => !!entry && entry.userId === userId;
+
+/**
+ * Create an entry.
+ * @param {Object} data - Entry fields (title, content, entryDate, mood, tags, optional id and createdAt)
+ * @param {string} userId - Id of the user creating the entry
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Sync operation that caused the write
+ * @returns {Object} The stored entry
+ */
+const createEntry = (data, userId, { operationId = null } = {}) => {
+  const now = new Date().toISOString();
+  return entries.insert({
+    id: data.id || generateId(),
+    title: '',
+    content: '',
+    // Null means the day the entry was created, as the client model defaults it
+    entryDate: null,
+    mood: '',
+    tags: [],
+    deletedAt: null,
+    ...pickEntryFields(data),
+    createdAt: data.createdAt ? new Date(data.createdAt).toISOString() : now,
+    updatedAt: now,
+    revision: 1,
+    userId,
+    lastOperationId: operationId
+  });
+};
+
+/**
+ * Apply a partial update to an entry, bumping updatedAt and its revision.
+ * createdAt is an audit timestamp and never changes.
+ * @param {Object} [options]
+ * @param {string} [options.operationId] - Sync operation that caused the write
+ * @returns {Object|null} The updated entry, or null when it does not exist
+ */
+const updateEntry = (id, data, { operationId = null } = {}) => {
+  const existing = entries.findById(id);
+  if (!existing) return null;
+
+  const changes = {
+    ...pickEntryFields(data),
+    updatedAt: new Date().toISOString(),
+    revision: (existing.revision || 0) + 1,
+    lastOperationId: operationId
+  };
+
+  return entries.update(id, changes);
+};
+
+/**
+ * Move an entry to the trash.
+ * @returns {Object|null} The trashed entry, or null when it does not exist
+ */
+const trashEntry = (id, options) => updateEntry(id, { deletedAt: new Date().toISOString() }, options);
+
+/**
+ * Take an entry back out of the trash.
+ * @returns {Object|null} The restored entry, or null when it does not exist
+ */
+const restoreEntry = (id, options) => updateEntry(id, { deletedAt: null }, options);
+
+/**
+ * Delete an entry for good, leaving a tombstone for clients that sync later.
+ * @returns {boolean} True when the entry existed
+ */
+const deleteEntry = (id) => {
+  const existing = entries.findById(id);
+  if (!existing) return false;
+
+  tombstones.insert({ id, userId: existing.userId, deletedAt: new Date().toISOString() });
+  return entries.remove(id);
+};
+
+/**
+ * Delete every entry that has been in the trash longer than the retention period.
+ * @param {number} retentionMs - How long trashed entries are kept
+ * @returns {Array<{id: string, userId: string}>} The purged entries
+ */
+const purgeExpiredTrash = (retentionMs) => {
+  const cutoff = Date.now() - retentionMs;
+  const expired = entries.find(entry =>
+    !!entry.deletedAt && new Date(entry.deletedAt).getTime() <= cutoff
+  );
+
+  expired.forEach(entry => deleteEntry(entry.id));
+  return expired.map(({ id, userId }) => ({ id, userId }));
+};
+
+const getTombstone = (id) => tombstones.findById(id);
+
+/**
+ * Collect a user's entry changes since a point in time. Changes made exactly at
+ * `since` are included again so none are lost at the boundary.
+ * @param {string} userId - Owner id from the access token
+ * @param {string|null} since - ISO timestamp of the previous sync, or null for everything
+ * @returns {{entries: Array<Object>, deletedIds: Array<string>}} Changed entries and deleted ids
+ */
+const listChangesSince = (userId, since) => {
+  const sinceTime = since ? new Date(since).getTime() : 0;
+  return {
+    entries: entries.find(entry =>
+      entry.userId === userId && new Date(entry.updatedAt).getTime() >= sinceTime
+    ),
+    deletedIds: tombstones
+      .find(tombstone =>
+        tombstone.userId === userId && new Date(tombstone.deletedAt).getTime() >= sinceTime
+      )
+      .map(tombstone => tombstone.id)
+  };
+};
+
+/**
+ * Strip server-only bookkeeping before an entry is sent to a client.
+ * @param {Object} entry - Stored entry
+ * @returns {Object} The entry without its owner and sync bookkeeping
+ */
+const toPublicEntry = ({ userId, lastOperationId, ...entry }) => entry;
+
+module.exports = {
+  listEntries,
+  listTrash,
+  getEntry,
+  isOwnedBy,
+  createEntry,
+  updateEntry,
+  trashEntry,
+  restoreEntry,
+  deleteEntry,
+  purgeExpiredTrash,
+  getTombstone,
+  listChangesSince,
+  toPublicEntry
+};
@@ -0,0 +1,110 @@
+/**
+ * Embedded JSON file store used by the API server.
+ * Each collection lives in memory and is written back to its own file in
+ * DATA_DIR after every change, so the server runs without any external database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+class JsonCollection {
+  /**
+   * @param {string} name - Collection name, used as the file name
+   * @param {Object} [options]
+   * @param {string} [options.dataDir] - Directory holding the collection files
+   */
+  constructor(name, { dataDir = DATA_DIR } = {}) {
+    this.name = name;
+    this.filePath = path.join(dataDir, `${name}.json`);
+    this.records = this.load();
+  }
+
+  /**
+   * Read the collection from disk, starting empty when the file does not exist yet.
+   * A file that does not hold a JSON array is moved aside to a
+   * `.corrupt-<timestamp>` backup before starting empty, so the next write
+   * never overwrites the data it still holds.
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+    const contents = fs.readFileSync(this.filePath, 'utf8');
+
+    let records;
+    try {
+      records = JSON.parse(contents);
+    } catch (error) {
+      return this.setAsideCorruptFile(error.message);
+    }
+    return Array.isArray(records) ? records : this.setAsideCorruptFile('not a JSON array');
+  }
+
+  /**
+   * Rename an unreadable collection file to a timestamped backup.
+   * @param {string} reason - Why the file could not be loaded
+   * @returns {Array} The records to start with: none
+   * @private
+   */
+  setAsideCorruptFile(reason) {
+    const backupPath = `${this.filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.renameSync(this.filePath, backupPath);
+    console.error(`The ${this.name} store could not be loaded (${reason}); moved it to ${backupPath} and started empty.`);
+    return [];
+  }
+
+  /**
+   * Write the collection to disk through a temporary file so a crash
+   * mid-write never leaves a truncated store behind.
+   * @private
+   */
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.records, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  all() {
+    return [...this.records];
+  }
+
+  find(predicate) {
+    return this.records.filter(predicate);
+  }
+
+  findOne(predicate) {
+    return this.records.find(predicate) || null;
+  }
+
+  findById(id) {
+    return this.findOne(record => record.id === id);
+  }
+
+  insert(record) {
+    this.records.push(record);
+    this.persist();
+    return record;
+  }
+
+  update(id, changes) {
+    const index = this.records.findIndex(record => record.id === id);
+    if (index === -1) return null;
+
+    this.records[index] = { ...this.records[index], ...changes };
+    this.persist();
+    return this.records[index];
+  }
+
+  remove(id) {
+    const index = this.records.findIndex(record => record.id === id);
+    if (index === -1) return false;
+
+    this.records.splice(index, 1);
+    this.persist();
+    return true;
+  }
+}
+
+module.exports = { JsonCollection, DATA_DIR };
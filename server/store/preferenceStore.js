@@ -0,0 +1,49 @@
+/**
+ * Server-side store of user preferences: settings, saved searches and entry
+ * templates, one record per user. Devices push their copy with a sync and get back the merged
+ * result, in which the most recently changed version of every item wins (see
+ * journal_entry_component/src/models/userPreferences.js).
+ */
+
+const { JsonCollection } = require('./jsonStore');
+const {
+  createEmptyPreferences,
+  mergePreferences
+} = require('../../journal_entry_component/src/models/userPreferences');
+
+const preferences = new JsonCollection('preferences');
+
+/**
+ * Get a user's preferences.
+ * @param {string} userId - Owner id from the access token
+ * @returns {{settings: Object, savedSearches: Object, templates: Object}} The preferences; empty if none were saved
+ */
+const getPreferences = (userId) => {
+  const record = preferences.findById(userId);
+  return record
+    ? { settings: record.settings, savedSearches: record.savedSearches, templates: record.templates || {} }
+    : createEmptyPreferences();
+};
+
+/**
+ * Merge a device's copy of a user's preferences into the stored one.
+ * @param {string} userId - Owner id from the access token
+ * @param {{settings: Object, savedSearches: Object, templates: Object}} incoming - The device's preferences, already validated
+ * @returns {{settings: Object, savedSearches: Object, templates: Object}} The merged preferences, as stored
+ */
+const mergeUserPreferences = (userId, incoming) => {
+  const merged = mergePreferences(getPreferences(userId), incoming);
+  const record = { ...merged, updatedAt: new Date().toISOString() };
+
+  if (preferences.findById(userId)) {
+    preferences.update(userId, record);
+  } else {
+    preferences.insert({ id: userId, ...record });
+  }
+  return merged;
+};
+
+module.exports = {
+  getPreferences,
+  mergeUserPreferences
+};
@@ -0,0 +1,104 @@
+/**
+ * Refresh token repository.
+ * Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+ * Every refresh rotates the token within its family, and presenting a token
+ * that was already rotated revokes the whole family (reuse detection).
+ */
+
+const crypto = require('crypto');
+const { JsonCollection } = require('./jsonStore');
+
+const refreshTokens = new JsonCollection('refreshTokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new refresh token.
+ * @param {string} userId - Owner of the token
+ * @param {string} [familyId] - Rotation family; a new family starts at login
+ * @returns {string} The raw refresh token, only ever returned to the client
+ */
+const issueRefreshToken = (userId, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const now = Date.now();
+
+  refreshTokens.insert({
+    id: crypto.randomUUID(),
+    userId,
+    familyId,
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    rotatedAt: null,
+    revokedAt: null
+  });
+
+  return token;
+};
+
+/**
+ * Revoke every token in a rotation family.
+ * @param {string} familyId - The family to revoke
+ */
+const revokeFamily = (familyId) => {
+  const revokedAt = new Date().toISOString();
+  refreshTokens
+    .find(record => record.familyId === familyId && !record.revokedAt)
+    .forEach(record => refreshTokens.update(record.id, { revokedAt }));
+};
+
+/**
+ * Revoke the family of a refresh token presented at logout.
+ * @param {string} token - The raw refresh token
+ */
+const revokeRefreshToken = (token) => {
+  const record = refreshTokens.findOne(candidate => candidate.tokenHash === hashToken(token));
+  if (record) revokeFamily(record.familyId);
+};
+
+/**
+ * Revoke every refresh token a user holds.
+ * @param {string} userId - The user whose sessions end
+ */
+const revokeAllForUser = (userId) => {
+  const revokedAt = new Date().toISOString();
+  refreshTokens
+    .find(record => record.userId === userId && !record.revokedAt)
+    .forEach(record => refreshTokens.update(record.id, { revokedAt }));
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * @param {string} token - The raw refresh token presented by the client
+ * @returns {{userId: string, refreshToken: string}|{error: string}} The rotated
+ * token, or an error code: 'invalid', 'expired', 'revoked' or 'reused'
+ */
+const rotateRefreshToken = (token) => {
+  const record = refreshTokens.findOne(candidate => candidate.tokenHash === hashToken(token));
+  if (!record) return { error: 'invalid' };
+  if (record.revokedAt) return { error: 'revoked' };
+
+  if (record.rotatedAt) {
+    // A rotated token came back: assume it was stolen and end the whole session
+    revokeFamily(record.familyId);
+    return { error: 'reused' };
+  }
+
+  if (new Date(record.expiresAt).getTime() <= Date.now()) return { error: 'expired' };
+
+  refreshTokens.update(record.id, { rotatedAt: new Date().toISOString() });
+  return {
+    userId: record.userId,
+    refreshToken: issueRefreshToken(record.userId, record.familyId)
+  };
+};
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeRefreshToken,
+  revokeAllForUser
+};
@@ -0,0 +1,87 @@
+/**
+ * Access token revocation list.
+ * Single tokens are denylisted by jti until they would have expired anyway.
+ * "Log out all sessions" bumps the user's token version: access tokens carry
+ * the version they were signed with, and every token of an older version is
+ * rejected. Unlike a cut-off time, this also ends sessions started earlier in
+ * the same second, which a JWT's whole-second iat cannot tell apart.
+ */
+
+const { JsonCollection } = require('./jsonStore');
+
+const revokedTokens = new JsonCollection('revokedTokens');
+const userRevocations = new JsonCollection('userRevocations');
+
+/**
+ * Drop denylist entries whose tokens have expired on their own.
+ * @private
+ */
+const pruneExpired = () => {
+  const now = Date.now();
+  revokedTokens
+    .find(record => new Date(record.expiresAt).getTime() <= now)
+    .forEach(record => revokedTokens.remove(record.id));
+};
+
+/**
+ * Denylist a single access token.
+ * @param {Object} payload - Decoded JWT payload carrying jti, userId and exp
+ */
+const revokeToken = ({ jti, userId, exp }) => {
+  if (!jti || revokedTokens.findById(jti)) return;
+
+  pruneExpired();
+  revokedTokens.insert({
+    id: jti,
+    userId,
+    revokedAt: new Date().toISOString(),
+    expiresAt: new Date(exp * 1000).toISOString()
+  });
+};
+
+/**
+ * Get the version new access tokens of a user are signed with.
+ * @param {string} userId - The user
+ * @returns {number} The token version, 0 until the user first logs out of all sessions
+ */
+const getTokenVersion = (userId) => {
+  const userRevocation = userRevocations.findById(userId);
+  return userRevocation ? userRevocation.tokenVersion || 0 : 0;
+};
+
+/**
+ * Invalidate every access token issued to a user up to now.
+ * @param {string} userId - The user whose sessions end
+ */
+const revokeAllForUser = (userId) => {
+  const changes = { revokedBefore: new Date().toISOString(), tokenVersion: getTokenVersion(userId) + 1 };
+  if (userRevocations.findById(userId)) {
+    userRevocations.update(userId, changes);
+  } else {
+    userRevocations.insert({ id: userId, ...changes });
+  }
+};
+
+/**
+ * Check a decoded access token against both revocation lists.
+ * @param {Object} payload - Decoded JWT payload
+ * @returns {boolean} True when the token must be rejected
+ */
+const isRevoked = ({ jti, userId, iat, ver }) => {
+  if (jti && revokedTokens.findById(jti)) return true;
+
+  const userRevocation = userRevocations.findById(userId);
+  if (!userRevocation) return false;
+  if (ver !== undefined) return ver < (userRevocation.tokenVersion || 0);
+
+  // Tokens signed before versions existed only tell the second they were issued in
+  const revokedBeforeSec = Math.floor(new Date(userRevocation.revokedBefore).getTime() / 1000);
+  return iat <= revokedBeforeSec;
+};
+
+module.exports = {
+  revokeToken,
+  getTokenVersion,
+  revokeAllForUser,
+  isRevoked
+};
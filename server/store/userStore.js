@@ -0,0 +1,44 @@
+/**
+ * Server-side user repository.
+ * Passwords are only ever stored as bcrypt hashes.
+ */
+
+const crypto = require('crypto');
+const { JsonCollection } = require('./jsonStore');
+
+const users = new JsonCollection('users');
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const findUserByEmail = (email) => {
+  const normalized = normalizeEmail(email);
+  return users.findOne(user => user.email === normalized);
+};
+
+const findUserById = (id) => users.findById(id);
+
+/**
+ * Create a user.
+ * @param {Object} data
+ * @param {string} data.name - Display name
+ * @param {string} data.email - Email address, unique across users
+ * @param {string} data.passwordHash - bcrypt hash of the password
+ * @returns {Object|null} The stored user, or null when the email is already registered
+ */
+const createUser = ({ name, email, passwordHash }) => {
+  if (findUserByEmail(email)) return null;
+
+  return users.insert({
+    id: crypto.randomUUID(),
+    name,
+    email: normalizeEmail(email),
+    passwordHash,
+    createdAt: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  findUserByEmail,
+  findUserById,
+  createUser
+};
@@ -0,0 +1,138 @@
+/**
+ * Server side of the offline-first sync protocol.
+ *
+ * Clients push their operation log as a list of operations:
+ *   { id, type: 'create' | 'update' | 'delete', entryId, data, baseRevision }
+ * where baseRevision is the server revision the local edit started from.
+ * Moving an entry to the trash or back is an update of its `deletedAt` field;
+ * a delete operation removes the entry for good.
+ * An operation is applied only when it does not overwrite a change the client
+ * has not seen; otherwise it comes back as an explicit conflict record carrying
+ * both versions and the entry is left untouched.
+ */
+
+const entryStore = require('../store/entryStore');
+const { validateJournalEntryData } = require('../../journal_entry_component/src/models/entryValidation');
+
+const { toPublicEntry } = entryStore;
+
+const ENTRY_FIELDS = ['title', 'content', 'entryDate', 'mood', 'tags', 'deletedAt'];
+
+/**
+ * Check whether an operation's data already matches the stored entry, in which
+ * case a stale baseRevision is harmless.
+ * @private
+ */
+const hasSameContent = (entry, data) => ENTRY_FIELDS.every(field =>
+  data[field] === undefined || JSON.stringify(entry[field]) === JSON.stringify(data[field])
+);
+
+const applied = (operation, entry, flags = {}) => ({
+  operationId: operation.id,
+  entryId: operation.entryId,
+  entry: entry ? toPublicEntry(entry) : null,
+  ...flags
+});
+
+const rejected = (operation, errors) => ({
+  operationId: operation.id,
+  entryId: operation.entryId,
+  errors
+});
+
+const conflict = (operation, reason, remote) => ({
+  operationId: operation.id,
+  entryId: operation.entryId,
+  type: operation.type,
+  reason,
+  local: operation.data || null,
+  remote: remote ? toPublicEntry(remote) : null
+});
+
+/**
+ * Apply a single operation for a user.
+ * @private
+ * @returns {{applied: Object}|{conflict: Object}|{error: Object}}
+ */
+const applyOperation = (operation, userId) => {
+  const existing = entryStore.getEntry(operation.entryId);
+  if (existing && !entryStore.isOwnedBy(existing, userId)) {
+    return { conflict: conflict(operation, 'not_found', null) };
+  }
+
+  // Replayed operation (e.g. a retried request): report the earlier outcome
+  if (existing && existing.lastOperationId === operation.id) {
+    return { applied: applied(operation, existing) };
+  }
+
+  if (operation.type === 'delete') {
+    if (!existing) return { applied: applied(operation, null) };
+    if (existing.revision !== operation.baseRevision) {
+      return { conflict: conflict(operation, 'revision_mismatch', existing) };
+    }
+    entryStore.deleteEntry(existing.id);
+    return { applied: applied(operation, null, { deleted: true }) };
+  }
+
+  const data = { ...(operation.data || {}), id: operation.entryId };
+  const validation = validateJournalEntryData({ ...(existing || {}), ...data });
+  if (!validation.isValid) {
+    return { error: rejected(operation, validation.errors) };
+  }
+
+  if (operation.type === 'create') {
+    if (existing) return { conflict: conflict(operation, 'already_exists', existing) };
+    if (entryStore.getTombstone(operation.entryId)) {
+      return { conflict: conflict(operation, 'deleted', null) };
+    }
+    const entry = entryStore.createEntry(data, userId, { operationId: operation.id });
+    return { applied: applied(operation, entry, { created: true }) };
+  }
+
+  if (operation.type === 'update') {
+    if (!existing) {
+      const reason = entryStore.getTombstone(operation.entryId) ? 'deleted' : 'not_found';
+      return { conflict: conflict(operation, reason, null) };
+    }
+    if (existing.revision !== operation.baseRevision && !hasSameContent(existing, data)) {
+      return { conflict: conflict(operation, 'revision_mismatch', existing) };
+    }
+    const entry = entryStore.updateEntry(existing.id, data, { operationId: operation.id });
+    return { applied: applied(operation, entry) };
+  }
+
+  return { error: rejected(operation, { type: 'Unknown operation type' }) };
+};
+
+/**
+ * Apply a batch of operations in order and collect the changes the client
+ * has not seen yet.
+ * @param {string} userId - Owner id from the access token
+ * @param {Array<Object>} operations - The client's pending operations
+ * @param {string|null} since - serverTime returned by the client's previous sync
+ * @returns {Object} applied, conflicts and rejected operations, plus changes
+ * (entries and deletedIds) since `since` and the serverTime to send next time
+ */
+const syncEntries = (userId, operations, since) => {
+  const serverTime = new Date().toISOString();
+  const result = { applied: [], conflicts: [], rejected: [] };
+
+  operations.forEach(operation => {
+    const outcome = applyOperation(operation, userId);
+    if (outcome.applied) result.applied.push(outcome.applied);
+    if (outcome.conflict) result.conflicts.push(outcome.conflict);
+    if (outcome.error) result.rejected.push(outcome.error);
+  });
+
+  const changes = entryStore.listChangesSince(userId, since);
+  return {
+    ...result,
+    changes: {
+      entries: changes.entries.map(toPublicEntry),
+      deletedIds: changes.deletedIds
+    },
+    serverTime
+  };
+};
+
+module.exports = { syncEntries };
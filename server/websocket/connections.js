@@ -0,0 +1,48 @@
+/**
+ * Registry of open, authenticated sockets grouped by user, used to push entry
+ * changes to every device a user has connected.
+ */
+
+const WebSocket = require('ws');
+
+const socketsByUser = new Map();
+
+/**
+ * Track an authenticated socket until it closes.
+ * @param {WebSocket} ws - Socket with the authenticated user attached
+ */
+const registerSocket = (ws) => {
+  const { userId } = ws.user;
+  if (!socketsByUser.has(userId)) socketsByUser.set(userId, new Set());
+  socketsByUser.get(userId).add(ws);
+
+  ws.on('close', () => {
+    const sockets = socketsByUser.get(userId);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) socketsByUser.delete(userId);
+  });
+};
+
+/**
+ * Send a message to every open socket of a user.
+ * @param {string} userId - The user to notify
+ * @param {Object} message - The message to send
+ * @param {WebSocket} [except] - Socket that caused the change and already got a reply
+ */
+const broadcastToUser = (userId, message, except = null) => {
+  const sockets = socketsByUser.get(userId);
+  if (!sockets) return;
+
+  const payload = JSON.stringify(message);
+  sockets.forEach((ws) => {
+    if (ws !== except && ws.readyState === WebSocket.OPEN) {
+      ws.send(payload);
+    }
+  });
+};
+
+module.exports = {
+  registerSocket,
+  broadcastToUser
+};
@@ -0,0 +1,137 @@
+/**
+ * Journal entry WebSocket protocol, backed by the same entry store as the REST API.
+ *
+ * Requests (client -> server):
+ *   GET_ENTRIES                       -> ENTRIES_LIST  { data: entries }
+ *   SAVE_ENTRY   { data }             -> ENTRY_SAVED   { data: entry }
+ *   UPDATE_ENTRY { id, data }         -> ENTRY_UPDATED { data: entry }
+ *   DELETE_ENTRY { id }               -> ENTRY_DELETED { id, data: entry }
+ *
+ * Failures are answered with ERROR { message, errors? }. A `requestId` sent with
+ * a request is echoed on its reply so clients can match them up.
+ *
+ * DELETE_ENTRY moves the entry to the trash, like the REST API does. As with
+ * the REST API, SAVE_ENTRY and UPDATE_ENTRY may not set `deletedAt`.
+ *
+ * Every change is also pushed to the user's other open sockets as
+ * ENTRY_CREATED { data }, ENTRY_UPDATED { data }, ENTRY_DELETED { id, data }
+ * (moved to the trash) or ENTRY_PURGED { id } (deleted for good).
+ */
+
+const entryStore = require('../store/entryStore');
+const { validateJournalEntryData } = require('../../journal_entry_component/src/models/entryValidation');
+const { broadcastToUser } = require('./connections');
+
+const { toPublicEntry } = entryStore;
+
+const send = (ws, message) => ws.send(JSON.stringify(message));
+
+/**
+ * Reply to a request, echoing its requestId.
+ * @private
+ */
+const reply = (ws, request, message) => send(ws, {
+  ...message,
+  ...(request.requestId !== undefined && { requestId: request.requestId })
+});
+
+const replyError = (ws, request, message, errors) => reply(ws, request, {
+  type: 'ERROR',
+  message,
+  ...(errors && { errors })
+});
+
+/**
+ * Look up an entry the socket's user owns and has not moved to the trash.
+ * @private
+ */
+const getOwnedEntry = (ws, id) => {
+  const entry = id ? entryStore.getEntry(id) : null;
+  return entryStore.isOwnedBy(entry, ws.user.userId) && !entry.deletedAt ? entry : null;
+};
+
+/**
+ * Validate the data of a SAVE_ENTRY or UPDATE_ENTRY request against the entry
+ * it results in; the trash state can only change through DELETE_ENTRY or the
+ * REST trash endpoints.
+ * @private
+ */
+const validateEntryMessage = (data, entry) => {
+  if (data.deletedAt !== undefined) {
+    return {
+      isValid: false,
+      errors: { deletedAt: 'Use DELETE_ENTRY or the trash endpoints to delete or restore entries' }
+    };
+  }
+  return validateJournalEntryData(entry);
+};
+
+const handlers = {
+  GET_ENTRIES: (ws, request) => {
+    reply(ws, request, {
+      type: 'ENTRIES_LIST',
+      data: entryStore.listEntries(ws.user.userId).map(toPublicEntry)
+    });
+  },
+
+  SAVE_ENTRY: (ws, request) => {
+    const data = request.data || {};
+    const validation = validateEntryMessage(data, data);
+    if (!validation.isValid) {
+      return replyError(ws, request, 'Validation failed', validation.errors);
+    }
+    if (data.id && entryStore.getEntry(data.id)) {
+      return replyError(ws, request, 'An entry with this ID already exists');
+    }
+
+    const entry = toPublicEntry(entryStore.createEntry(data, ws.user.userId));
+    reply(ws, request, { type: 'ENTRY_SAVED', data: entry });
+    broadcastToUser(ws.user.userId, { type: 'ENTRY_CREATED', data: entry }, ws);
+  },
+
+  UPDATE_ENTRY: (ws, request) => {
+    const data = request.data || {};
+    const existing = getOwnedEntry(ws, request.id || data.id);
+    if (!existing) return replyError(ws, request, 'Entry not found');
+
+    const validation = validateEntryMessage(data, { ...existing, ...data });
+    if (!validation.isValid) {
+      return replyError(ws, request, 'Validation failed', validation.errors);
+    }
+
+    const entry = toPublicEntry(entryStore.updateEntry(existing.id, data));
+    reply(ws, request, { type: 'ENTRY_UPDATED', data: entry });
+    broadcastToUser(ws.user.userId, { type: 'ENTRY_UPDATED', data: entry }, ws);
+  },
+
+  DELETE_ENTRY: (ws, request) => {
+    const existing = getOwnedEntry(ws, request.id);
+    if (!existing) return replyError(ws, request, 'Entry not found');
+
+    const entry = toPublicEntry(entryStore.trashEntry(existing.id));
+    reply(ws, request, { type: 'ENTRY_DELETED', id: entry.id, data: entry });
+    broadcastToUser(ws.user.userId, { type: 'ENTRY_DELETED', id: entry.id, data: entry }, ws);
+  }
+};
+
+/**
+ * Dispatch a parsed message from an authenticated socket.
+ * @param {WebSocket} ws - Socket with the authenticated user attached
+ * @param {Object} message - The parsed message
+ */
+const handleEntryMessage = (ws, message) => {
+  const handler = handlers[message.type];
+  if (!handler) {
+    console.log('Unknown message type:', message.type);
+    return replyError(ws, message, `Unknown message type: ${message.type}`);
+  }
+
+  try {
+    handler(ws, message);
+  } catch (error) {
+    console.error(`Error handling ${message.type}:`, error);
+    replyError(ws, message, 'Failed to process message');
+  }
+};
+
+module.exports = { handleEntryMessage };